@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+/**
+ * PLTUI COMMAND LINE
+ * Headless palette conversion, validation, inspection and comparison,
+ * built on the same pure readers/writers as the browser app
+ *
+ * Usage:
+ *   pltui info <file> [--json]
+ *   pltui validate <file...> [--strict] [--roles] [--json]
+ *   pltui convert <input> <output> [--format <fmt>] [--keep-transparent]
+ *   pltui diff <before> <after> [--json]
+ *
+ * Exit codes: 0 success, 1 validation failed / differences found, 2 usage or I/O error
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { readPalette, writePalette, EXPORT_FORMATS } from '../js/paletteFormats.js';
+import { diffPalettes, isDiffEmpty, formatDiffText, buildDiffReport } from '../js/paletteDiff.js';
+import { summarizeReport, hasErrors, addDiagnostic, SEVERITY } from '../js/diagnostics.js';
+import { checkRoleConsistency } from '../js/roleConsistency.js';
+import { isSolidStyle } from '../js/colorUtils.js';
+
+const USAGE = `Usage:
+  pltui info <file> [--json]                  Show palette metadata and statistics
+  pltui validate <file...> [--strict] [--roles] [--json]
+                                              Check files, fail on errors (and warnings with --strict);
+                                              --roles also checks shadow/highlight/AO variant sets
+  pltui convert <input> <output> [--format <fmt>] [--keep-transparent]
+                                              Convert between formats (${Object.keys(EXPORT_FORMATS).join(', ')})
+  pltui diff <before> <after> [--json]        Compare two palettes, exit 1 when they differ
+
+Inputs can be .tpl, .json, .gpl, .kpl, .ase, .aco or Paint.NET .txt files.`;
+
+class UsageError extends Error {}
+
+const COMMANDS = { info, validate, convert, diff };
+
+main(process.argv.slice(2)).then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(`pltui: ${err.message}`);
+    if (err instanceof UsageError) console.error(`\n${USAGE}`);
+    process.exitCode = 2;
+  }
+);
+
+/**
+ * Dispatch a command
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === 'help' || command === '--help' || command === '-h') {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+  return COMMANDS[command](parseArgs(rest));
+}
+
+/**
+ * Split arguments into positional files and --options
+ * @param {Array<string>} args - Arguments after the command
+ * @returns {Object} { files, options }
+ */
+function parseArgs(args) {
+  const files = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format') {
+      options.format = args[++i];
+      if (!options.format) throw new UsageError('--format needs a value');
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2).replace(/-(\w)/g, (m, c) => c.toUpperCase())] = true;
+    } else {
+      files.push(arg);
+    }
+  }
+  return { files, options };
+}
+
+/**
+ * Read and parse a palette file
+ * @param {string} path - File path
+ * @returns {Promise<Object>} Result of readPalette
+ */
+async function load(path) {
+  const buf = await readFile(path);
+  return readPalette(basename(path), buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length));
+}
+
+/**
+ * Load a palette or throw when it can't be read at all
+ * @param {string} path - File path
+ * @returns {Promise<Object>} Result of readPalette
+ */
+async function loadOrFail(path) {
+  const result = await load(path);
+  if (!result.paletteData || hasErrors(result.report)) {
+    throw new Error(`${path}: ${summarizeReport(result.report)}`);
+  }
+  return result;
+}
+
+/**
+ * pltui info <file>
+ */
+async function info({ files, options }) {
+  if (files.length !== 1) throw new UsageError('info needs exactly one file');
+  const { format, paletteData, colors, endFrame, report } = await loadOrFail(files[0]);
+
+  const roles = {};
+  colors.forEach(c => { roles[c.role] = (roles[c.role] || 0) + 1; });
+  const data = {
+    file: files[0],
+    format,
+    name: paletteData.name,
+    type: paletteData.isStudioPalette ? 'studio' : 'level',
+    globalName: paletteData.isStudioPalette ? paletteData.globalName : undefined,
+    prefix: paletteData.isStudioPalette ? paletteData.prefix : undefined,
+    version: paletteData.version,
+    styles: colors.length,
+    solid: colors.filter(isSolidStyle).length,
+    readOnly: colors.filter(c => !c.unparsed && c.params !== undefined).length,
+    raw: colors.filter(c => c.unparsed).length,
+    animated: colors.filter(c => c.keyframes?.length).length,
+    endFrame,
+    roles,
+    pages: (paletteData.pages || []).map(p => ({ name: p.name, styles: p.ids.length })),
+    summary: summarizeReport(report)
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify(data, null, 2));
+    return 0;
+  }
+
+  const lines = [
+    `File:      ${data.file} (${data.format})`,
+    `Palette:   ${data.name} [${data.type}]`,
+    ...(data.type === 'studio' ? [`Global:    ${data.globalName}`, `Prefix:    ${data.prefix}`] : []),
+    `Version:   ${data.version}`,
+    `Styles:    ${data.styles} (${data.solid} solid, ${data.readOnly} read-only, ${data.raw} raw)`,
+    `Animated:  ${data.animated}`,
+    `Roles:     ${Object.entries(roles).map(([role, n]) => `${role} ${n}`).join(', ')}`,
+    `Pages:     ${data.pages.map(p => `${p.name} (${p.styles})`).join(', ')}`,
+    `Import:    ${data.summary}`
+  ];
+  console.log(lines.join('\n'));
+  return 0;
+}
+
+/**
+ * pltui validate <file...>
+ */
+async function validate({ files, options }) {
+  if (!files.length) throw new UsageError('validate needs at least one file');
+
+  let failed = false;
+  const results = [];
+
+  for (const file of files) {
+    const { report, colors } = await load(file);
+    if (options.roles && colors) {
+      checkRoleConsistency(colors).issues.forEach(issue =>
+        addDiagnostic(report, issue.severity, issue.message, { styleIndex: issue.index }));
+    }
+    const ok = !hasErrors(report) &&
+      !(options.strict && report.entries.some(e => e.severity === SEVERITY.WARNING));
+    if (!ok) failed = true;
+    results.push({ file, ok, summary: summarizeReport(report), stats: report.stats, entries: report.entries });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(r => {
+      console.log(`${r.ok ? 'OK  ' : 'FAIL'} ${r.file}: ${r.summary}`);
+      r.entries
+        .filter(e => e.severity !== SEVERITY.INFO)
+        .forEach(e => {
+          const where = [e.line != null && `line ${e.line}`, e.styleIndex != null && `style ${e.styleIndex}`].filter(Boolean).join(', ');
+          console.log(`  ${e.severity}${where ? ` (${where})` : ''}: ${e.message}`);
+        });
+    });
+  }
+
+  return failed ? 1 : 0;
+}
+
+/**
+ * pltui convert <input> <output>
+ */
+async function convert({ files, options }) {
+  if (files.length !== 2) throw new UsageError('convert needs an input and an output file');
+  const [input, output] = files;
+
+  const ext = output.split('.').pop().toLowerCase();
+  const format = options.format || Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].ext === ext);
+  if (!EXPORT_FORMATS[format]) {
+    throw new UsageError(`Can't tell the output format of "${output}", use --format`);
+  }
+
+  const { paletteData, colors, report } = await loadOrFail(input);
+  const { content, semiTransparent } = writePalette(format, paletteData, colors, {
+    skipTransparent: !options.keepTransparent
+  });
+  await writeFile(output, content);
+
+  const warnings = report.entries.filter(e => e.severity === SEVERITY.WARNING).length;
+  if (warnings) console.error(`${input}: ${summarizeReport(report)}`);
+  if (semiTransparent) console.error(`${semiTransparent} semi-transparent color(s) were written without alpha`);
+  return 0;
+}
+
+/**
+ * pltui diff <before> <after>
+ */
+async function diff({ files, options }) {
+  if (files.length !== 2) throw new UsageError('diff needs two files');
+
+  const [before, after] = await Promise.all(files.map(loadOrFail));
+  const result = diffPalettes(before, after);
+
+  console.log(options.json ? JSON.stringify(buildDiffReport(result, files[0], files[1]), null, 2) : formatDiffText(result));
+  return isDiffEmpty(result) ? 0 : 1;
+}
@@ -4,13 +4,31 @@
  */
 
 import { CONFIG } from './config.js';
-import { handleFile, parseTPL } from './parser.js';
+import * as State from './state.js';
+import { getLastImportReport } from './parser.js';
+import { handleFile, initFileDrop } from './fileLoader.js';
 import { renderPalette } from './renderer.js';
 import * as Timeline from './timeline.js';
 import * as Exporter from './exporter.js';
 import * as UI from './ui.js';
 import * as WheelManager from './wheelManager.js';
 import * as Eyedropper from './eyedropper.js';
+import * as Pages from './pages.js';
+import * as History from './history.js';
+import { isModalOpen } from './modal.js';
+import * as Workspace from './workspace.js';
+import { initAutosave, showRecent } from './autosave.js';
+import { showLibrary } from './library.js';
+import { showCompare } from './compare.js';
+import { showAppend } from './merge.js';
+import { showRenumber } from './renumber.js';
+import { showGrading } from './grading.js';
+import { showRoleCheck } from './roleCheck.js';
+import { loadRoles, showRolesEditor } from './roles.js';
+import { QUERY_FIELDS, QUERY_FLAGS } from './query.js';
+import { initCollections, loadGlobalCollections, showSaveCollection, exportCollections } from './collections.js';
+import { openPaletteSettings } from './paletteSettings.js';
+import { showImportReport } from './importReport.js';
 
 /**
  * Initialize the application
@@ -19,6 +37,7 @@ function init() {
   setupHeader();
   setupFooter();
   setupHuePreview();
+  setupSearchHelp();
   
   // Initialize the color wheel
   WheelManager.initWheel();
@@ -29,8 +48,21 @@ function init() {
   // Initialize context menu
   UI.initContextMenu();
   
+  // Drag a rectangle over the grid to select cards
+  UI.initMarquee();
+  
   // Setup keyboard shortcuts
   setupKeyboardShortcuts();
+  
+  // Accept palette files dropped on the page
+  initFileDrop();
+  
+  // Saved searches in the sidebar
+  initCollections();
+  
+  // Saved roles and collections first, restored palettes are shown with them;
+  // then persist work in progress and offer to restore the last session
+  loadRoles().then(loadGlobalCollections).then(initAutosave);
 }
 
 /**
@@ -41,6 +73,36 @@ function setupKeyboardShortcuts() {
     // Don't trigger shortcuts when typing in inputs
     if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
     
+    // Dialogs and panels work on what the palette held when they opened
+    // (renumber/append plans, role check issues), so undo or paste must wait
+    if (isModalOpen()) return;
+    
+    // Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) History.redo();
+      else History.undo();
+      return;
+    }
+    
+    // Ctrl+C / Ctrl+V copy the selected colors and paste them (also into another tab)
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'c' || e.key === 'C') && !window.getSelection().toString()) {
+      UI.copyColors(UI.getSelectedIndices());
+      return;
+    }
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'v' || e.key === 'V')) {
+      e.preventDefault();
+      UI.pasteColors();
+      return;
+    }
+    
+    // Ctrl+A selects every visible color
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'a' || e.key === 'A')) {
+      e.preventDefault();
+      UI.selectAllFiltered();
+      return;
+    }
+    
     // 'E' or 'I' key for eyedropper (I is common for "pick" in graphics software)
     if (e.key === 'e' || e.key === 'E' || e.key === 'i' || e.key === 'I') {
       Eyedropper.activateEyedropper();
@@ -59,10 +121,24 @@ function setupHeader() {
     </h1>
     <div class="toolbar">
       <button class="secondary" onclick="window.AppUI.newPalette()">New TPL</button>
-      <button class="secondary" onclick="document.getElementById('fileInput').click()">Load TPL</button>
+      <button class="secondary" onclick="document.getElementById('fileInput').click()" title="Load .tpl or .json palettes, or import .gpl, .kpl, .ase, .aco and Paint.NET .txt swatches (each opens in its own tab)">Load</button>
+      <button class="secondary" onclick="window.AppUI.showRecent()" id="recentBtn" title="Reopen a recently opened palette">Recent</button>
+      <button class="secondary" onclick="window.AppUI.showLibrary()" title="Index folders of palettes and search across all of them">Library</button>
+      <button class="secondary" onclick="window.AppUI.showCompare()" title="Show what changed between two palettes">Compare</button>
+      <button class="secondary" onclick="window.AppUI.showImportReport()" id="importReportBtn" disabled>Import Report</button>
+      <button class="secondary" onclick="window.AppHistory.undo()" id="undoBtn" title="Nothing to undo" disabled>Undo</button>
+      <button class="secondary" onclick="window.AppHistory.redo()" id="redoBtn" title="Nothing to redo" disabled>Redo</button>
+      <button class="secondary" onclick="window.AppHistory.showHistory()" id="historyBtn" disabled>History</button>
+      <button class="secondary" onclick="window.AppUI.openPaletteSettings()" id="settingsBtn" disabled>Palette Settings</button>
+      <button class="secondary" onclick="window.AppUI.showAppend()" id="appendBtn" title="Bring styles in from another palette" disabled>Append…</button>
+      <button class="secondary" onclick="window.AppUI.showRenumber()" id="renumberBtn" title="Close gaps in style IDs" disabled>Renumber…</button>
+      <button class="secondary" onclick="window.AppUI.showGrading()" id="gradeBtn" title="Shift hue, levels, tint or alpha of the selected or visible colors" disabled>Grade…</button>
+      <button class="secondary" onclick="window.AppUI.showRoleCheck()" id="checkRolesBtn" title="Find missing, orphaned and implausible shadow/highlight/AO variants" disabled>Check Roles</button>
+      <button class="secondary" onclick="window.AppUI.showRolesEditor()" title="Add roles, change their suffixes and badge colors, import or export role presets">Roles…</button>
       <button class="secondary" onclick="window.Exporter.exportPalette()" id="exportBtn" disabled>Export TPL</button>
       <button class="secondary" onclick="window.Exporter.exportJson()" id="exportJsonBtn" class="secondary" disabled>Export JSON</button>
-      <input type="file" id="fileInput" style="display:none" accept=".tpl,.xml,.txt" onchange="window.AppParser.handleFileEvent(event)">
+      <button class="secondary" onclick="window.Exporter.openSwatchExport()" id="exportSwatchesBtn" title="Export as GIMP, Krita or Adobe swatches" disabled>Export Swatches</button>
+      <input type="file" id="fileInput" style="display:none" accept=".tpl,.xml,.txt,.json,.gpl,.kpl,.ase,.aco" multiple onchange="window.AppParser.handleFileEvent(event)">
     </div>`;
 }
 
@@ -91,6 +167,17 @@ function setupHuePreview() {
   }
 }
 
+/**
+ * List the query fields in the search box tooltip
+ */
+function setupSearchHelp() {
+  document.getElementById('searchInput').title = [
+    'Words match names (* is a wildcard) and can be combined with AND, OR, NOT (or -) and parentheses.',
+    ...Object.entries(QUERY_FIELDS).map(([field, help]) => `${field}: ${help}`),
+    ...Object.entries(QUERY_FLAGS).map(([flag, help]) => `${flag}: ${help}`)
+  ].join('\n');
+}
+
 /**
  * Expose functions to window for HTML onclick handlers
  * This is necessary because ES modules don't expose to global scope
@@ -99,6 +186,8 @@ function exposeGlobalFunctions() {
   // UI functions
   window.AppUI = {
     selectColor: UI.selectColor,
+    handleCardClick: UI.handleCardClick,
+    selectAllFiltered: UI.selectAllFiltered,
     showContextMenu: UI.showContextMenu,
     hideContextMenu: UI.hideContextMenu,
     deleteColor: UI.deleteColor,
@@ -107,6 +196,18 @@ function exposeGlobalFunctions() {
     toggleHueControls: UI.toggleHueControls,
     updateHueUI: UI.updateHueUI,
     copyIdsToClipboard: UI.copyIdsToClipboard,
+    openPaletteSettings: openPaletteSettings,
+    showImportReport: () => showImportReport(),
+    showRecent: showRecent,
+    showLibrary: showLibrary,
+    showCompare: showCompare,
+    showAppend: showAppend,
+    showRenumber: showRenumber,
+    showGrading: showGrading,
+    showRoleCheck: showRoleCheck,
+    showRolesEditor: showRolesEditor,
+    showSaveCollection: showSaveCollection,
+    exportCollections: exportCollections,
     renderPalette: renderPalette,
     activateEyedropper: Eyedropper.activateEyedropper,
     activateEyedropperForCard: Eyedropper.activateEyedropperForCard
@@ -118,19 +219,49 @@ function exposeGlobalFunctions() {
     updateEndFrame: Timeline.updateEndFrame,
     jumpToKeyframe: Timeline.jumpToKeyframe,
     toggleKeyframe: Timeline.toggleKeyframe,
+    setInterpolation: Timeline.setInterpolation,
+    setBezier: Timeline.setBezier,
+    setColorSpace: Timeline.setColorSpace,
     showHoverTick: Timeline.showHoverTick,
     hideHoverTick: Timeline.hideHoverTick
   };
   
+  // Style page functions
+  window.AppPages = {
+    selectPage: Pages.selectPage,
+    createPage: Pages.createPage,
+    renamePage: Pages.renamePage,
+    deletePage: Pages.deletePage,
+    onCardDragStart: Pages.onCardDragStart,
+    onPageDragOver: Pages.onPageDragOver,
+    onPageDragLeave: Pages.onPageDragLeave,
+    onPageDrop: Pages.onPageDrop
+  };
+  
+  // Workspace tabs
+  window.AppWorkspace = {
+    switchTab: Workspace.switchTab,
+    closeTab: Workspace.closeTab
+  };
+  
+  // Undo/redo
+  window.AppHistory = {
+    undo: History.undo,
+    redo: History.redo,
+    showHistory: History.showHistory
+  };
+  
   // Export functions
   window.Exporter = {
     exportPalette: Exporter.exportPalette,
-    exportJson: Exporter.exportJson
+    exportJson: Exporter.exportJson,
+    openSwatchExport: Exporter.openSwatchExport
   };
   
   // Parser functions
   window.AppParser = {
-    handleFileEvent: handleFile
+    handleFileEvent: handleFile,
+    getLastImportReport: getLastImportReport
   };
 }
 
@@ -0,0 +1,223 @@
+/**
+ * AUTOSAVE & RECENT PALETTES
+ * Keeps the open workspace tabs (palette, selection, filters and timeline of
+ * each) in IndexedDB so closing the browser tab or a crash doesn't lose work,
+ * and remembers recently opened palettes so they can be reopened.
+ */
+
+import * as State from './state.js';
+import { isStorageAvailable, idbGet, idbGetAll, idbPut, idbDelete } from './storage.js';
+import { openPalette, switchToRecent, getWorkspaceSnapshot, restoreWorkspace } from './workspace.js';
+import { openModal, closeModal, escapeHtml } from './modal.js';
+
+// Delay between the last change and the save
+const SAVE_DELAY_MS = 800;
+
+// Number of recently opened palettes kept
+const MAX_RECENT = 10;
+
+let saveTimer = null;
+
+// Key of the active tab's palette in the recent list
+let recentKey = null;
+
+/**
+ * Start autosaving and offer to restore the previous session
+ * @returns {Promise}
+ */
+export async function initAutosave() {
+  const recentBtn = document.getElementById('recentBtn');
+  if (!isStorageAvailable()) {
+    if (recentBtn) recentBtn.disabled = true;
+    return;
+  }
+
+  // Edits, undo/redo and tab changes schedule a save; view changes (selection,
+  // filters, timeline) are saved with them or when the page is left
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveNow();
+  });
+  window.addEventListener('pagehide', saveNow);
+
+  let session;
+  try {
+    session = await idbGet('session', 'current');
+  } catch (err) {
+    console.warn('Autosave unavailable:', err);
+    return;
+  }
+
+  // Sessions saved before workspace tabs held a single palette
+  if (session?.paletteData) {
+    session = { savedAt: session.savedAt, activeTab: 0, tabs: [session] };
+  }
+  if (session?.tabs?.length && !State.paletteData) {
+    offerRestore(session);
+  }
+}
+
+/**
+ * Save the working state after a short delay (repeated calls are merged)
+ */
+export function scheduleAutosave() {
+  if (!isStorageAvailable()) return;
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveNow, SAVE_DELAY_MS);
+}
+
+/**
+ * Get the recent list key of the active palette
+ * @returns {string|null}
+ */
+export function getRecentKey() {
+  return recentKey;
+}
+
+/**
+ * Set the recent list key of the active palette (switching workspace tabs)
+ * @param {string|null} key - Key, or null when the palette isn't in the list
+ */
+export function setRecentKey(key) {
+  recentKey = key;
+}
+
+/**
+ * Add the palette that was just opened or created to the recent list
+ * @param {string} key - Identifies the palette (file name and contents, or a generated key for new palettes)
+ * @returns {Promise}
+ */
+export async function rememberOpened(key) {
+  recentKey = key;
+  if (!isStorageAvailable() || !State.paletteData) return;
+
+  try {
+    await idbPut('recent', key, { ...recentEntry({ recentKey: key, paletteData: State.paletteData, colors: State.colors, endFrame: State.endFrame }), openedAt: Date.now() });
+
+    const entries = (await idbGetAll('recent')).sort((a, b) => b.openedAt - a.openedAt);
+    await Promise.all(entries.slice(MAX_RECENT).map(entry => idbDelete('recent', entry.key)));
+  } catch (err) {
+    console.warn('Could not update recent palettes:', err);
+  }
+  scheduleAutosave();
+}
+
+/**
+ * Open the recent palettes list
+ * @returns {Promise}
+ */
+export async function showRecent() {
+  if (!isStorageAvailable()) return;
+
+  let entries;
+  try {
+    entries = (await idbGetAll('recent')).sort((a, b) => b.openedAt - a.openedAt);
+  } catch (err) {
+    console.warn('Recent palettes unavailable:', err);
+    alert('The recent palettes list could not be read.');
+    return;
+  }
+  const rows = entries.map(entry => `
+    <li class="recent-item" data-key="${escapeHtml(entry.key)}">
+      <span class="recent-name">${escapeHtml(entry.name)}</span>
+      <span class="recent-meta">${entry.colors.length} styles · edited ${new Date(entry.savedAt).toLocaleString()}</span>
+      <button class="secondary recent-remove" title="Remove from list">×</button>
+    </li>`).join('');
+
+  const body = openModal({
+    title: 'Recent Palettes',
+    body: rows
+      ? `<ul class="recent-list">${rows}</ul><p class="form-hint">Palettes reopen with their latest autosaved edits.</p>`
+      : '<p class="form-hint">No recently opened palettes.</p>',
+    buttons: [{ label: 'Close' }]
+  });
+
+  body.querySelectorAll('.recent-item').forEach(item => {
+    const entry = entries.find(e => e.key === item.dataset.key);
+    item.addEventListener('click', () => {
+      closeModal();
+      openRecent(entry);
+    });
+    item.querySelector('.recent-remove').addEventListener('click', async e => {
+      e.stopPropagation();
+      try {
+        await idbDelete('recent', entry.key);
+        item.remove();
+      } catch (err) {
+        console.warn('Could not update recent palettes:', err);
+      }
+    });
+  });
+}
+
+/**
+ * Write the session (and the recent entries of all open tabs) right away
+ * @returns {Promise}
+ */
+async function saveNow() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  // Copy now: the writes below wait for reads, and editing may go on meanwhile
+  const { activeTab, tabs } = structuredClone(getWorkspaceSnapshot());
+
+  try {
+    if (!tabs.length) {
+      await idbDelete('session', 'current');
+      return;
+    }
+
+    const writes = [idbPut('session', 'current', { savedAt: Date.now(), activeTab, tabs })];
+    for (const tab of tabs.filter(t => t.recentKey)) {
+      const previous = await idbGet('recent', tab.recentKey);
+      if (previous) writes.push(idbPut('recent', tab.recentKey, { ...previous, ...recentEntry(tab) }));
+    }
+    await Promise.all(writes);
+  } catch (err) {
+    console.warn('Autosave failed:', err);
+  }
+}
+
+/**
+ * Build the stored data of a palette for the recent list
+ * @param {Object} tab - { recentKey, paletteData, colors, endFrame }
+ * @returns {Object}
+ */
+function recentEntry({ recentKey: key, paletteData, colors, endFrame }) {
+  return {
+    key,
+    name: paletteData.name,
+    savedAt: Date.now(),
+    paletteData,
+    colors,
+    endFrame
+  };
+}
+
+/**
+ * Ask whether the previous session should be restored
+ * @param {Object} session - Stored session
+ */
+function offerRestore(session) {
+  const rows = session.tabs.map(tab => `
+    <li><strong>${escapeHtml(tab.paletteData.name)}</strong> – ${tab.colors.length} styles</li>`).join('');
+
+  openModal({
+    title: 'Restore Previous Session?',
+    body: `
+      <p>Unsaved work from your last session (last edited ${new Date(session.savedAt).toLocaleString()}) was found:</p>
+      <ul>${rows}</ul>`,
+    buttons: [
+      { label: 'Start Fresh', onClick: () => { idbDelete('session', 'current').catch(() => {}); } },
+      { label: 'Restore', className: '', onClick: () => restoreWorkspace(session) }
+    ]
+  });
+}
+
+/**
+ * Reopen a palette from the recent list (or switch to its tab when it is open)
+ * @param {Object} entry - Stored recent entry
+ */
+function openRecent(entry) {
+  if (switchToRecent(entry.key)) return;
+  openPalette(entry, entry.key);
+}
@@ -0,0 +1,322 @@
+/**
+ * SMART COLLECTIONS
+ * Saved searches (search text, checkboxes and hue range under a name), listed
+ * in the sidebar with their live match count. Palette collections are kept in
+ * the palette (JSON export, or a name.collections.json sidecar next to a TPL);
+ * global presets are kept in the browser and apply to every palette.
+ */
+
+import * as State from './state.js';
+import { getShortId } from './colorUtils.js';
+import { getFilterSettings, setFilterSettings, getCriteriaFromSettings, filterColors, searchErrorHTML } from './filters.js';
+import { isStorageAvailable, idbGet, idbPut } from './storage.js';
+import { recordChange } from './history.js';
+import { toggleHueControls, updateHueUI } from './ui.js';
+import { downloadFile } from './exporter.js';
+import { openModal, escapeHtml } from './modal.js';
+
+// Collection sidecar files
+export const COLLECTIONS_FORMAT = 'pltui-collections';
+const COLLECTIONS_VERSION = 1;
+export const SIDECAR_SUFFIX = '.collections.json';
+
+// Filter bar controls a collection keeps (not the sort order or grouping), with their defaults
+const SEARCH_DEFAULTS = {
+  searchInput: '', matchCaseCheck: false, matchWholeWordCheck: false, animatedFilterCheck: false,
+  roleFilterSelect: '', hueFilterCheck: false, hueSlider: '0', hueThresholdSlider: '15'
+};
+
+// Global presets: [{ name, settings }]
+let globalCollections = [];
+
+/**
+ * Load the global presets and show the collections
+ * @returns {Promise}
+ */
+export async function loadGlobalCollections() {
+  if (isStorageAvailable()) {
+    try {
+      globalCollections = normalizeCollections(await idbGet('settings', 'collections'));
+    } catch (err) {
+      console.warn('Saved collections unavailable:', err);
+    }
+  }
+  renderCollections();
+}
+
+/**
+ * Get the collections of a scope
+ * @param {string} scope - 'palette' (active palette) or 'global'
+ * @returns {Array} [{ name, settings }] (the stored array)
+ */
+export function getCollections(scope) {
+  if (scope === 'global') return globalCollections;
+  return State.paletteData?.collections || [];
+}
+
+/**
+ * Find the styles of the active palette a collection matches
+ * @param {Object} collection - { name, settings }
+ * @returns {Array} Color objects, in palette order
+ */
+export function getCollectionMatches(collection) {
+  return filterColors(State.colors, getCriteriaFromSettings(collection.settings), { pages: State.paletteData?.pages });
+}
+
+/**
+ * Save a collection (a collection of the same name is replaced)
+ * @param {string} scope - 'palette' or 'global'
+ * @param {string} name - Collection name
+ * @param {Object} [settings] - Filter settings (defaults to the filter bar's)
+ */
+export function saveCollection(scope, name, settings = getFilterSettings()) {
+  const collection = { name, settings: pickSearchSettings(settings) };
+  if (scope === 'global') {
+    globalCollections = upsert(globalCollections, collection);
+    saveGlobalCollections();
+  } else {
+    if (!State.paletteData) return;
+    recordChange(`Save collection ${name}`);
+    State.paletteData.collections = upsert(getCollections('palette'), collection);
+  }
+  renderCollections();
+}
+
+/**
+ * Delete a collection
+ * @param {string} scope - 'palette' or 'global'
+ * @param {number} index - Position in the scope's list
+ */
+export function deleteCollection(scope, index) {
+  const collection = getCollections(scope)[index];
+  if (!collection) return;
+  if (scope === 'global') {
+    globalCollections = globalCollections.filter((c, i) => i !== index);
+    saveGlobalCollections();
+  } else {
+    recordChange(`Delete collection ${collection.name}`);
+    State.paletteData.collections = getCollections('palette').filter((c, i) => i !== index);
+  }
+  renderCollections();
+}
+
+/**
+ * Put a collection's search into the filter bar (on all pages)
+ * @param {string} scope - 'palette' or 'global'
+ * @param {number} index - Position in the scope's list
+ */
+export function applyCollection(scope, index) {
+  const collection = getCollections(scope)[index];
+  if (!collection) return;
+  setFilterSettings({ ...SEARCH_DEFAULTS, ...collection.settings });
+  State.setActivePageIndex(-1);
+  updateHueUI();
+  toggleHueControls();
+}
+
+/**
+ * Copy the style IDs a collection matches
+ * @param {string} scope - 'palette' or 'global'
+ * @param {number} index - Position in the scope's list
+ * @returns {Promise<boolean>} Whether the IDs were copied
+ */
+export async function copyCollectionIds(scope, index) {
+  const collection = getCollections(scope)[index];
+  if (!collection) return false;
+  try {
+    await navigator.clipboard.writeText(getCollectionMatches(collection).map(c => getShortId(c.id)).join(','));
+    return true;
+  } catch (err) {
+    console.error('Failed to copy!', err);
+    return false;
+  }
+}
+
+/**
+ * Write collections as a sidecar file
+ * @param {Array} collections - [{ name, settings }]
+ * @returns {string} JSON text
+ */
+export function serializeCollections(collections) {
+  return JSON.stringify({ format: COLLECTIONS_FORMAT, version: COLLECTIONS_VERSION, collections }, null, 2);
+}
+
+/**
+ * Read a sidecar file
+ * @param {string} text - JSON text
+ * @returns {Array} [{ name, settings }]
+ * @throws {Error} When the text is not a collections file
+ */
+export function parseCollections(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (doc?.format !== COLLECTIONS_FORMAT || !Array.isArray(doc.collections)) throw new Error('Not a collections file.');
+  return normalizeCollections(doc.collections);
+}
+
+/**
+ * Add the collections of a sidecar file to the active palette
+ * Collections with a name the palette already has replace it.
+ * @param {string} text - JSON text
+ * @returns {number} Number of collections read
+ * @throws {Error} When the text is not a collections file
+ */
+export function importCollections(text) {
+  const collections = parseCollections(text);
+  if (!State.paletteData || !collections.length) return collections.length;
+  recordChange(`Import ${collections.length} collection${collections.length === 1 ? '' : 's'}`);
+  State.paletteData.collections = collections.reduce(upsert, getCollections('palette'));
+  renderCollections();
+  return collections.length;
+}
+
+/**
+ * Download the active palette's collections as a sidecar file
+ */
+export function exportCollections() {
+  if (!State.paletteData) return;
+  downloadFile(serializeCollections(getCollections('palette')), `${State.paletteData.name}${SIDECAR_SUFFIX}`, 'application/json');
+}
+
+/**
+ * Ask for a name and save the current search as a collection
+ */
+export function showSaveCollection() {
+  if (!State.paletteData) return;
+  const body = openModal({
+    title: 'Save Search',
+    body: `
+      <div class="form-row">
+        <label for="collectionName">Name</label>
+        <input type="text" id="collectionName" class="text-input collection-name" placeholder="e.g. skin shadows">
+      </div>
+      <div class="form-row">
+        <label>Keep with</label>
+        <label class="toggle-label"><input type="radio" name="collection-scope" value="palette" checked> This palette</label>
+        <label class="toggle-label"><input type="radio" name="collection-scope" value="global"> All palettes (global preset)</label>
+      </div>
+      <p class="form-hint">Keeps the search text, match options and the animated, role and hue filters.</p>`,
+    buttons: [
+      { label: 'Cancel' },
+      { label: 'Save', className: '', onClick: () => {
+        const name = body.querySelector('.collection-name').value.trim();
+        if (!name) {
+          alert('Please enter a name.');
+          return false;
+        }
+        saveCollection(body.querySelector('[name="collection-scope"]:checked').value, name);
+      } }
+    ]
+  });
+  body.querySelector('.collection-name').focus();
+}
+
+/**
+ * Show the collections in the sidebar, with their match counts in the active palette
+ */
+export function renderCollections() {
+  const list = document.getElementById('collections-list');
+  if (!list) return;
+
+  document.getElementById('saveCollectionBtn').disabled = !State.paletteData;
+  document.getElementById('exportCollectionsBtn').disabled = !getCollections('palette').length;
+
+  const items = ['palette', 'global'].flatMap(scope => getCollections(scope).map((collection, index) => ({ scope, index, collection })));
+  if (!items.length) {
+    list.innerHTML = '<li class="form-hint">Save a search to keep it here.</li>';
+    return;
+  }
+
+  list.innerHTML = items.map(({ scope, index, collection }) => {
+    const error = searchErrorHTML(collection.settings.searchInput);
+    const count = State.paletteData && !error ? getCollectionMatches(collection).length : '';
+    return `
+      <li class="collection-item ${scope === 'global' ? 'is-global' : ''}" data-scope="${scope}" data-index="${index}"
+          title="${escapeHtml(collection.settings.searchInput || '(no search text)')}${scope === 'global' ? ' · global preset' : ''}">
+        <span class="collection-name">${escapeHtml(collection.name)}</span>
+        ${error ? '<span class="collection-error">invalid</span>' : `<span class="page-count">${count}</span>`}
+        <button class="secondary" data-action="copy" title="Copy matching IDs" ${State.paletteData ? '' : 'disabled'}>IDs</button>
+        <button class="secondary" data-action="delete" title="Delete collection">&times;</button>
+      </li>`;
+  }).join('');
+}
+
+/**
+ * Handle clicks in the sidebar collections list and its file input
+ */
+export function initCollections() {
+  document.getElementById('collections-list').addEventListener('click', async (e) => {
+    const item = e.target.closest('.collection-item');
+    if (!item) return;
+    const { scope } = item.dataset;
+    const index = parseInt(item.dataset.index);
+    const action = e.target.closest('button')?.dataset.action;
+
+    if (action === 'delete') {
+      if (confirm(`Delete collection "${getCollections(scope)[index].name}"?`)) deleteCollection(scope, index);
+    } else if (action === 'copy') {
+      const button = e.target.closest('button');
+      if (await copyCollectionIds(scope, index)) {
+        button.textContent = 'Copied!';
+        setTimeout(() => { button.textContent = 'IDs'; }, 1500);
+      }
+    } else {
+      applyCollection(scope, index);
+    }
+  });
+
+  document.getElementById('collectionsFileInput').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      importCollections(await file.text());
+    } catch (err) {
+      alert(`${file.name}: ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Keep the search part of filter settings
+ * @param {Object} settings - Control id -> value
+ * @returns {Object} Control id -> value
+ */
+function pickSearchSettings(settings) {
+  return Object.fromEntries(Object.keys(SEARCH_DEFAULTS).filter(id => id in settings).map(id => [id, settings[id]]));
+}
+
+/**
+ * Save the global presets
+ */
+function saveGlobalCollections() {
+  if (!isStorageAvailable()) return;
+  idbPut('settings', 'collections', structuredClone(globalCollections)).catch(err => console.warn('Could not save collections:', err));
+}
+
+/**
+ * Add a collection to a list, replacing one with the same name
+ * @param {Array} list - [{ name, settings }]
+ * @param {Object} collection - { name, settings }
+ * @returns {Array} New list
+ */
+function upsert(list, collection) {
+  const index = list.findIndex(c => c.name === collection.name);
+  return index < 0 ? [...list, collection] : list.map((c, i) => i === index ? collection : c);
+}
+
+/**
+ * Keep the well-formed collections of a stored or imported list
+ * @param {*} list - Stored value
+ * @returns {Array} [{ name, settings }]
+ */
+function normalizeCollections(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(c => c && typeof c.name === 'string' && c.name.trim() && c.settings && typeof c.settings === 'object')
+    .map(c => ({ name: c.name.trim(), settings: pickSearchSettings(c.settings) }));
+}
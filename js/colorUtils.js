@@ -11,7 +11,24 @@ import { CONFIG } from './config.js';
  * @returns {string} Full name with suffix
  */
 export function getFullExportName(color) {
-  return color.name + (CONFIG.ROLES[color.role]?.suffix || '');
+  const role = CONFIG.ROLES[color.role];
+  return color.name + ((role ? role.suffix : CONFIG.REMOVED_ROLE_SUFFIXES[color.role]) || '');
+}
+
+/**
+ * Split a raw style name into clean name and role
+ * @param {string} rawName - Name including an optional role suffix (e.g. "hair_sh")
+ * @returns {Object} { role, name } (e.g. { role: 'shadow', name: 'hair' })
+ */
+export function splitRoleSuffix(rawName) {
+  // The longest matching suffix wins, so "_rim_sh" isn't read as "_sh"
+  const roles = Object.entries(CONFIG.ROLES).sort((a, b) => b[1].suffix.length - a[1].suffix.length);
+  for (const [key, val] of roles) {
+    if (val.suffix && rawName.endsWith(val.suffix)) {
+      return { role: key, name: rawName.slice(0, -val.suffix.length) };
+    }
+  }
+  return { role: 'none', name: rawName };
 }
 
 /**
@@ -81,6 +98,115 @@ export function hexToRgb(hex) {
   };
 }
 
+/**
+ * Convert RGB to HSV
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Object} { h: 0-360, s: 0-1, v: 0-1 }
+ */
+export function rgbToHsv(r, g, b) {
+  const { h, s } = rgbToHsl(r, g, b);
+  return { h, s, v: Math.max(r, g, b) / 255 };
+}
+
+/**
+ * Convert HSV to RGB (channels are not rounded)
+ * @param {number} h - Hue (degrees, any range)
+ * @param {number} s - Saturation (0-1)
+ * @param {number} v - Value (0-1)
+ * @returns {Object} { r, g, b } in 0-255
+ */
+export function hsvToRgb(h, s, v) {
+  const channel = n => {
+    const k = (n + ((h % 360) + 360) % 360 / 60) % 6;
+    return (v - v * s * Math.max(0, Math.min(k, 4 - k, 1))) * 255;
+  };
+  return { r: channel(5), g: channel(3), b: channel(1) };
+}
+
+/**
+ * Convert an sRGB channel to linear light
+ * @param {number} value - Channel (0-255)
+ * @returns {number} Linear value (0-1)
+ */
+export function srgbToLinear(value) {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Convert a linear light value to an sRGB channel (not rounded)
+ * @param {number} value - Linear value (0-1)
+ * @returns {number} Channel (0-255)
+ */
+export function linearToSrgb(value) {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+  return c * 255;
+}
+
+/**
+ * Convert RGB to OKLab
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Object} { L: 0-1, a, b }
+ */
+export function rgbToOklab(r, g, b) {
+  const [lr, lg, lb] = [r, g, b].map(srgbToLinear);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+/**
+ * Convert OKLab to RGB (channels are not rounded or clamped)
+ * @param {number} L - Lightness (0-1)
+ * @param {number} a - Green/red axis
+ * @param {number} b - Blue/yellow axis
+ * @returns {Object} { r, g, b } in 0-255
+ */
+export function oklabToRgb(L, a, b) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return {
+    r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  };
+}
+
+/**
+ * Convert RGB to OKLCH (OKLab in polar form)
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {Object} { L: 0-1, C, h: 0-360 }
+ */
+export function rgbToOklch(r, g, b) {
+  const lab = rgbToOklab(r, g, b);
+  const h = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+  return { L: lab.L, C: Math.hypot(lab.a, lab.b), h: (h + 360) % 360 };
+}
+
+/**
+ * Convert OKLCH to RGB (channels are not rounded or clamped)
+ * @param {number} L - Lightness (0-1)
+ * @param {number} C - Chroma
+ * @param {number} h - Hue (degrees)
+ * @returns {Object} { r, g, b } in 0-255
+ */
+export function oklchToRgb(L, C, h) {
+  const rad = h * Math.PI / 180;
+  return oklabToRgb(L, C * Math.cos(rad), C * Math.sin(rad));
+}
+
 /**
  * Generate a unique palette prefix (timestamp-based)
  * @returns {string} Prefix like "1611507682_2814"
@@ -88,3 +214,122 @@ export function hexToRgb(hex) {
 export function generatePalettePrefix() {
   return `${Math.floor(Date.now() / 1000)}_${Math.floor(Math.random() * 90000) + 1000}`;
 }
+
+/**
+ * Check whether a style is a plain solid color that the wheel/sliders can edit
+ * @param {Object} color - Color object
+ * @returns {boolean}
+ */
+export function isSolidStyle(color) {
+  return !!color && !color.unparsed && !color.params && String(color.tagID) === '3';
+}
+
+/**
+ * Build the text content of a <style> node from a color object
+ * Non-solid styles write their preserved parameter list after the tag ID,
+ * unparsed styles are written back exactly as they were read.
+ * @param {Object} color - Color object
+ * @param {boolean} isStudioPalette - Whether the palette uses quoted global IDs
+ * @returns {string} Style content like `_1 "|-prefix-3"skin 3 255 200 180 255`
+ */
+export function formatStyleContent(color, isStudioPalette) {
+  if (color.unparsed) return color.raw;
+
+  const flags = ((color.flags || 0) & ~1) | (color.hasTrace ? 1 : 0);
+  const trace = flags ? `_${flags} ` : '';
+  const id = isStudioPalette ? color.id : '';
+  const params = color.params !== undefined && color.params !== null
+    ? color.params
+    : `${color.r} ${color.g} ${color.b} ${color.a}`;
+
+  return `${trace}${id}${getFullExportName(color)} ${color.tagID}${params ? ' ' + params : ''}`;
+}
+
+/**
+ * Build the text content of an animation <keyframe> node
+ * @param {Object} color - Color object owning the keyframe
+ * @param {Object} keyframe - Keyframe object
+ * @returns {string} Keyframe content like `skin 3 255 200 180 255`
+ */
+export function formatKeyframeContent(color, keyframe) {
+  const params = keyframe.params !== undefined && keyframe.params !== null
+    ? keyframe.params
+    : `${keyframe.r} ${keyframe.g} ${keyframe.b} ${keyframe.a}`;
+  return `${getFullExportName(color)} ${color.tagID}${params ? ' ' + params : ''}`;
+}
+
+/**
+ * Return the original source text for an unchanged style/keyframe
+ * The parser remembers both the raw text and the content it would have
+ * generated itself; as long as the generated content still matches, the
+ * raw text is reused so untouched styles round-trip byte-for-byte.
+ * @param {Object} item - Color or keyframe object with an optional `source`
+ * @param {string} content - Freshly generated content
+ * @returns {string}
+ */
+export function preserveSource(item, content) {
+  return item.source && item.source.generated === content ? item.source.raw : content;
+}
+
+/**
+ * Split a studio palette style ID into its parts
+ * @param {string} fullId - Full quoted ID like "|-prefix-12"
+ * @returns {Object|null} { lead, prefix, number } like { lead: '|-', prefix: 'prefix', number: '12' }
+ */
+export function splitStyleId(fullId) {
+  const match = String(fullId).replace(/"/g, '').match(/^([|+-]*)(.*)-(\d+)$/);
+  if (!match) return null;
+  return { lead: match[1], prefix: match[2], number: match[3] };
+}
+
+/**
+ * Build a style ID for the given palette
+ * Studio palettes get quoted global IDs ("|-prefix-N"), level palettes use the bare index.
+ * @param {Object} paletteData - Palette metadata (isStudioPalette, prefix, idLead)
+ * @param {number|string} number - Style number
+ * @returns {string} Full quoted ID
+ */
+export function buildStyleId(paletteData, number) {
+  if (!paletteData?.isStudioPalette || !paletteData.prefix) return `"${number}"`;
+  const lead = paletteData.idLead !== undefined ? paletteData.idLead : '|-';
+  return `"${lead}${paletteData.prefix}-${number}"`;
+}
+
+/**
+ * Get the first style number after the highest one in use
+ * @param {Array} colors - Color objects
+ * @returns {number}
+ */
+export function getNextStyleNumber(colors) {
+  const numbers = colors.map(c => parseInt(getShortId(c.id))).filter(n => !isNaN(n));
+  return (numbers.length ? Math.max(...numbers) : 0) + 1;
+}
+
+/**
+ * Rename style IDs in place (colors and page membership)
+ * @param {Object} paletteData - Palette metadata holding the pages
+ * @param {Array} colors - Color objects
+ * @param {Map<string, string>} remap - Old full ID -> new full ID
+ */
+export function applyStyleIdRemap(paletteData, colors, remap) {
+  colors.forEach(c => {
+    if (remap.has(c.id)) c.id = remap.get(c.id);
+  });
+  (paletteData?.pages || []).forEach(page => {
+    page.ids = page.ids.map(id => remap.has(id) ? remap.get(id) : id);
+  });
+}
+
+/**
+ * Format a style ID remap table as CSV (for compositors re-linking styles)
+ * @param {Array} rows - [{ from, to, name, action, note }] with unquoted full IDs
+ * @returns {string}
+ */
+export function formatRemapCsv(rows) {
+  const cell = value => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [['old_id', 'new_id', 'name', 'action', 'note'], ...rows.map(r => [r.from, r.to, r.name, r.action, r.note])];
+  return lines.map(line => line.map(cell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,188 @@
+/**
+ * COMPARE PALETTES
+ * Side-by-side diff of two palettes (files or the active tab) with color
+ * swatches, exportable as a text or JSON report
+ */
+
+import * as State from './state.js';
+import { readPalette } from './paletteFormats.js';
+import { readFileBuffer } from './fileLoader.js';
+import { hasErrors, SEVERITY } from './diagnostics.js';
+import { diffPalettes, isDiffEmpty, formatDiffText, buildDiffReport, DIFF_KINDS } from './paletteDiff.js';
+import { downloadFile } from './exporter.js';
+import { openModal, escapeHtml } from './modal.js';
+
+// Row filters besides the change kinds
+const STATUS_LABELS = { added: 'Added', removed: 'Removed' };
+
+const CHOOSE_HINT = '<p class="form-hint">Choose two palettes to compare. Styles are matched by ID, then by name.</p>';
+
+/**
+ * Open the compare panel
+ */
+export function showCompare() {
+  // { label, paletteData, colors } per side
+  const sides = { before: null, after: null };
+  let diff = null;
+
+  const side = (key, title) => `
+    <div class="compare-side" data-side="${key}">
+      <div class="compare-side-title">${title}</div>
+      <div class="compare-side-name">Nothing chosen</div>
+      <button class="secondary" data-action="file">Choose File…</button>
+      <button class="secondary" data-action="tab" ${State.paletteData ? '' : 'disabled'}>Use Active Tab</button>
+      <input type="file" accept=".tpl,.xml,.json" style="display:none">
+    </div>`;
+
+  const body = openModal({
+    title: 'Compare Palettes',
+    width: '960px',
+    body: `
+      <div class="compare-pickers">${side('before', 'Before')}${side('after', 'After')}</div>
+      <div class="form-row">
+        <label>Show</label>
+        <select class="compare-filter">
+          <option value="">All differences</option>
+          ${Object.entries({ ...STATUS_LABELS, ...DIFF_KINDS }).map(([kind, label]) => `<option value="${kind}">${label}</option>`).join('')}
+        </select>
+      </div>
+      <div class="compare-results">${CHOOSE_HINT}</div>`,
+    buttons: [
+      { label: 'Export Text', onClick: () => { exportReport('txt'); return false; } },
+      { label: 'Export JSON', onClick: () => { exportReport('json'); return false; } },
+      { label: 'Close' }
+    ]
+  });
+
+  const filter = body.querySelector('.compare-filter');
+
+  const update = () => {
+    const results = body.querySelector('.compare-results');
+    if (!sides.before || !sides.after) {
+      diff = null;
+      results.innerHTML = CHOOSE_HINT;
+      return;
+    }
+    diff = diffPalettes(sides.before, sides.after);
+    results.innerHTML = renderDiff(diff, filter.value);
+  };
+
+  const exportReport = format => {
+    if (!diff) return;
+    const baseName = `${sides.before.paletteData.name}_vs_${sides.after.paletteData.name}_diff`;
+    if (format === 'json') {
+      const report = buildDiffReport(diff, sides.before.label, sides.after.label);
+      downloadFile(JSON.stringify(report, null, 2), `${baseName}.json`, 'application/json');
+    } else {
+      const text = `Before: ${sides.before.label}\nAfter:  ${sides.after.label}\n\n${formatDiffText(diff)}\n`;
+      downloadFile(text, `${baseName}.txt`, 'text/plain');
+    }
+  };
+
+  body.querySelectorAll('.compare-side').forEach(el => {
+    const key = el.dataset.side;
+    const input = el.querySelector('input[type="file"]');
+    const setSide = (value, label) => {
+      sides[key] = value;
+      el.querySelector('.compare-side-name').textContent = label;
+      update();
+    };
+
+    el.querySelector('[data-action="file"]').addEventListener('click', () => input.click());
+    el.querySelector('[data-action="tab"]').addEventListener('click', () => {
+      const label = `${State.paletteData.name} (open tab)`;
+      setSide({ label, paletteData: State.paletteData, colors: State.colors }, label);
+    });
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      input.value = '';
+      if (!file) return;
+      const { paletteData, colors, report } = await readPalette(file.name, await readFileBuffer(file));
+      if (!paletteData || hasErrors(report)) {
+        const error = report.entries.find(e => e.severity === SEVERITY.ERROR);
+        setSide(null, `${file.name}: ${error ? error.message : 'could not be read'}`);
+        return;
+      }
+      setSide({ label: file.name, paletteData, colors }, `${file.name} – ${colors.length} styles`);
+    });
+  });
+
+  filter.addEventListener('change', update);
+}
+
+/**
+ * Generate the HTML of a diff
+ * @param {Object} diff - Result of diffPalettes
+ * @param {string} kind - Only show rows of this kind ('' for all)
+ * @returns {string} HTML string
+ */
+function renderDiff(diff, kind) {
+  if (isDiffEmpty(diff)) return '<p class="form-hint">The palettes are identical.</p>';
+
+  const change = c => `${escapeHtml(c.field)}: ${valueHTML(c.before)} → ${valueHTML(c.after)}`;
+  const rows = [
+    ...diff.removed.map(style => ({ kinds: ['removed'], before: style, after: null, details: escapeHtml(style.value) })),
+    ...diff.added.map(style => ({ kinds: ['added'], before: null, after: style, details: escapeHtml(style.value) })),
+    ...diff.changed.map(c => ({ kinds: c.kinds, before: c.before, after: c.after, details: c.changes.map(change).join('<br>') }))
+  ].filter(row => !kind || row.kinds.includes(kind));
+
+  const labels = { ...STATUS_LABELS, ...DIFF_KINDS };
+  const notes = [
+    ...diff.palette.map(c => `Palette ${change(c)}`),
+    ...diff.pages.map(p => `Page "${escapeHtml(p.name)}" ${p.status}: ${[...p.added.map(id => `+${id}`), ...p.removed.map(id => `-${id}`)].join(' ')}`),
+    ...(diff.reordered ? ['Style order changed'] : [])
+  ];
+
+  return `
+    <p class="form-hint">${escapeHtml(formatDiffText(diff).split('\n').find(line => line.startsWith('Styles:')) || 'No style changes')}</p>
+    ${notes.length ? `<ul class="compare-notes">${notes.map(note => `<li>${note}</li>`).join('')}</ul>` : ''}
+    ${rows.length ? `
+      <table class="compare-table">
+        <thead><tr><th>Change</th><th>Before</th><th>After</th><th>Details</th></tr></thead>
+        <tbody>${rows.map(row => `
+          <tr>
+            <td>${row.kinds.map(k => `<span class="compare-badge compare-badge-${k}">${labels[k]}</span>`).join(' ')}</td>
+            <td>${styleCellHTML(row.before)}</td>
+            <td>${styleCellHTML(row.after)}</td>
+            <td class="compare-details">${row.details}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '<p class="form-hint">No styles match this filter.</p>'}`;
+}
+
+/**
+ * Generate the HTML of a style summary (swatch, ID and name)
+ * @param {Object|null} style - Style summary from the diff
+ * @returns {string} HTML string
+ */
+function styleCellHTML(style) {
+  if (!style) return '';
+  return `
+    <span class="compare-style">
+      ${swatchHTML(style.rgba)}
+      <span class="compare-style-id">#${escapeHtml(style.id)}</span>
+      ${escapeHtml(style.name)}
+    </span>`;
+}
+
+/**
+ * Generate the HTML of a changed value, with a swatch for RGBA values
+ * @param {*} value - Value before or after a change
+ * @returns {string} HTML string
+ */
+function valueHTML(value) {
+  if (value === undefined || value === null) return '<em>none</em>';
+  const rgba = /^(\d+),(\d+),(\d+),(\d+)\b/.exec(String(value));
+  return rgba ? `${swatchHTML(rgba.slice(1).map(Number))}${escapeHtml(value)}` : escapeHtml(String(value));
+}
+
+/**
+ * Generate a color swatch
+ * @param {Array|null} rgba - [r, g, b, a]
+ * @returns {string} HTML string
+ */
+function swatchHTML(rgba) {
+  if (!rgba) return '<span class="compare-swatch is-unknown"></span>';
+  const [r, g, b, a] = rgba;
+  return `<span class="compare-swatch" style="background: rgba(${r}, ${g}, ${b}, ${a / 255});"></span>`;
+}
@@ -7,10 +7,15 @@ export const CONFIG = {
   VERSION: "v1.0.4",
   AUTHOR: "KONERO",
   DEFAULT_TPL_VER: "71 0",
+  // Built-in roles; the roles editor replaces the contents with the user's
+  // roles (tone: how a variant compares to its base, for the role check)
   ROLES: {
-    none:      { suffix: '',    label: 'BASE',   cssClass: '' },
-    shadow:    { suffix: '_sh', label: 'SHADOW', cssClass: 'is-shadow' },
-    highlight: { suffix: '_hl', label: 'LIGHT',  cssClass: 'is-highlight' },
-    ao:        { suffix: '_ao', label: 'AO',     cssClass: 'is-ao' }
-  }
+    none:      { suffix: '',    label: 'BASE',   cssClass: '',             color: '#ffffff', tone: '' },
+    shadow:    { suffix: '_sh', label: 'SHADOW', cssClass: 'is-shadow',    color: '#666ad1', tone: 'darker' },
+    highlight: { suffix: '_hl', label: 'LIGHT',  cssClass: 'is-highlight', color: '#e74c3c', tone: 'brighter' },
+    ao:        { suffix: '_ao', label: 'AO',     cssClass: 'is-ao',        color: '#98c379', tone: 'darker' }
+  },
+  // Suffixes of removed roles (role key -> suffix), so styles that still have
+  // such a role (undo steps, stored palettes) keep the suffix on export
+  REMOVED_ROLE_SUFFIXES: {}
 };
@@ -0,0 +1,104 @@
+/**
+ * IMPORT DIAGNOSTICS
+ * Structured report of everything noteworthy that happened while importing
+ */
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/**
+ * Create an empty import report
+ * @param {string} source - File name or description of the imported data
+ * @returns {Object} Report { source, entries, stats }
+ */
+export function createReport(source = '') {
+  return {
+    source,
+    entries: [],
+    stats: {
+      styles: 0,        // <style> nodes found
+      loaded: 0,        // styles available in the palette
+      readOnly: 0,      // non-solid styles kept with their parameters
+      raw: 0,           // styles kept as raw text
+      skipped: 0,       // keyframes and entries that could not be kept at all
+      missingTargets: 0 // animation entries pointing at unknown styles
+    }
+  };
+}
+
+/**
+ * Add an entry to a report
+ * @param {Object} report - Report created by createReport
+ * @param {string} severity - One of SEVERITY
+ * @param {string} message - Human readable message
+ * @param {Object} [details] - { styleIndex, line, raw }
+ */
+export function addDiagnostic(report, severity, message, details = {}) {
+  if (!report) return;
+  report.entries.push({
+    severity,
+    message,
+    styleIndex: details.styleIndex ?? null,
+    line: details.line ?? null,
+    raw: details.raw ?? null
+  });
+}
+
+/**
+ * Check whether a report contains errors (the import failed)
+ * @param {Object} report - Import report
+ * @returns {boolean}
+ */
+export function hasErrors(report) {
+  return report.entries.some(e => e.severity === SEVERITY.ERROR);
+}
+
+/**
+ * Build a one-line summary of a report
+ * e.g. "412 styles loaded, 3 kept as raw text, 1 animation target not found"
+ * @param {Object} report - Import report
+ * @returns {string}
+ */
+export function summarizeReport(report) {
+  if (hasErrors(report)) {
+    return `Import failed: ${report.entries.find(e => e.severity === SEVERITY.ERROR).message}`;
+  }
+
+  const { loaded, readOnly, raw, skipped, missingTargets } = report.stats;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const parts = [`${plural(loaded, 'style')} loaded`];
+
+  if (readOnly) parts.push(`${readOnly} read-only`);
+  if (raw) parts.push(`${raw} kept as raw text`);
+  if (skipped) parts.push(`${skipped} skipped`);
+  if (missingTargets) parts.push(`${plural(missingTargets, 'animation target')} not found`);
+
+  const warnings = report.entries.filter(e => e.severity === SEVERITY.WARNING).length;
+  if (warnings) parts.push(plural(warnings, 'warning'));
+
+  return parts.join(', ');
+}
+
+/**
+ * Find the 1-based line number of every match of a pattern in a text
+ * Used to point diagnostics at the right place in the source file.
+ * @param {string} text - Source text
+ * @param {RegExp} pattern - Global regular expression
+ * @returns {Array<number>} Line numbers in match order
+ */
+export function findLineNumbers(text, pattern) {
+  const lines = [];
+  let line = 1;
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    for (let i = lastIndex; i < match.index; i++) {
+      if (text.charCodeAt(i) === 10) line++;
+    }
+    lastIndex = match.index;
+    lines.push(line);
+  }
+  return lines;
+}
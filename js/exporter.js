@@ -3,74 +3,83 @@
  * TPL and JSON export functionality
  */
 
-import { paletteData, colors } from './state.js';
-import { getFullExportName, getShortId } from './colorUtils.js';
+import { paletteData, colors, lastFilteredColors } from './state.js';
+import { SWATCH_WRITERS } from './swatchFormats.js';
+import { writePalette } from './paletteFormats.js';
+import { openModal } from './modal.js';
 
 /**
  * Export palette as TPL file
  */
 export function exportPalette() {
   if (!paletteData) return;
-
-  let rootTag;
-  if (paletteData.isStudioPalette) {
-    rootTag = `<palette name="${paletteData.prefix}">`;
-  } else {
-    rootTag = `<palette id="${paletteData.originalId || '1'}">`;
-  }
-
-  let xml = `${rootTag}\n  <version>\n    ${paletteData.version}\n  </version>\n  <styles>\n`;
   
-  colors.forEach(c => {
-    const trace = c.hasTrace ? '_1 ' : '';
-    let exportName = getFullExportName(c);
-    let styleContent;
+  downloadFile(writePalette('tpl', paletteData, colors).content, `${paletteData.name}.tpl`, 'text/plain');
+}
 
-    if (paletteData.isStudioPalette) {
-      styleContent = `${trace}${c.id}${exportName} ${c.tagID} ${c.r} ${c.g} ${c.b} ${c.a}`;
-    } else {
-      styleContent = `${trace}${exportName} ${c.tagID} ${c.r} ${c.g} ${c.b} ${c.a}`;
-    }
-    xml += `    <style>\n      ${styleContent} \n    </style>\n`;
-  });
+/**
+ * Export palette as JSON file (versioned schema, see jsonFormat.js)
+ */
+export function exportJson() {
+  if (!paletteData) return;
   
-  xml += `  </styles>\n`;
+  downloadFile(writePalette('json', paletteData, colors).content, `${paletteData.name}.json`, 'application/json');
+}
 
-  // Animation data
-  const animatedColors = colors.filter(c => c.keyframes && c.keyframes.length > 0);
-  if (animatedColors.length > 0) {
-    xml += `  <animation>\n`;
-    animatedColors.forEach(c => {
-      const shortId = getShortId(c.id);
-      xml += `    <style id="${shortId}">\n`;
-      c.keyframes.forEach(kf => {
-        xml += `      <keyframe frame="${kf.frame}">\n        ${getFullExportName(c)} ${c.tagID} ${kf.r} ${kf.g} ${kf.b} ${kf.a} \n      </keyframe>\n`;
-      });
-      xml += `    </style>\n`;
-    });
-    xml += `  </animation>\n`;
-  }
+/**
+ * Open the swatch export dialog (GIMP/Krita/Adobe formats)
+ */
+export function openSwatchExport() {
+  if (!paletteData) return;
 
-  xml += `  <stylepages>\n    <page>\n      <name>\n        colors \n      </name>\n      <indices>\n        ${colors.map((_, i) => i).join(' ')} \n      </indices>\n    </page>\n  </stylepages>\n  <shortcuts>\n    ${paletteData.shortcuts}\n  </shortcuts>\n</palette>`;
-  
-  downloadFile(xml, `${paletteData.name}.tpl`, 'text/plain');
+  const formats = Object.entries(SWATCH_WRITERS).map(([key, writer], i) => `
+    <label class="toggle-label"><input type="radio" name="swatchFormat" value="${key}" ${i === 0 ? 'checked' : ''}> ${writer.label}</label>`).join('');
+
+  openModal({
+    title: 'Export Swatches',
+    body: `
+      <div class="form-row">
+        <label>Format</label>
+        ${formats}
+      </div>
+      <div class="form-row">
+        <label>Colors</label>
+        <label class="toggle-label"><input type="radio" name="swatchScope" value="all" checked> Whole palette (${colors.length})</label>
+        <label class="toggle-label"><input type="radio" name="swatchScope" value="filtered"> Current filtered set (${lastFilteredColors.length})</label>
+      </div>
+      <div class="form-row">
+        <label class="toggle-label"><input type="checkbox" id="swatchSkipTransparent" checked> Skip fully transparent colors (e.g. bg)</label>
+        <span class="form-hint">These formats can't store alpha: semi-transparent colors are exported with their opaque RGB values.</span>
+      </div>`,
+    buttons: [
+      { label: 'Cancel' },
+      {
+        label: 'Export',
+        className: '',
+        onClick: body => exportSwatches(body.querySelector('input[name="swatchFormat"]:checked').value, {
+          filteredOnly: body.querySelector('input[name="swatchScope"]:checked').value === 'filtered',
+          skipTransparent: body.querySelector('#swatchSkipTransparent').checked
+        })
+      }
+    ]
+  });
 }
 
 /**
- * Export palette as JSON file
+ * Export the palette (or the filtered set) as a swatch file
+ * @param {string} format - Key of SWATCH_WRITERS (gpl, kpl, ase, aco)
+ * @param {Object} options - { filteredOnly, skipTransparent }
  */
-export function exportJson() {
-  if (!paletteData) return;
-  
-  const data = colors.map(c => ({
-    id: getShortId(c.id), 
-    name: c.name, 
-    role: c.role, 
-    color: { r: c.r, g: c.g, b: c.b, a: c.a },
-    keyframes: c.keyframes
-  }));
-  
-  downloadFile(JSON.stringify(data, null, 2), `${paletteData.name}.json`, 'application/json');
+export function exportSwatches(format, { filteredOnly = false, skipTransparent = true } = {}) {
+  const writer = SWATCH_WRITERS[format];
+  if (!paletteData || !writer) return;
+
+  const { content, semiTransparent } = writePalette(format, paletteData, filteredOnly ? lastFilteredColors : colors, { skipTransparent });
+  downloadFile(content, `${paletteData.name}.${writer.ext}`, writer.type);
+
+  if (semiTransparent) {
+    alert(`${semiTransparent} semi-transparent color(s) were exported without alpha.`);
+  }
 }
 
 /**
@@ -5,9 +5,12 @@
 
 import * as State from './state.js';
 import { renderPalette } from './renderer.js';
-import { renderTimeline, getInterpolatedColor, updateUIForCurrentFrame } from './timeline.js';
+import { renderTimeline, updateUIForCurrentFrame } from './timeline.js';
+import { getInterpolatedColor, insertKeyframe } from './interpolation.js';
 import { updateWheelFromSelection } from './wheelManager.js';
 import { selectColor, ensureCardSelected } from './ui.js';
+import { isSolidStyle } from './colorUtils.js';
+import { recordChange } from './history.js';
 
 // Track if eyedropper is currently active
 let isEyedropperActive = false;
@@ -55,6 +58,12 @@ export function activateEyedropperForCard(idx) {
     return;
   }
   
+  // Textures, gradients and unparsed styles have no single color to replace
+  if (!isSolidStyle(State.colors[idx])) {
+    console.warn('Cannot pick a color for a non-solid style');
+    return;
+  }
+  
   // Check for API support
   if (!isEyeDropperSupported()) {
     showFallbackPicker(idx);
@@ -121,6 +130,7 @@ function applyPickedColor(color) {
   if (idx < 0 || idx >= State.colors.length) return;
   
   const colorObj = State.colors[idx];
+  recordChange(`Pick color for ${colorObj.name}`);
   
   // Get current alpha (preserve it)
   let currentAlpha = colorObj.a;
@@ -138,14 +148,13 @@ function applyPickedColor(color) {
     // Has keyframes but we're not on one - create a new keyframe
     const frameColor = getInterpolatedColor(State.selectedFrame, colorObj);
     currentAlpha = frameColor.a;
-    colorObj.keyframes.push({ 
+    insertKeyframe(colorObj, { 
       frame: State.selectedFrame, 
       r: color.r, 
       g: color.g, 
       b: color.b, 
       a: currentAlpha 
     });
-    colorObj.keyframes.sort((a, b) => a.frame - b.frame);
   } else {
     // No keyframes exist, just update base color
     colorObj.r = color.r;
@@ -0,0 +1,133 @@
+/**
+ * FILE LOADER
+ * Reads dropped/selected files and routes them to the matching importer
+ */
+
+import { setLastImportReport } from './parser.js';
+import { readPalette } from './paletteFormats.js';
+import { createReport, addDiagnostic, hasErrors, SEVERITY } from './diagnostics.js';
+import { onImportFinished } from './importReport.js';
+import { openPalette } from './workspace.js';
+import { importCollections, SIDECAR_SUFFIX } from './collections.js';
+
+/**
+ * Handle file input and read contents
+ * @param {Event} event - File input change event
+ */
+export function handleFile(event) {
+  loadFiles(event.target.files);
+  event.target.value = ''; // Reset input
+}
+
+/**
+ * Let palette files be dropped anywhere on the page
+ * Only reacts to file drags so card/page drag and drop keeps working.
+ */
+export function initFileDrop() {
+  const hasFiles = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  document.addEventListener('dragover', e => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    document.body.classList.add('file-drag-over');
+  });
+
+  document.addEventListener('dragleave', e => {
+    // relatedTarget is null when the pointer leaves the window
+    if (hasFiles(e) && !e.relatedTarget) document.body.classList.remove('file-drag-over');
+  });
+
+  document.addEventListener('drop', e => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove('file-drag-over');
+
+    loadFiles(e.dataTransfer.files);
+  });
+}
+
+/**
+ * Load a palette file of any supported format into a new workspace tab
+ * @param {string} fileName - File name (used for format detection)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} Import report
+ */
+export async function loadPaletteFile(fileName, buffer) {
+  const recentKey = getRecentFileKey(fileName, buffer);
+  let palette;
+  try {
+    palette = await readPalette(fileName, buffer);
+  } catch (err) {
+    // Readers report what they can; anything they throw fails the whole file
+    const report = createReport(fileName);
+    addDiagnostic(report, SEVERITY.ERROR, err.message);
+    palette = { paletteData: null, report };
+  }
+  const { paletteData, colors, endFrame, report } = palette;
+  setLastImportReport(report);
+
+  if (paletteData && !hasErrors(report)) {
+    openPalette({ paletteData, colors, endFrame }, recentKey);
+  }
+  onImportFinished(report);
+  return report;
+}
+
+/**
+ * Read a File into an ArrayBuffer
+ * @param {File} file - Selected or dropped file
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readFileBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Make the recent list key of a loaded file
+ * Files that only share their name (e.g. from different folders) get their
+ * own entries; opening the same file again reuses its entry.
+ * @param {string} fileName - File name
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {string} Key like "file:hero.tpl:1a2b3c4d"
+ */
+export function getRecentFileKey(fileName, buffer) {
+  // FNV-1a hash of the contents
+  let hash = 0x811c9dc5;
+  for (const byte of new Uint8Array(buffer)) hash = Math.imul(hash ^ byte, 0x01000193);
+  return `file:${fileName}:${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Load each file into its own tab, one after another
+ * A collections sidecar (name.collections.json) goes to the palette loaded
+ * with it from a file of the same name, or else to the active palette.
+ * @param {FileList} files - Selected or dropped files
+ * @returns {Promise}
+ */
+async function loadFiles(files) {
+  const isSidecar = file => file.name.toLowerCase().endsWith(SIDECAR_SUFFIX);
+  const sidecars = Array.from(files).filter(isSidecar);
+  const baseName = name => name.replace(/\.[^.]+$/, '');
+
+  const loadSidecar = async file => {
+    sidecars.splice(sidecars.indexOf(file), 1);
+    try {
+      importCollections(await file.text());
+    } catch (err) {
+      alert(`${file.name}: ${err.message}`);
+    }
+  };
+
+  for (const file of Array.from(files).filter(file => !isSidecar(file))) {
+    const report = await loadPaletteFile(file.name, await readFileBuffer(file));
+    const sidecar = sidecars.find(s => s.name.slice(0, -SIDECAR_SUFFIX.length) === baseName(file.name));
+    if (sidecar && !hasErrors(report)) await loadSidecar(sidecar);
+  }
+  for (const file of [...sidecars]) await loadSidecar(file);
+}
@@ -3,47 +3,102 @@
  * Color list filtering and sorting logic
  */
 
-import { colors } from './state.js';
+import { colors, paletteData, activePageIndex } from './state.js';
 import { getFullExportName, rgbToHsl } from './colorUtils.js';
+import { parseQuery, matchesQuery } from './query.js';
+import { escapeHtml } from './modal.js';
 
 /**
  * Get filtered list of colors based on current UI settings
  * @returns {Array} Filtered array of color objects
  */
 export function getFilteredList() {
-  const term = document.getElementById('searchInput').value;
-  const matchCase = document.getElementById('matchCaseCheck').checked;
-  const matchWhole = document.getElementById('matchWholeWordCheck').checked;
-  const hueOn = document.getElementById('hueFilterCheck').checked;
-  const animatedOnly = document.getElementById('animatedFilterCheck').checked;
-  
   let results = [...colors];
 
-  // Animated filter
-  if (animatedOnly) {
-    results = results.filter(c => c.keyframes && c.keyframes.length > 0);
+  // Page filter
+  const page = getActivePage();
+  if (page) {
+    const ids = new Set(page.ids);
+    results = results.filter(c => ids.has(c.id));
   }
 
-  // Text filter
-  if (term) {
-    const pattern = term.replace(/[.*+?^${}()|[\\]/g, '\\$&').replace(/\\\*/g, '.*');
-    const regex = new RegExp(matchWhole ? `^${pattern}$` : pattern, matchCase ? '' : 'i');
-    results = results.filter(c => regex.test(getFullExportName(c)));
-  }
+  const criteria = getSearchCriteria();
+  showSearchError(criteria.term);
+  return filterColors(results, criteria, { pages: paletteData?.pages });
+}
 
-  // Hue filter
-  if (hueOn) {
-    const targetHue = parseInt(document.getElementById('hueSlider').value);
-    const threshold = parseInt(document.getElementById('hueThresholdSlider').value);
-    results = results.filter(c => {
-      const hsl = rgbToHsl(c.r, c.g, c.b);
-      if (hsl.s < 0.1) return false; // Ignore desaturated colors
-      const diff = Math.abs(hsl.h - targetHue);
-      return Math.min(diff, 360 - diff) <= threshold;
-    });
-  }
+/**
+ * Read the search criteria from the filter bar
+ * @returns {Object} { term, matchCase, matchWhole, animatedOnly, role, hue: { target, threshold } | null }
+ */
+export function getSearchCriteria() {
+  return getCriteriaFromSettings(getFilterSettings());
+}
+
+/**
+ * Turn filter settings (saved or read from the filter bar) into search criteria
+ * @param {Object} settings - See getFilterSettings
+ * @returns {Object} See getSearchCriteria
+ */
+export function getCriteriaFromSettings(settings) {
+  return {
+    term: settings.searchInput || '',
+    matchCase: !!settings.matchCaseCheck,
+    matchWhole: !!settings.matchWholeWordCheck,
+    animatedOnly: !!settings.animatedFilterCheck,
+    role: settings.roleFilterSelect || '',
+    hue: settings.hueFilterCheck
+      ? {
+          target: parseInt(settings.hueSlider),
+          threshold: parseInt(settings.hueThresholdSlider)
+        }
+      : null
+  };
+}
 
-  return results;
+/**
+ * Filter any list of colors with search criteria (also used for the palette library)
+ * The search text is a query (see query.js), the checkboxes add their equivalent
+ * terms. An invalid search text doesn't filter, its error is shown instead.
+ * @param {Array} list - Color objects
+ * @param {Object} criteria - See getSearchCriteria
+ * @param {Object} [options]
+ * @param {Array} [options.pages] - Pages of the list's palette, for page: terms
+ * @returns {Array} Matching colors, in list order
+ */
+export function filterColors(list, criteria, { pages } = {}) {
+  const queries = [criteria.term || '', getCriteriaQuery(criteria)]
+    .map(text => parseQuery(text).query)
+    .filter(Boolean);
+  if (!queries.length) return list;
+
+  const options = { matchCase: criteria.matchCase, matchWhole: criteria.matchWhole, pages };
+  return list.filter(c => queries.every(query => matchesQuery(query, c, options)));
+}
+
+/**
+ * Get the query terms the filter checkboxes stand for
+ * @param {Object} criteria - See getSearchCriteria
+ * @returns {string} Query text like "animated role:shadow hue:200±15" (empty when all are off)
+ */
+export function getCriteriaQuery({ animatedOnly, role, hue }) {
+  return [
+    animatedOnly && 'animated',
+    role && `role:${role}`,
+    hue && `hue:${hue.target}±${hue.threshold}`
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Generate an error message for a search text, with the invalid part marked
+ * @param {string} text - Search text
+ * @returns {string} HTML string, empty when the text is a valid query
+ */
+export function searchErrorHTML(text) {
+  const { error } = parseQuery(text || '');
+  if (!error) return '';
+  const marked = error.end > error.start ? text.slice(error.start, error.end) : ' ';
+  return `<code>${escapeHtml(text.slice(0, error.start))}<mark>${escapeHtml(marked)}</mark>${escapeHtml(text.slice(error.end))}</code> ${escapeHtml(error.message)}`;
 }
 
 /**
@@ -54,6 +109,10 @@ export function getFilteredList() {
 export function applySorting(colorArray) {
   const sortType = document.getElementById('sortSelect').value;
   const sortDir = document.getElementById('sortDir').value === 'asc' ? 1 : -1;
+  
+  // Within a single page, the default order is the page's own order
+  const page = getActivePage();
+  const pageOrder = page ? new Map(page.ids.map((id, i) => [id, i])) : null;
 
   colorArray.sort((a, b) => {
     let result = 0;
@@ -65,6 +124,8 @@ export function applySorting(colorArray) {
       });
     } else if (sortType === 'color') {
       result = rgbToHsl(a.r, a.g, a.b).h - rgbToHsl(b.r, b.g, b.b).h;
+    } else if (pageOrder) {
+      result = pageOrder.get(a.id) - pageOrder.get(b.id);
     } else {
       result = a.originalIndex - b.originalIndex;
     }
@@ -74,3 +135,56 @@ export function applySorting(colorArray) {
 
   return colorArray;
 }
+
+// Filter bar controls that make up the filter/sort settings
+const FILTER_CONTROLS = [
+  'searchInput', 'matchCaseCheck', 'matchWholeWordCheck', 'sortSelect', 'sortDir',
+  'pairedViewCheck', 'animatedFilterCheck', 'roleFilterSelect', 'hueFilterCheck', 'hueSlider', 'hueThresholdSlider'
+];
+
+/**
+ * Read the current filter and sort settings
+ * @returns {Object} Control id -> value (checked state for checkboxes)
+ */
+export function getFilterSettings() {
+  const settings = {};
+  FILTER_CONTROLS.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) settings[id] = el.type === 'checkbox' ? el.checked : el.value;
+  });
+  return settings;
+}
+
+/**
+ * Put filter and sort settings back into the filter bar
+ * Only updates the controls, callers re-render.
+ * @param {Object} settings - Result of getFilterSettings
+ */
+export function setFilterSettings(settings) {
+  FILTER_CONTROLS.forEach(id => {
+    const el = document.getElementById(id);
+    if (!el || !(id in settings)) return;
+    if (el.type === 'checkbox') el.checked = !!settings[id];
+    else el.value = settings[id];
+  });
+}
+
+/**
+ * Get the page currently shown in the grid
+ * @returns {Object|null} Page object or null when showing all pages
+ */
+function getActivePage() {
+  return activePageIndex >= 0 ? paletteData?.pages?.[activePageIndex] || null : null;
+}
+
+/**
+ * Show the error of the search box's query under it
+ * @param {string} term - Search text
+ */
+function showSearchError(term) {
+  const html = searchErrorHTML(term);
+  const box = document.getElementById('searchError');
+  box.innerHTML = html;
+  box.style.display = html ? 'block' : 'none';
+  document.getElementById('searchInput').classList.toggle('invalid', !!html);
+}
@@ -0,0 +1,253 @@
+/**
+ * COLOR GRADING
+ * Hue, saturation/value, levels, curve, tint and alpha adjustments applied
+ * to the selected or visible colors at once, previewed on the cards
+ */
+
+import * as State from './state.js';
+import { isSolidStyle, rgbToHsv, hsvToRgb, hexToRgb, rgbToHex } from './colorUtils.js';
+import { recordChange } from './history.js';
+import { renderPalette, setCardPreview } from './renderer.js';
+import { renderTimeline } from './timeline.js';
+import { updateWheelFromSelection } from './wheelManager.js';
+import { openModal } from './modal.js';
+
+// A grade that changes nothing
+export const NEUTRAL_GRADE = {
+  hue: 0,          // degrees added to the hue
+  saturation: 1,   // saturation multiplier
+  value: 1,        // value multiplier
+  inBlack: 0,      // levels input range (0-255)
+  inWhite: 255,
+  gamma: 1,        // levels midtone gamma (> 1 brightens)
+  outBlack: 0,     // levels output range (0-255)
+  outWhite: 255,
+  curve: [],       // extra curve points [[in, out], ...] (0-255)
+  tint: { r: 255, g: 255, b: 255 },
+  tintStrength: 0, // 0 = none, 1 = fully the tint color
+  alpha: 1         // alpha multiplier
+};
+
+// Sliders of the grading panel: key, label, min, max, step
+const GRADE_SLIDERS = [
+  ['hue', 'Hue rotate', -180, 180, 1],
+  ['saturation', 'Saturation ×', 0, 3, 0.01],
+  ['value', 'Value ×', 0, 3, 0.01],
+  ['inBlack', 'Input black', 0, 254, 1],
+  ['inWhite', 'Input white', 1, 255, 1],
+  ['gamma', 'Gamma', 0.1, 5, 0.01],
+  ['outBlack', 'Output black', 0, 255, 1],
+  ['outWhite', 'Output white', 0, 255, 1],
+  ['tintStrength', 'Tint strength', 0, 1, 0.01],
+  ['alpha', 'Alpha ×', 0, 2, 0.01]
+];
+
+/**
+ * Apply a grade to a color
+ * Steps run in order: hue/saturation/value, levels, curve, tint, alpha.
+ * @param {Object} color - { r, g, b, a }
+ * @param {Object} grade - Any subset of NEUTRAL_GRADE
+ * @returns {Object} { r, g, b, a } rounded and clamped to 0-255
+ */
+export function gradeColor({ r, g, b, a }, grade) {
+  const settings = { ...NEUTRAL_GRADE, ...grade };
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+  let rgb = { r, g, b };
+
+  if (settings.hue !== 0 || settings.saturation !== 1 || settings.value !== 1) {
+    const hsv = rgbToHsv(r, g, b);
+    rgb = hsvToRgb(hsv.h + settings.hue, clamp(hsv.s * settings.saturation, 1), clamp(hsv.v * settings.value, 1));
+  }
+
+  const inRange = Math.max(1, settings.inWhite - settings.inBlack);
+  const curve = withCurveEnds(settings.curve);
+  const channel = (value, tint) => {
+    const level = clamp((value - settings.inBlack) / inRange, 1) ** (1 / settings.gamma);
+    let result = settings.outBlack + level * (settings.outWhite - settings.outBlack);
+    if (curve) result = evaluateCurve(curve, result);
+    return Math.round(clamp(result + (tint - result) * settings.tintStrength, 255));
+  };
+
+  return {
+    r: channel(rgb.r, settings.tint.r),
+    g: channel(rgb.g, settings.tint.g),
+    b: channel(rgb.b, settings.tint.b),
+    a: Math.round(clamp(a * settings.alpha, 255))
+  };
+}
+
+/**
+ * Parse curve points written as "in:out" pairs
+ * @param {string} text - Like "64:48, 192:210"
+ * @returns {Array|null} [[in, out], ...] sorted by input, or null when the text is invalid
+ */
+export function parseCurve(text) {
+  const pairs = text.split(/[,;\s]+/).filter(Boolean);
+  const points = [];
+  for (const pair of pairs) {
+    const match = pair.match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+    const [input, output] = [Number(match[1]), Number(match[2])];
+    if (input > 255 || output > 255) return null;
+    points.push([input, output]);
+  }
+  return points.sort((p, q) => p[0] - q[0]);
+}
+
+/**
+ * Get the colors a grade can be applied to
+ * The bg color and non-solid styles are left out.
+ * @param {string} scope - 'selection' or 'visible' (the filtered cards)
+ * @returns {Array<number>} Color indices
+ */
+export function getGradeTargets(scope) {
+  const indices = scope === 'selection'
+    ? State.selectedIndices
+    : State.lastFilteredColors.map(c => State.colors.indexOf(c));
+  return indices.filter(i => i > 0 && isSolidStyle(State.colors[i]));
+}
+
+/**
+ * Grade colors of the active palette (one undo step)
+ * @param {Array<number>} indices - Color indices
+ * @param {Object} grade - Any subset of NEUTRAL_GRADE
+ * @param {Object} [options] - { keyframes: also grade every keyframe }
+ * @returns {number} Number of graded colors
+ */
+export function applyGrade(indices, grade, { keyframes = false } = {}) {
+  const targets = indices.filter(i => i > 0 && isSolidStyle(State.colors[i]));
+  if (!targets.length) return 0;
+
+  recordChange(`Grade ${targets.length} color${targets.length === 1 ? '' : 's'}`);
+  targets.forEach(i => {
+    const color = State.colors[i];
+    Object.assign(color, gradeColor(color, grade));
+    if (keyframes) color.keyframes.forEach(kf => Object.assign(kf, gradeColor(kf, grade)));
+  });
+
+  renderPalette();
+  renderTimeline();
+  updateWheelFromSelection();
+  return targets.length;
+}
+
+/**
+ * Open the grading panel
+ * The cards stay visible while it is open; the ones it applies to show
+ * their current color on the left and the graded one on the right.
+ */
+export function showGrading() {
+  if (!State.paletteData) return;
+
+  const selectionCount = getGradeTargets('selection').length;
+  const scopeOptions = [
+    ['selection', `Selected colors (${selectionCount})`],
+    ['visible', `Visible colors (${getGradeTargets('visible').length})`]
+  ];
+  const defaultScope = selectionCount > 1 ? 'selection' : 'visible';
+
+  const body = openModal({
+    title: 'Color Grading',
+    width: '360px',
+    className: 'is-panel',
+    body: `
+      <div class="form-row">
+        <label>Apply to</label>
+        <select class="grade-scope">${scopeOptions.map(([key, label]) =>
+          `<option value="${key}" ${key === defaultScope ? 'selected' : ''}>${label}</option>`).join('')}</select>
+        <label><input type="checkbox" class="grade-keyframes"> Also grade every keyframe of animated colors</label>
+      </div>
+      ${GRADE_SLIDERS.map(([key, label, min, max, step]) => `
+        <div class="form-row grade-row">
+          <label>${label} <output class="grade-value" data-for="${key}"></output></label>
+          <input type="range" data-grade="${key}" min="${min}" max="${max}" step="${step}" value="${NEUTRAL_GRADE[key]}">
+        </div>`).join('')}
+      <div class="form-row">
+        <label>Tint color</label>
+        <input type="color" class="grade-tint" value="${rgbToHex(255, 255, 255)}">
+      </div>
+      <div class="form-row">
+        <label>Curve points (input:output, 0-255)</label>
+        <input type="text" class="text-input grade-curve" placeholder="64:48, 192:210">
+        <span class="form-hint grade-curve-hint"></span>
+      </div>`,
+    buttons: [
+      { label: 'Reset', onClick: () => { reset(); return false; } },
+      { label: 'Cancel' },
+      { label: 'Apply', className: '', onClick: () => {
+        const count = applyGrade(getGradeTargets(scope()), readGrade(), { keyframes: withKeyframes() });
+        if (!count) {
+          alert('There are no solid colors to grade in this scope.');
+          return false;
+        }
+      } }
+    ],
+    onClose: () => setCardPreview(null)
+  });
+
+  const scope = () => body.querySelector('.grade-scope').value;
+  const withKeyframes = () => body.querySelector('.grade-keyframes').checked;
+
+  const readGrade = () => {
+    const grade = { tint: hexToRgb(body.querySelector('.grade-tint').value) };
+    body.querySelectorAll('[data-grade]').forEach(input => { grade[input.dataset.grade] = Number(input.value); });
+    grade.curve = parseCurve(body.querySelector('.grade-curve').value) || [];
+    return grade;
+  };
+
+  const update = () => {
+    body.querySelectorAll('[data-grade]').forEach(input => {
+      body.querySelector(`.grade-value[data-for="${input.dataset.grade}"]`).textContent = input.value;
+    });
+    const curveValid = parseCurve(body.querySelector('.grade-curve').value) !== null;
+    body.querySelector('.grade-curve-hint').textContent = curveValid ? '' : 'Ignored: write points like 64:48, 192:210';
+
+    const grade = readGrade();
+    const targets = new Set(getGradeTargets(scope()).map(i => State.colors[i]));
+    const keyframes = withKeyframes();
+    setCardPreview((color, shown) => {
+      if (!targets.has(color)) return null;
+      // Animated cards show their first keyframe, which only changes with keyframes graded
+      if (color.keyframes.length && !keyframes) return null;
+      return gradeColor(shown, grade);
+    });
+  };
+
+  const reset = () => {
+    body.querySelectorAll('[data-grade]').forEach(input => { input.value = NEUTRAL_GRADE[input.dataset.grade]; });
+    body.querySelector('.grade-tint').value = rgbToHex(255, 255, 255);
+    body.querySelector('.grade-curve').value = '';
+    update();
+  };
+
+  body.addEventListener('input', update);
+  body.addEventListener('change', update);
+  update();
+}
+
+/**
+ * Add the 0:0 and 255:255 ends to curve points that don't set them
+ * @param {Array} points - [[in, out], ...] sorted by input
+ * @returns {Array|null} Points, or null for no curve
+ */
+function withCurveEnds(points) {
+  if (!points || !points.length) return null;
+  const curve = [...points];
+  if (curve[0][0] > 0) curve.unshift([0, 0]);
+  if (curve[curve.length - 1][0] < 255) curve.push([255, 255]);
+  return curve;
+}
+
+/**
+ * Evaluate a piecewise linear curve
+ * @param {Array} curve - [[in, out], ...] sorted by input, covering 0-255
+ * @param {number} value - Input (0-255)
+ * @returns {number} Output
+ */
+function evaluateCurve(curve, value) {
+  const upper = curve.findIndex(([input]) => input >= value);
+  if (upper <= 0) return upper === 0 ? curve[0][1] : curve[curve.length - 1][1];
+  const [x1, y1] = curve[upper - 1];
+  const [x2, y2] = curve[upper];
+  return x2 === x1 ? y2 : y1 + (y2 - y1) * (value - x1) / (x2 - x1);
+}
@@ -0,0 +1,230 @@
+/**
+ * UNDO / REDO HISTORY
+ * Snapshot-based history of palette edits.
+ *
+ * Every mutation calls recordChange(label) *before* touching the state.
+ * Continuous edits (wheel drags, slider scrubbing) pass a merge key so a
+ * whole gesture becomes a single step.
+ */
+
+import * as State from './state.js';
+import { renderPalette } from './renderer.js';
+import { renderTimeline } from './timeline.js';
+import { updateWheelFromSelection } from './wheelManager.js';
+import { openModal, closeModal, escapeHtml } from './modal.js';
+import { scheduleAutosave } from './autosave.js';
+
+// Maximum number of undo steps kept
+const MAX_STEPS = 100;
+
+// Edits with the same merge key closer together than this are one step
+const MERGE_WINDOW_MS = 1000;
+
+// Entries: { label, time, snapshot, mergeKey, lastEdit }
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Record the current state before a change
+ * @param {string} label - What the change does (shown in the history list)
+ * @param {string} [mergeKey] - Changes with the same key in a row are merged
+ */
+export function recordChange(label, mergeKey = null) {
+  if (!State.paletteData) return;
+
+  const now = Date.now();
+  const last = undoStack[undoStack.length - 1];
+  if (mergeKey && last && last.mergeKey === mergeKey && now - last.lastEdit < MERGE_WINDOW_MS) {
+    last.lastEdit = now;
+    return;
+  }
+
+  undoStack.push({ label, time: now, snapshot: takeSnapshot(), mergeKey, lastEdit: now });
+  if (undoStack.length > MAX_STEPS) undoStack.shift();
+  redoStack = [];
+  updateHistoryButtons();
+  scheduleAutosave();
+}
+
+/**
+ * Record the state of an inactive workspace tab before changing it
+ * @param {Object} tab - Stashed workspace tab (its history is created when missing)
+ * @param {string} label - What the change does
+ */
+export function recordTabChange(tab, label) {
+  const history = tab.history || { undoStack: [], redoStack: [] };
+  history.undoStack.push({ label, time: Date.now(), snapshot: takeSnapshot(tab), mergeKey: null, lastEdit: 0 });
+  if (history.undoStack.length > MAX_STEPS) history.undoStack.shift();
+  history.redoStack.length = 0;
+  tab.history = history;
+}
+
+/**
+ * End the current merge group (e.g. on pointer release), so the next
+ * continuous edit starts a new step
+ */
+export function endMerge() {
+  const last = undoStack[undoStack.length - 1];
+  if (last) last.mergeKey = null;
+}
+
+/**
+ * Forget all history (a different palette was loaded)
+ */
+export function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+/**
+ * Get the history stacks (each workspace tab keeps its own)
+ * @returns {Object} { undoStack, redoStack }
+ */
+export function getHistoryState() {
+  return { undoStack, redoStack };
+}
+
+/**
+ * Replace the history stacks (switching workspace tabs)
+ * @param {Object|null} state - From getHistoryState, or null for an empty history
+ */
+export function setHistoryState(state) {
+  undoStack = state?.undoStack || [];
+  redoStack = state?.redoStack || [];
+  updateHistoryButtons();
+}
+
+/**
+ * Undo the last change
+ * @returns {boolean} Whether anything was undone
+ */
+export function undo() {
+  return step(undoStack, redoStack);
+}
+
+/**
+ * Redo the last undone change
+ * @returns {boolean} Whether anything was redone
+ */
+export function redo() {
+  return step(redoStack, undoStack);
+}
+
+/**
+ * Check whether undo/redo is possible
+ * @returns {Object} { canUndo, canRedo, undoLabel, redoLabel }
+ */
+export function getHistoryStatus() {
+  return {
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    undoLabel: undoStack[undoStack.length - 1]?.label || null,
+    redoLabel: redoStack[redoStack.length - 1]?.label || null
+  };
+}
+
+/**
+ * Open the history list; clicking an entry jumps to the state after it
+ */
+export function showHistory() {
+  // Oldest first: done steps, then undone steps (redo stack is newest-undone last)
+  const done = undoStack.map((entry, i) => ({ entry, steps: undoStack.length - 1 - i, kind: 'undo' }));
+  const undone = [...redoStack].reverse().map((entry, i) => ({ entry, steps: i + 1, kind: 'redo' }));
+
+  const row = ({ entry, steps, kind }) => `
+    <li class="history-item ${kind === 'redo' ? 'is-undone' : ''} ${kind === 'undo' && steps === 0 ? 'is-current' : ''}" data-kind="${kind}" data-steps="${steps}">
+      <span>${escapeHtml(entry.label)}</span>
+      <span class="history-time">${new Date(entry.time).toLocaleTimeString()}</span>
+    </li>`;
+
+  const body = openModal({
+    title: 'History',
+    body: done.length || undone.length
+      ? `<ol class="history-list">
+          <li class="history-item ${done.length ? '' : 'is-current'}" data-kind="undo" data-steps="${done.length}"><span>Opened palette</span></li>
+          ${[...done, ...undone].map(row).join('')}
+        </ol>
+        <p class="form-hint">Click a step to go back (or forward) to it. Ctrl+Z / Ctrl+Shift+Z undo and redo.</p>`
+      : '<p class="form-hint">No changes yet.</p>',
+    buttons: [{ label: 'Close' }]
+  });
+
+  body.querySelectorAll('.history-item').forEach(item => {
+    item.addEventListener('click', () => {
+      const steps = parseInt(item.dataset.steps);
+      const move = item.dataset.kind === 'undo' ? undo : redo;
+      for (let i = 0; i < steps; i++) move();
+      closeModal();
+    });
+  });
+}
+
+/**
+ * Move one entry from one stack to the other, restoring its snapshot
+ * @param {Array} from - Stack to take the entry from
+ * @param {Array} to - Stack receiving the current state
+ * @returns {boolean} Whether a step was made
+ */
+function step(from, to) {
+  const entry = from.pop();
+  if (!entry) return false;
+
+  to.push({ label: entry.label, time: entry.time, snapshot: takeSnapshot(), mergeKey: null, lastEdit: 0 });
+  restoreSnapshot(entry.snapshot);
+  updateHistoryButtons();
+  scheduleAutosave();
+  return true;
+}
+
+/**
+ * Copy the editable state
+ * @param {Object} [source] - Where the state is (the app state, or a stashed workspace tab)
+ * @returns {Object} Snapshot
+ */
+function takeSnapshot(source = State) {
+  return {
+    paletteData: structuredClone(source.paletteData),
+    colors: structuredClone(source.colors),
+    selectedColorIndex: source.selectedColorIndex,
+    selectedIndices: source.selectedIndices,
+    activePageIndex: source.activePageIndex
+  };
+}
+
+/**
+ * Put a snapshot back into the state and refresh the UI
+ * The snapshot's objects are used directly, it must not be restored twice.
+ * @param {Object} snapshot - Snapshot from takeSnapshot
+ */
+function restoreSnapshot(snapshot) {
+  const { colors, paletteData } = snapshot;
+  State.setPaletteData(paletteData);
+  State.setColors(colors);
+
+  State.setSelectedColorIndex(snapshot.selectedColorIndex < colors.length ? snapshot.selectedColorIndex : -1);
+  State.setSelectedIndices((snapshot.selectedIndices || []).filter(i => i < colors.length));
+  State.setActivePageIndex(snapshot.activePageIndex < (paletteData.pages || []).length ? snapshot.activePageIndex : -1);
+
+  renderPalette();
+  renderTimeline();
+  updateWheelFromSelection();
+}
+
+/**
+ * Enable/disable the toolbar undo/redo buttons and update their tooltips
+ */
+function updateHistoryButtons() {
+  const { canUndo, canRedo, undoLabel, redoLabel } = getHistoryStatus();
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+
+  if (undoBtn) {
+    undoBtn.disabled = !canUndo;
+    undoBtn.title = canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !canRedo;
+    redoBtn.title = canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * IMPORT RESULTS PANEL
+ * Shows the diagnostics report produced by the parser
+ */
+
+import { summarizeReport, hasErrors, SEVERITY } from './diagnostics.js';
+import { getLastImportReport } from './parser.js';
+import { openModal, escapeHtml } from './modal.js';
+
+/**
+ * Called after every import: update the toolbar indicator and open the
+ * results panel when there is something the user should know about
+ * @param {Object} report - Import report
+ */
+export function onImportFinished(report) {
+  const btn = document.getElementById('importReportBtn');
+  if (btn) {
+    btn.disabled = false;
+    btn.title = summarizeReport(report);
+    btn.classList.toggle('has-warnings', report.entries.some(e => e.severity !== SEVERITY.INFO));
+  }
+
+  if (hasErrors(report) || report.entries.some(e => e.severity === SEVERITY.WARNING)) {
+    showImportReport(report);
+  }
+}
+
+/**
+ * Open the import results panel
+ * @param {Object} report - Import report (defaults to the most recent one)
+ */
+export function showImportReport(report = getLastImportReport()) {
+  if (!report) return;
+
+  const rows = report.entries.map(entry => `
+    <tr class="report-${entry.severity}">
+      <td class="report-severity">${entry.severity}</td>
+      <td>${entry.line ?? ''}</td>
+      <td>${entry.styleIndex ?? ''}</td>
+      <td>
+        ${escapeHtml(entry.message)}
+        ${entry.raw ? `<div class="report-raw">${escapeHtml(entry.raw)}</div>` : ''}
+      </td>
+    </tr>`).join('');
+
+  openModal({
+    title: `Import Results${report.source ? ` – ${escapeHtml(report.source)}` : ''}`,
+    width: '720px',
+    body: `
+      <p class="report-summary ${hasErrors(report) ? 'report-error' : ''}">${escapeHtml(summarizeReport(report))}</p>
+      ${rows ? `
+        <table class="report-table">
+          <thead><tr><th>Severity</th><th>Line</th><th>Style</th><th>Message</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>` : '<p class="form-hint">No problems found.</p>'}`,
+    buttons: [{ label: 'Close' }]
+  });
+}
@@ -0,0 +1,269 @@
+/**
+ * INTERPOLATION
+ * Keyframe interpolation (no DOM access, shared by the UI and exporters)
+ *
+ * A keyframe's `interpolation` sets the timing of the segment up to the
+ * next keyframe (linear when absent); custom bezier segments also carry
+ * `bezier: [x1, y1, x2, y2]` like a CSS cubic-bezier(). Its `colorSpace`
+ * sets the space the segment blends in (sRGB when absent).
+ */
+
+import {
+  isSolidStyle, rgbToHsv, hsvToRgb, srgbToLinear, linearToSrgb,
+  rgbToOklab, oklabToRgb, rgbToOklch, oklchToRgb
+} from './colorUtils.js';
+
+// Segment timing modes
+export const INTERPOLATION_MODES = {
+  linear: 'Linear',
+  constant: 'Constant (hold)',
+  'ease-in': 'Ease in',
+  'ease-out': 'Ease out',
+  'ease-in-out': 'Ease in/out',
+  bezier: 'Custom bezier'
+};
+
+// Control points of the named eases (same curves as CSS)
+const EASING_CURVES = {
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// Control points a new custom bezier segment starts with
+export const DEFAULT_BEZIER = [0.25, 0.1, 0.25, 1];
+
+// Blend spaces (OpenToonz blends in sRGB)
+export const COLOR_SPACES = {
+  rgb: 'RGB',
+  hsv: 'HSV (shortest hue)',
+  oklab: 'OKLab',
+  oklch: 'OKLCH (shortest hue)',
+  linear: 'Linear light'
+};
+
+// Chroma/saturation below which a color's hue is meaningless
+const ACHROMATIC = { hsv: 1e-3, oklch: 1e-3 };
+
+/**
+ * Get interpolated color at a specific frame
+ * @param {number} frame - Frame number
+ * @param {Object} color - Color object with optional keyframes
+ * @returns {Object} { r, g, b, a }
+ */
+export function getInterpolatedColor(frame, color) {
+  if (!color.keyframes || color.keyframes.length === 0) {
+    return { r: color.r, g: color.g, b: color.b, a: color.a };
+  }
+
+  let prevKey = color.keyframes.filter(k => k.frame <= frame).pop();
+  let nextKey = color.keyframes.find(k => k.frame >= frame);
+
+  if (!prevKey) prevKey = nextKey || { frame: 0, r: color.r, g: color.g, b: color.b, a: color.a };
+  if (!nextKey) nextKey = prevKey;
+
+  const frameDiff = nextKey.frame - prevKey.frame;
+  if (frameDiff === 0) return { r: prevKey.r, g: prevKey.g, b: prevKey.b, a: prevKey.a };
+
+  const factor = getEasedFactor(prevKey, (frame - prevKey.frame) / frameDiff);
+  return mixColors(prevKey, nextKey, factor, prevKey.colorSpace);
+}
+
+/**
+ * Blend two colors in a color space
+ * Alpha is always blended linearly.
+ * @param {Object} from - { r, g, b, a }
+ * @param {Object} to - { r, g, b, a }
+ * @param {number} t - Blend factor (0 = from, 1 = to; may overshoot)
+ * @param {string} [space] - Key of COLOR_SPACES (sRGB when omitted)
+ * @returns {Object} { r, g, b, a } rounded and clamped to 0-255
+ */
+export function mixColors(from, to, t, space = 'rgb') {
+  const lerp = (x, y) => x + (y - x) * t;
+  let rgb;
+
+  if (space === 'hsv') {
+    const a = rgbToHsv(from.r, from.g, from.b);
+    const b = rgbToHsv(to.r, to.g, to.b);
+    const [ha, hb] = alignHues(a.h, a.s, b.h, b.s, ACHROMATIC.hsv);
+    rgb = hsvToRgb(lerp(ha, hb), lerp(a.s, b.s), lerp(a.v, b.v));
+  } else if (space === 'oklab') {
+    const a = rgbToOklab(from.r, from.g, from.b);
+    const b = rgbToOklab(to.r, to.g, to.b);
+    rgb = oklabToRgb(lerp(a.L, b.L), lerp(a.a, b.a), lerp(a.b, b.b));
+  } else if (space === 'oklch') {
+    const a = rgbToOklch(from.r, from.g, from.b);
+    const b = rgbToOklch(to.r, to.g, to.b);
+    const [ha, hb] = alignHues(a.h, a.C, b.h, b.C, ACHROMATIC.oklch);
+    rgb = oklchToRgb(lerp(a.L, b.L), Math.max(0, lerp(a.C, b.C)), lerp(ha, hb));
+  } else if (space === 'linear') {
+    const channel = key => linearToSrgb(lerp(srgbToLinear(from[key]), srgbToLinear(to[key])));
+    rgb = { r: channel('r'), g: channel('g'), b: channel('b') };
+  } else {
+    rgb = { r: lerp(from.r, to.r), g: lerp(from.g, to.g), b: lerp(from.b, to.b) };
+  }
+
+  const clamp = value => Math.min(255, Math.max(0, Math.round(value)));
+  return { r: clamp(rgb.r), g: clamp(rgb.g), b: clamp(rgb.b), a: clamp(lerp(from.a, to.a)) };
+}
+
+/**
+ * Apply a keyframe's segment timing to a linear progress value
+ * @param {Object} keyframe - Keyframe starting the segment
+ * @param {number} t - Linear progress between the keyframes (0..1)
+ * @returns {number} Eased progress (custom curves may overshoot 0..1)
+ */
+export function getEasedFactor(keyframe, t) {
+  const mode = keyframe.interpolation;
+  if (mode === 'constant') return t < 1 ? 0 : 1;
+  if (mode === 'bezier') return cubicBezier(keyframe.bezier || DEFAULT_BEZIER, t);
+  if (EASING_CURVES[mode]) return cubicBezier(EASING_CURVES[mode], t);
+  return t;
+}
+
+/**
+ * Check whether a keyframe's segment has linear timing
+ * @param {Object} keyframe - Keyframe starting the segment
+ * @returns {boolean}
+ */
+export function isLinearSegment(keyframe) {
+  return !keyframe.interpolation || keyframe.interpolation === 'linear' || !INTERPOLATION_MODES[keyframe.interpolation];
+}
+
+/**
+ * Check whether a keyframe's segment blends in sRGB
+ * @param {Object} keyframe - Keyframe starting the segment
+ * @returns {boolean}
+ */
+export function isRgbSegment(keyframe) {
+  return !keyframe.colorSpace || keyframe.colorSpace === 'rgb' || !COLOR_SPACES[keyframe.colorSpace];
+}
+
+/**
+ * Check whether a keyframe's segment is interpolated the way OpenToonz does
+ * (linear timing in sRGB), so it can be written to a TPL file as it is
+ * @param {Object} keyframe - Keyframe starting the segment
+ * @returns {boolean}
+ */
+export function isNativeSegment(keyframe) {
+  return isLinearSegment(keyframe) && isRgbSegment(keyframe);
+}
+
+/**
+ * Short description of a keyframe's segment timing and blend space (empty for linear sRGB)
+ * @param {Object} keyframe - Keyframe starting the segment
+ * @returns {string} Like "ease-in", "bezier 0.25 0.1 0.25 1" or "ease-out, oklch"
+ */
+export function describeInterpolation(keyframe) {
+  const parts = [];
+  if (!isLinearSegment(keyframe)) {
+    parts.push(keyframe.interpolation === 'bezier' ? `bezier ${(keyframe.bezier || DEFAULT_BEZIER).join(' ')}` : keyframe.interpolation);
+  }
+  // A hold shows no blend, its space doesn't matter
+  if (!isRgbSegment(keyframe) && keyframe.interpolation !== 'constant') parts.push(keyframe.colorSpace);
+  return parts.join(', ');
+}
+
+/**
+ * Add a keyframe to a color, keeping the keyframes sorted
+ * A keyframe placed inside a segment continues that segment's timing and blend space.
+ * @param {Object} color - Color object
+ * @param {Object} keyframe - New keyframe
+ */
+export function insertKeyframe(color, keyframe) {
+  const prevKey = color.keyframes.filter(k => k.frame < keyframe.frame).pop();
+  const hasNext = color.keyframes.some(k => k.frame > keyframe.frame);
+  if (prevKey && hasNext && !isLinearSegment(prevKey) && keyframe.interpolation === undefined) {
+    keyframe.interpolation = prevKey.interpolation;
+    if (prevKey.bezier) keyframe.bezier = [...prevKey.bezier];
+  }
+  if (prevKey && hasNext && !isRgbSegment(prevKey) && keyframe.colorSpace === undefined) {
+    keyframe.colorSpace = prevKey.colorSpace;
+  }
+  color.keyframes.push(keyframe);
+  color.keyframes.sort((a, b) => a.frame - b.frame);
+}
+
+/**
+ * Get the keyframes to write to a TPL file
+ * OpenToonz only interpolates linearly in sRGB, so other segments are
+ * baked: holds get a copy of their keyframe on the frame before the next
+ * one, eased or non-sRGB segments of solid styles get a keyframe on every
+ * frame. Those segments of other styles can't be computed and are written
+ * as linear.
+ * @param {Object} color - Color object
+ * @returns {Array} Keyframes sorted by frame (unchanged ones are the originals)
+ */
+export function bakeKeyframes(color) {
+  const keyframes = color.keyframes || [];
+  const baked = [];
+
+  keyframes.forEach((kf, i) => {
+    baked.push(kf);
+    const next = keyframes[i + 1];
+    if (!next || isNativeSegment(kf) || next.frame - kf.frame < 2) return;
+
+    if (kf.interpolation === 'constant') {
+      baked.push(bakedKeyframe(kf, next.frame - 1));
+    } else if (isSolidStyle(color)) {
+      for (let frame = kf.frame + 1; frame < next.frame; frame++) {
+        baked.push({ frame, ...getInterpolatedColor(frame, color) });
+      }
+    }
+  });
+
+  return baked;
+}
+
+/**
+ * Copy a keyframe's value to another frame (without timing or source text)
+ * @param {Object} keyframe - Keyframe to copy
+ * @param {number} frame - Frame of the copy
+ * @returns {Object} Keyframe
+ */
+function bakedKeyframe(keyframe, frame) {
+  const { source, interpolation, bezier, colorSpace, ...value } = keyframe;
+  return { ...value, frame };
+}
+
+/**
+ * Put two hues on the shortest arc between them
+ * A hue without color (gray) takes the other one, so fading from gray
+ * doesn't sweep through unrelated hues.
+ * @param {number} h1 - First hue (degrees)
+ * @param {number} c1 - First saturation/chroma
+ * @param {number} h2 - Second hue (degrees)
+ * @param {number} c2 - Second saturation/chroma
+ * @param {number} threshold - Saturation/chroma counted as gray
+ * @returns {Array<number>} [h1, h2] with |h2 - h1| <= 180
+ */
+function alignHues(h1, c1, h2, c2, threshold) {
+  if (c1 < threshold) h1 = h2;
+  if (c2 < threshold) h2 = h1;
+  if (h2 - h1 > 180) h2 -= 360;
+  else if (h1 - h2 > 180) h2 += 360;
+  return [h1, h2];
+}
+
+/**
+ * Evaluate a cubic bezier timing curve (x = time, y = progress)
+ * @param {Array<number>} points - [x1, y1, x2, y2], x values are clamped to 0..1
+ * @param {number} t - Linear progress (0..1)
+ * @returns {number} Progress at that time
+ */
+function cubicBezier(points, t) {
+  const [x1, y1, x2, y2] = points.map(Number);
+  const cx1 = Math.min(1, Math.max(0, x1 || 0));
+  const cx2 = Math.min(1, Math.max(0, x2 || 0));
+  const curve = (p1, p2, s) => 3 * p1 * s * (1 - s) ** 2 + 3 * p2 * s ** 2 * (1 - s) + s ** 3;
+
+  // x(s) is monotonic for x values in 0..1, so bisection finds s for the time t
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    if (curve(cx1, cx2, mid) < t) low = mid;
+    else high = mid;
+  }
+  return curve(y1 || 0, y2 || 0, (low + high) / 2);
+}
@@ -0,0 +1,268 @@
+/**
+ * JSON FORMAT
+ * Serialization of palettes to/from PltUI JSON
+ *
+ * Two shapes are read:
+ * - Legacy: a bare array of { id, name, role, color: { r, g, b, a }, keyframes }
+ * - Versioned: { format: "pltui-palette", version: 1, palette: {...}, colors: [...] }
+ *   where each color is a superset of the legacy entry.
+ * Exports always use the versioned shape.
+ */
+
+import { CONFIG } from './config.js';
+import { getShortId, buildStyleId, generatePalettePrefix, splitRoleSuffix } from './colorUtils.js';
+import { createReport, addDiagnostic, SEVERITY } from './diagnostics.js';
+
+export const JSON_FORMAT = 'pltui-palette';
+export const JSON_VERSION = 1;
+
+/**
+ * Build the versioned JSON document for a palette
+ * @param {Object} paletteData - Palette metadata
+ * @param {Array} colors - Color objects
+ * @returns {Object} JSON-ready object
+ */
+export function serializeJson(paletteData, colors) {
+  const palette = {
+    name: paletteData.name,
+    type: paletteData.isStudioPalette ? 'studio' : 'level',
+    version: paletteData.version,
+    shortcuts: paletteData.shortcuts
+  };
+  if (paletteData.isStudioPalette) {
+    palette.globalName = paletteData.globalName || paletteData.prefix || '';
+    palette.prefix = paletteData.prefix || '';
+    palette.idLead = paletteData.idLead ?? '|-';
+  } else {
+    palette.levelId = paletteData.originalId || '1';
+  }
+  palette.pages = (paletteData.pages || []).map(page => ({
+    name: page.name,
+    ids: page.ids.map(id => getShortId(id))
+  }));
+  if (paletteData.collections?.length) palette.collections = paletteData.collections;
+  if (paletteData.extraXml?.length) palette.extraXml = paletteData.extraXml;
+  if (paletteData.orphanAnimationXml?.length) palette.orphanAnimationXml = paletteData.orphanAnimationXml;
+
+  return {
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    palette,
+    colors: colors.map(c => serializeColor(c, paletteData))
+  };
+}
+
+/**
+ * Serialize a single color (superset of the legacy entry)
+ * @param {Object} c - Color object
+ * @param {Object} paletteData - Palette metadata
+ * @returns {Object}
+ */
+function serializeColor(c, paletteData) {
+  const shortId = getShortId(c.id);
+  const entry = {
+    id: shortId,
+    name: c.name,
+    role: c.role,
+    color: { r: c.r, g: c.g, b: c.b, a: c.a },
+    keyframes: (c.keyframes || []).map(({ source, ...kf }) => kf),
+    autopaint: !!c.hasTrace,
+    tagID: c.tagID
+  };
+
+  // Only written when it can't be rebuilt from the palette prefix
+  if (c.id !== buildStyleId(paletteData, shortId)) entry.fullId = c.id;
+  // Lets apps with other role keys find the role again
+  if (c.role !== 'none' && CONFIG.ROLES[c.role]) entry.suffix = CONFIG.ROLES[c.role].suffix;
+  if (c.flags) entry.flags = c.flags;
+  if (c.params !== undefined) entry.params = c.params;
+  if (c.variantRule) entry.variantRule = c.variantRule;
+  if (c.unparsed) entry.raw = c.raw;
+
+  return entry;
+}
+
+/**
+ * Parse PltUI JSON (legacy array or versioned document)
+ * @param {string} text - JSON text
+ * @param {string} sourceName - File name used for the palette name and report
+ * @returns {Object} { paletteData, colors, endFrame, report } (paletteData is null on error)
+ */
+export function parseJson(text, sourceName = '') {
+  const report = createReport(sourceName);
+  let doc;
+
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    addDiagnostic(report, SEVERITY.ERROR, `Invalid JSON: ${err.message}`);
+    return { paletteData: null, colors: [], endFrame: 100, report };
+  }
+
+  let meta = {};
+  let entries;
+  if (Array.isArray(doc)) {
+    entries = doc;
+  } else if (doc && doc.format === JSON_FORMAT && Array.isArray(doc.colors)) {
+    if (doc.version > JSON_VERSION) {
+      addDiagnostic(report, SEVERITY.WARNING, `File uses a newer format version (${doc.version}), some data may be ignored`);
+    }
+    meta = doc.palette || {};
+    entries = doc.colors;
+  } else {
+    addDiagnostic(report, SEVERITY.ERROR, 'Not a PltUI palette JSON file');
+    return { paletteData: null, colors: [], endFrame: 100, report };
+  }
+
+  const paletteData = buildPaletteData(meta, sourceName);
+  const colors = [];
+  let maxFrame = 0;
+  report.stats.styles = entries.length;
+
+  entries.forEach((entry, index) => {
+    const color = parseColorEntry(entry, index, paletteData);
+    if (!color) {
+      report.stats.skipped++;
+      addDiagnostic(report, SEVERITY.WARNING, 'Entry without a valid color skipped', {
+        styleIndex: index, raw: JSON.stringify(entry)
+      });
+      return;
+    }
+    if (color.unparsed) report.stats.raw++;
+    else if (color.params !== undefined) report.stats.readOnly++;
+
+    color.keyframes.forEach(kf => { maxFrame = Math.max(maxFrame, kf.frame); });
+    colors.push(color);
+  });
+  report.stats.loaded = colors.length;
+
+  // Without any style, or without bg and ink, there is no palette to open
+  if (!colors.length) {
+    addDiagnostic(report, SEVERITY.ERROR, 'No style could be read');
+    return { paletteData: null, colors: [], endFrame: 100, report };
+  }
+  const missing = [['0', 'bg'], ['1', 'ink']].filter(([number]) => !colors.some(c => getShortId(c.id) === number));
+  if (missing.length) {
+    addDiagnostic(report, SEVERITY.ERROR, `Missing ${missing.map(([number, name]) => `${name} (ID ${number})`).join(' and ')}`);
+    return { paletteData: null, colors: [], endFrame: 100, report };
+  }
+
+  paletteData.pages = buildPages(meta.pages, colors, report);
+
+  return { paletteData, colors, endFrame: maxFrame > 0 ? maxFrame + 10 : 100, report };
+}
+
+/**
+ * Build palette metadata from the JSON "palette" block
+ * Legacy files have none and become new studio palettes.
+ * @param {Object} meta - "palette" block (may be empty)
+ * @param {string} sourceName - File name
+ * @returns {Object} Palette metadata
+ */
+function buildPaletteData(meta, sourceName) {
+  const isStudioPalette = meta.type !== 'level';
+  const paletteData = {
+    name: meta.name || sourceName.replace(/\.[^.]+$/, '') || 'new_palette',
+    version: meta.version || CONFIG.DEFAULT_TPL_VER,
+    shortcuts: meta.shortcuts ?? "0 1 -1 -1 -1 -1 -1 -1 -1 -1 ",
+    isStudioPalette,
+    extraXml: meta.extraXml || [],
+    orphanAnimationXml: meta.orphanAnimationXml || []
+  };
+  // Saved searches, see collections.js
+  if (Array.isArray(meta.collections)) {
+    paletteData.collections = meta.collections.filter(c => typeof c?.name === 'string' && c.settings && typeof c.settings === 'object');
+  }
+
+  if (isStudioPalette) {
+    const prefix = meta.prefix || generatePalettePrefix();
+    paletteData.prefix = prefix;
+    paletteData.globalName = meta.globalName ?? prefix;
+    paletteData.idLead = meta.idLead ?? '|-';
+  } else {
+    paletteData.prefix = '';
+    paletteData.globalName = '';
+    paletteData.idLead = '';
+    paletteData.originalId = meta.levelId || '1';
+  }
+
+  return paletteData;
+}
+
+/**
+ * Turn a JSON color entry into a color object
+ * @param {Object} entry - JSON entry
+ * @param {number} index - Position in the list
+ * @param {Object} paletteData - Palette metadata
+ * @returns {Object|null} Color object or null if unusable
+ */
+function parseColorEntry(entry, index, paletteData) {
+  const rgba = entry?.color;
+  if (!rgba || ![rgba.r, rgba.g, rgba.b].every(Number.isFinite)) return null;
+
+  const shortId = entry.id !== undefined ? String(entry.id) : String(index);
+  let name = String(entry.name ?? `color_${index}`);
+  let role = CONFIG.ROLES[entry.role] ? entry.role : 'none';
+  // An unknown role is read back from its suffix, as in a TPL style name
+  if (role !== entry.role && typeof entry.suffix === 'string') {
+    ({ role, name } = splitRoleSuffix(name + entry.suffix));
+  }
+
+  const color = {
+    hasTrace: !!entry.autopaint,
+    id: entry.fullId || buildStyleId(paletteData, shortId),
+    name,
+    tagID: String(entry.tagID ?? '3'),
+    r: rgba.r, g: rgba.g, b: rgba.b, a: Number.isFinite(rgba.a) ? rgba.a : 255,
+    role,
+    originalIndex: index,
+    keyframes: (Array.isArray(entry.keyframes) ? entry.keyframes : [])
+      .filter(kf => Number.isFinite(kf?.frame))
+      .map(kf => ({ ...kf }))
+      .sort((a, b) => a.frame - b.frame)
+  };
+
+  if (entry.flags) color.flags = entry.flags;
+  if (entry.params !== undefined) color.params = entry.params;
+  if (entry.variantRule && typeof entry.variantRule === 'object') color.variantRule = entry.variantRule;
+  if (entry.raw !== undefined) {
+    color.unparsed = true;
+    color.raw = entry.raw;
+  }
+
+  return color;
+}
+
+/**
+ * Rebuild pages from short IDs
+ * Styles no page lists go to the first page, so every style ends up on some page.
+ * @param {Array} pages - JSON pages [{ name, ids }] or undefined
+ * @param {Array} colors - Color objects
+ * @param {Object} report - Import report
+ * @returns {Array} Pages [{ name, ids }]
+ */
+function buildPages(pages, colors, report) {
+  if (!Array.isArray(pages) || !pages.length) {
+    return [{ name: 'colors', ids: colors.map(c => c.id) }];
+  }
+
+  const byShortId = new Map(colors.map(c => [getShortId(c.id), c.id]));
+  const result = pages.map(page => ({
+    name: String(page.name || 'colors'),
+    ids: (page.ids || []).map(String).filter(id => {
+      if (byShortId.has(id)) return true;
+      addDiagnostic(report, SEVERITY.WARNING, `Page "${page.name}" references missing style ${id}`);
+      return false;
+    }).map(id => byShortId.get(id))
+  }));
+
+  // A style no page lists would be hidden from every page and the exported <stylepages>
+  const listed = new Set(result.flatMap(page => page.ids));
+  const unlisted = colors.filter(c => !listed.has(c.id));
+  if (unlisted.length) {
+    result[0].ids.push(...unlisted.map(c => c.id));
+    addDiagnostic(report, SEVERITY.WARNING,
+      `${unlisted.length} style(s) on no page added to page "${result[0].name}"`);
+  }
+  return result;
+}
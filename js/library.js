@@ -0,0 +1,327 @@
+/**
+ * PALETTE LIBRARY
+ * Indexes whole folders of palettes in the browser (IndexedDB) and runs the
+ * filter bar search across all of them. Results are grouped by palette and
+ * open the palette in a tab at the matching style.
+ */
+
+import * as State from './state.js';
+import { isStorageAvailable, idbGetAll, idbPut, idbDelete } from './storage.js';
+import { readPalette } from './paletteFormats.js';
+import { readFileBuffer, getRecentFileKey } from './fileLoader.js';
+import { hasErrors, SEVERITY } from './diagnostics.js';
+import { filterColors, getSearchCriteria, getCriteriaQuery, searchErrorHTML } from './filters.js';
+import { getShortId, getFullExportName } from './colorUtils.js';
+import { getInterpolatedColor } from './interpolation.js';
+import { openPalette, switchToRecent } from './workspace.js';
+import { revealColor } from './ui.js';
+import { openModal, closeModal, isModalOpen, escapeHtml } from './modal.js';
+
+// Files picked up when indexing a folder
+const LIBRARY_EXTENSIONS = ['.tpl', '.json'];
+
+// Results shown per palette (the rest is summarized)
+const MAX_RESULTS_PER_PALETTE = 100;
+
+// Promise of the indexed palettes by key (file name and contents, as in the recent list):
+// { key, path, name, paletteData, colors, endFrame, indexedAt }
+let libraryLoad = null;
+
+/**
+ * Add palette files to the library (files already indexed are refreshed)
+ * Files are told apart by name and contents, so same-named palettes from
+ * different folders both stay.
+ * @param {Array<Object>} files - [{ file, path }] with the path relative to the picked folder
+ * @returns {Promise<Object>} { added, skipped, failed: [{ path, message }] }
+ */
+export async function addToLibrary(files) {
+  const entries = await loadLibrary();
+  const result = { added: 0, skipped: 0, failed: [] };
+
+  for (const { file, path } of files) {
+    if (!LIBRARY_EXTENSIONS.some(ext => path.toLowerCase().endsWith(ext))) {
+      result.skipped++;
+      continue;
+    }
+
+    let buffer, palette;
+    try {
+      buffer = await readFileBuffer(file);
+      palette = await readPalette(file.name, buffer);
+    } catch (err) {
+      result.failed.push({ path, message: err.message });
+      continue;
+    }
+
+    const { paletteData, colors, endFrame, report } = palette;
+    if (!paletteData || hasErrors(report)) {
+      const error = report.entries.find(e => e.severity === SEVERITY.ERROR);
+      result.failed.push({ path, message: error ? error.message : 'Could not be read' });
+      continue;
+    }
+
+    const key = getRecentFileKey(file.name, buffer);
+    const entry = { key, path, name: paletteData.name, paletteData, colors, endFrame, indexedAt: Date.now() };
+    entries.set(key, entry);
+    result.added++;
+
+    if (isStorageAvailable()) {
+      await idbPut('library', key, entry).catch(err => console.warn('Could not store library entry:', err));
+    }
+  }
+  return result;
+}
+
+/**
+ * Remove a palette from the library
+ * @param {string} key - Library key
+ * @returns {Promise}
+ */
+export async function removeFromLibrary(key) {
+  (await loadLibrary()).delete(key);
+  if (isStorageAvailable()) await idbDelete('library', key);
+}
+
+/**
+ * Search all indexed palettes
+ * @param {Object} criteria - Search criteria, see getSearchCriteria in filters.js
+ * @returns {Promise<Array>} [{ entry, matches }] for palettes with at least one match
+ */
+export async function searchLibrary(criteria) {
+  const entries = [...(await loadLibrary()).values()];
+  return entries
+    .map(entry => ({ entry, matches: filterColors(entry.colors, criteria, { pages: entry.paletteData.pages }) }))
+    .filter(group => group.matches.length);
+}
+
+/**
+ * Open an indexed palette (or switch to its tab) and select a style
+ * @param {string} key - Library key
+ * @param {string|null} styleId - Full ID of the style to show
+ * @returns {Promise}
+ */
+export async function openLibraryStyle(key, styleId) {
+  const entry = (await loadLibrary()).get(key);
+  if (!entry) return;
+
+  if (!switchToRecent(key)) {
+    openPalette(structuredClone(entry), key);
+  }
+
+  const idx = State.colors.findIndex(c => c.id === styleId);
+  if (idx >= 0) revealColor(idx);
+}
+
+/**
+ * Open the library panel
+ * @returns {Promise}
+ */
+export async function showLibrary() {
+  await loadLibrary();
+
+  const body = openModal({
+    title: 'Palette Library',
+    width: '640px',
+    body: `
+      <div class="library-drop">
+        <span>Drop .tpl / .json files or folders here, or</span>
+        <button class="secondary" data-pick="folder">Add Folder…</button>
+        <button class="secondary" data-pick="files">Add Files…</button>
+        <input type="file" data-input="folder" webkitdirectory multiple style="display:none">
+        <input type="file" data-input="files" accept="${LIBRARY_EXTENSIONS.join(',')}" multiple style="display:none">
+      </div>
+      <div class="library-status"></div>
+      <input type="search" class="text-input library-search" placeholder="Search all palettes (e.g. skin*_sh, role:shadow OR hue:200±15)" value="${escapeHtml(document.getElementById('searchInput').value)}">
+      <p class="form-hint">Match case, whole word, animated, role and hue options are taken from the filter bar.${isStorageAvailable() ? '' : ' The library is only kept until the page is closed.'}</p>
+      <div class="library-results"></div>`,
+    buttons: [{ label: 'Close' }]
+  });
+
+  const search = body.querySelector('.library-search');
+  const refresh = () => renderLibraryResults(body, search.value);
+  const add = async files => {
+    body.querySelector('.library-status').textContent = `Indexing ${files.length} files…`;
+    const result = await addToLibrary(files);
+    if (!isModalOpen()) return;
+    refresh();
+    body.querySelector('.library-status').textContent = describeAddResult(result);
+  };
+
+  body.querySelectorAll('[data-pick]').forEach(btn => {
+    btn.addEventListener('click', () => body.querySelector(`[data-input="${btn.dataset.pick}"]`).click());
+  });
+  body.querySelectorAll('[data-input]').forEach(input => {
+    input.addEventListener('change', () => {
+      add(Array.from(input.files).map(file => ({ file, path: file.webkitRelativePath || file.name })));
+      input.value = '';
+    });
+  });
+
+  // Drops on the panel are indexed instead of opened in tabs
+  const drop = body.querySelector('.library-drop');
+  drop.addEventListener('dragover', e => {
+    e.preventDefault();
+    e.stopPropagation();
+    drop.classList.add('drag-over');
+  });
+  drop.addEventListener('dragleave', () => drop.classList.remove('drag-over'));
+  drop.addEventListener('drop', async e => {
+    e.preventDefault();
+    e.stopPropagation();
+    drop.classList.remove('drag-over');
+    document.body.classList.remove('file-drag-over');
+    add(await collectDroppedFiles(e.dataTransfer));
+  });
+
+  search.addEventListener('input', refresh);
+  body.querySelector('.library-results').addEventListener('click', async e => {
+    const remove = e.target.closest('.library-remove');
+    const item = e.target.closest('[data-key]');
+    if (remove) {
+      e.stopPropagation();
+      await removeFromLibrary(item.dataset.key);
+      refresh();
+    } else if (item) {
+      closeModal();
+      openLibraryStyle(item.dataset.key, item.dataset.id || null);
+    }
+  });
+
+  refresh();
+}
+
+/**
+ * Read the stored library once
+ * @returns {Promise<Map>} Library entries by key
+ */
+function loadLibrary() {
+  if (!libraryLoad) {
+    libraryLoad = (async () => {
+      const library = new Map();
+      if (!isStorageAvailable()) return library;
+      try {
+        // Entries indexed before they kept a path were keyed by it
+        (await idbGetAll('library')).forEach(entry => library.set(entry.key, { path: entry.key, ...entry }));
+      } catch (err) {
+        console.warn('Could not read the palette library:', err);
+      }
+      return library;
+    })();
+  }
+  return libraryLoad;
+}
+
+/**
+ * Show the indexed palettes, or the search results grouped by palette
+ * @param {HTMLElement} body - Library modal body
+ * @param {string} term - Search term
+ * @returns {Promise}
+ */
+async function renderLibraryResults(body, term) {
+  const container = body.querySelector('.library-results');
+  const criteria = { ...getSearchCriteria(), term };
+  const entries = [...(await loadLibrary()).values()].sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+
+  if (!entries.length) {
+    container.innerHTML = '<p class="form-hint">No palettes indexed yet.</p>';
+    return;
+  }
+
+  const error = searchErrorHTML(term);
+  if (error) {
+    container.innerHTML = `<p class="search-error">${error}</p>`;
+    return;
+  }
+
+  if (!criteria.term && !getCriteriaQuery(criteria)) {
+    const styleCount = entries.reduce((sum, entry) => sum + entry.colors.length, 0);
+    container.innerHTML = `
+      <p class="form-hint">${entries.length} palettes, ${styleCount} styles indexed.</p>
+      <ul class="recent-list">${entries.map(entry => `
+        <li class="recent-item" data-key="${escapeHtml(entry.key)}">
+          <span class="recent-name">${escapeHtml(entry.name)}</span>
+          <span class="recent-meta">${escapeHtml(entry.path)} · ${entry.colors.length} styles</span>
+          <button class="secondary recent-remove library-remove" title="Remove from library">×</button>
+        </li>`).join('')}
+      </ul>`;
+    return;
+  }
+
+  const groups = (await searchLibrary(criteria)).sort((a, b) => a.entry.path.localeCompare(b.entry.path, undefined, { numeric: true }));
+  const total = groups.reduce((sum, group) => sum + group.matches.length, 0);
+
+  container.innerHTML = `
+    <p class="form-hint">${total} styles in ${groups.length} of ${entries.length} palettes.</p>
+    ${groups.map(({ entry, matches }) => `
+      <div class="library-group">
+        <div class="library-group-header">
+          ${escapeHtml(entry.name)} <span class="library-path">${escapeHtml(entry.path)}</span>
+          <span class="page-count">${matches.length}</span>
+        </div>
+        <ul class="library-result-list">
+          ${matches.slice(0, MAX_RESULTS_PER_PALETTE).map(color => libraryResultHTML(entry, color)).join('')}
+        </ul>
+        ${matches.length > MAX_RESULTS_PER_PALETTE ? `<p class="form-hint">…and ${matches.length - MAX_RESULTS_PER_PALETTE} more</p>` : ''}
+      </div>`).join('')}`;
+}
+
+/**
+ * Generate HTML for one search result
+ * @param {Object} entry - Library entry
+ * @param {Object} color - Matching color
+ * @returns {string} HTML string
+ */
+function libraryResultHTML(entry, color) {
+  const { r, g, b, a } = getInterpolatedColor(0, color);
+  return `
+    <li class="library-result" data-key="${escapeHtml(entry.key)}" data-id="${escapeHtml(color.id)}">
+      <span class="library-swatch" style="background: rgba(${r}, ${g}, ${b}, ${a / 255});"></span>
+      <span class="library-style-name">${escapeHtml(getFullExportName(color))}</span>
+      <span class="library-style-id">#${escapeHtml(getShortId(color.id))}</span>
+    </li>`;
+}
+
+/**
+ * Summarize an indexing run
+ * @param {Object} result - Result of addToLibrary
+ * @returns {string}
+ */
+function describeAddResult({ added, skipped, failed }) {
+  const parts = [`${added} palettes indexed`];
+  if (skipped) parts.push(`${skipped} other files skipped`);
+  if (failed.length) parts.push(`${failed.length} could not be read (${failed.map(f => `${f.path}: ${f.message}`).join('; ')})`);
+  return parts.join(', ') + '.';
+}
+
+/**
+ * Get the files of a drop, walking into dropped folders
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<Array<Object>>} [{ file, path }]
+ */
+async function collectDroppedFiles(dataTransfer) {
+  // Entries must be taken before the first await, the drop data is cleared afterwards
+  const roots = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (!roots.length) {
+    return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+  }
+
+  const found = [];
+  const walk = async entry => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      found.push({ file, path: entry.fullPath.replace(/^\//, '') });
+    } else if (entry.isDirectory) {
+      // readEntries hands out the directory in batches until an empty one
+      const reader = entry.createReader();
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) await walk(child);
+      } while (batch.length);
+    }
+  };
+  for (const root of roots) await walk(root);
+  return found;
+}
@@ -0,0 +1,365 @@
+/**
+ * APPEND FROM PALETTE
+ * Brings styles of another palette into the active one, resolving style ID
+ * and name collisions, and produces an old ID -> new ID remap table
+ */
+
+import * as State from './state.js';
+import { readPalette } from './paletteFormats.js';
+import { readFileBuffer } from './fileLoader.js';
+import { hasErrors, SEVERITY } from './diagnostics.js';
+import { filterColors } from './filters.js';
+import { getShortId, getFullExportName, buildStyleId, getNextStyleNumber, formatRemapCsv } from './colorUtils.js';
+import { getInterpolatedColor } from './interpolation.js';
+import { addColorToPage } from './pages.js';
+import { recordChange } from './history.js';
+import { renderPalette } from './renderer.js';
+import { renderTimeline } from './timeline.js';
+import { updateWheelFromSelection } from './wheelManager.js';
+import { downloadFile } from './exporter.js';
+import { openModal, escapeHtml } from './modal.js';
+
+// What to do when an incoming style ID is already used
+export const ID_STRATEGIES = {
+  renumber: 'Renumber (next free ID)',
+  skip: 'Skip the style',
+  overwrite: 'Overwrite the existing style'
+};
+
+// What to do when an incoming style name is already used
+export const NAME_STRATEGIES = {
+  rename: 'Rename (add _2, _3…)',
+  keep: 'Keep the duplicate name',
+  skip: 'Skip the style'
+};
+
+/**
+ * Work out where each incoming style goes
+ * bg and ink (IDs 0 and 1) are never overwritten; colliding styles are renumbered instead.
+ * A level palette's style IDs are positions, so there added styles are numbered by where they land.
+ * @param {Object} target - { paletteData, colors } receiving the styles
+ * @param {Array} sourceColors - Styles to bring in
+ * @param {Object} [options] - { idConflict: key of ID_STRATEGIES, nameConflict: key of NAME_STRATEGIES }
+ * @returns {Array} [{ source, action: 'add'|'overwrite'|'skip', targetNumber, name, note }]
+ */
+export function planAppend(target, sourceColors, { idConflict = 'renumber', nameConflict = 'rename' } = {}) {
+  const indexByNumber = new Map(target.colors.map((c, i) => [getShortId(c.id), i]));
+  const usedNames = new Set(target.colors.map(getFullExportName));
+
+  // New numbers start above everything in use on both sides, so a renumbered
+  // style never takes the ID of an incoming style that is added as-is
+  let nextNumber = Math.max(getNextStyleNumber(target.colors), getNextStyleNumber(sourceColors));
+  const isLevel = !target.paletteData?.isStudioPalette;
+  let nextPosition = target.colors.length;
+
+  return sourceColors.map(source => {
+    const number = getShortId(source.id);
+    const step = { source, action: 'add', targetNumber: number, name: source.name, note: '' };
+    let renumber = false;
+
+    if (indexByNumber.has(number)) {
+      const existing = target.colors[indexByNumber.get(number)];
+      const strategy = idConflict === 'overwrite' && indexByNumber.get(number) < 2 ? 'renumber' : idConflict;
+
+      if (strategy === 'skip') {
+        return { ...step, action: 'skip', targetNumber: null, note: `ID ${number} is used by ${getFullExportName(existing)}` };
+      }
+      if (strategy === 'overwrite') {
+        step.action = 'overwrite';
+        step.note = `replaces ${getFullExportName(existing)}`;
+        usedNames.delete(getFullExportName(existing));
+      } else {
+        renumber = true;
+        step.note = `ID ${number} is used by ${getFullExportName(existing)}`;
+      }
+    }
+
+    const fullName = getFullExportName(source);
+    if (usedNames.has(fullName)) {
+      if (nameConflict === 'skip') {
+        return { ...step, action: 'skip', targetNumber: null, note: `name ${fullName} is in use` };
+      }
+      if (nameConflict === 'rename') {
+        let n = 2;
+        while (usedNames.has(getFullExportName({ ...source, name: `${source.name}_${n}` }))) n++;
+        step.name = `${source.name}_${n}`;
+        step.note = [step.note, `renamed from ${fullName}`].filter(Boolean).join(', ');
+      }
+    }
+
+    if (step.action === 'add' && isLevel) {
+      step.targetNumber = String(nextPosition++);
+      if (!renumber && step.targetNumber !== number) {
+        step.note = [step.note, `level palette, ID ${number} becomes its position`].filter(Boolean).join(', ');
+      }
+    } else if (renumber) {
+      step.targetNumber = String(nextNumber++);
+    }
+    usedNames.add(getFullExportName({ ...source, name: step.name }));
+    return step;
+  });
+}
+
+/**
+ * Apply a plan to the active palette (one undo step)
+ * Added styles go to the active page.
+ * @param {Array} plan - Result of planAppend against the active palette
+ * @param {string} sourceName - Name of the source palette (for the history label)
+ */
+export function applyAppend(plan, sourceName) {
+  const steps = plan.filter(step => step.action !== 'skip');
+  if (!steps.length) return;
+
+  recordChange(`Append ${steps.length} styles from ${sourceName}`);
+
+  steps.forEach(step => {
+    const color = structuredClone(step.source);
+    // The remembered source text belongs to the other file; write it fresh
+    delete color.source;
+    (color.keyframes || []).forEach(kf => delete kf.source);
+    color.name = step.name;
+
+    if (step.action === 'overwrite') {
+      const idx = State.colors.findIndex(c => getShortId(c.id) === step.targetNumber);
+      color.id = State.colors[idx].id;
+      color.originalIndex = State.colors[idx].originalIndex;
+      State.colors.splice(idx, 1, color);
+    } else {
+      color.id = buildStyleId(State.paletteData, step.targetNumber);
+      color.originalIndex = State.colors.length;
+      State.addColor(color);
+      addColorToPage(color);
+    }
+  });
+
+  renderPalette();
+  renderTimeline();
+  updateWheelFromSelection();
+}
+
+/**
+ * Build the remap table of a plan
+ * @param {Array} plan - Result of planAppend
+ * @param {Object} paletteData - Metadata of the receiving palette
+ * @returns {Array} [{ from, to, name, action, note }] with unquoted full IDs
+ */
+export function getAppendRemap(plan, paletteData) {
+  return plan.map(step => ({
+    from: step.source.id.replace(/"/g, ''),
+    to: step.action === 'skip' ? '' : buildStyleId(paletteData, step.targetNumber).replace(/"/g, ''),
+    name: getFullExportName({ ...step.source, name: step.name }),
+    action: step.action,
+    note: step.note
+  }));
+}
+
+/**
+ * Open the "Append from palette" dialog
+ */
+export function showAppend() {
+  if (!State.paletteData) return;
+
+  // Loaded source palette and the indices of its selected styles
+  let source = null;
+  let selected = new Set();
+  let plan = [];
+
+  const body = openModal({
+    title: 'Append From Palette',
+    width: '900px',
+    body: `
+      <div class="form-row">
+        <button class="secondary" data-action="file">Choose Palette…</button>
+        <span class="append-source form-hint">No palette chosen</span>
+        <input type="file" accept=".tpl,.xml,.json" style="display:none">
+      </div>
+      <div class="append-columns">
+        <div>
+          <div class="form-row">
+            <input type="search" class="text-input append-filter" placeholder="Filter styles (e.g. hair*, role:shadow)">
+          </div>
+          <div class="form-row">
+            <button class="secondary" data-action="select-shown">Select Shown</button>
+            <button class="secondary" data-action="select-none">Select None</button>
+          </div>
+          <ul class="append-list"></ul>
+        </div>
+        <div>
+          <div class="form-row">
+            <label>ID conflicts</label>
+            <select class="append-id-strategy">${strategyOptions(ID_STRATEGIES)}</select>
+          </div>
+          <div class="form-row">
+            <label>Name conflicts</label>
+            <select class="append-name-strategy">${strategyOptions(NAME_STRATEGIES)}</select>
+          </div>
+          <div class="append-plan"></div>
+        </div>
+      </div>`,
+    buttons: [
+      { label: 'Download Remap Table', onClick: () => { downloadRemap(plan); return false; } },
+      { label: 'Cancel' },
+      { label: 'Append', className: '', onClick: () => appendSelected() }
+    ]
+  });
+
+  const input = body.querySelector('input[type="file"]');
+  const filter = body.querySelector('.append-filter');
+  const idStrategy = body.querySelector('.append-id-strategy');
+  const nameStrategy = body.querySelector('.append-name-strategy');
+
+  // Unparsed styles are raw text holding their old ID, they can't be moved
+  const shownColors = () => source
+    ? filterColors(source.colors.filter(c => !c.unparsed), { term: filter.value, matchCase: false, matchWhole: false, animatedOnly: false, hue: null }, { pages: source.paletteData.pages })
+    : [];
+
+  const refresh = () => {
+    body.querySelector('.append-list').innerHTML = shownColors().map(color => {
+      const idx = source.colors.indexOf(color);
+      return `
+        <li class="append-item">
+          <label>
+            <input type="checkbox" data-idx="${idx}" ${selected.has(idx) ? 'checked' : ''}>
+            ${swatchHTML(color)}
+            <span class="append-id">#${escapeHtml(getShortId(color.id))}</span>
+            ${escapeHtml(getFullExportName(color))}
+          </label>
+        </li>`;
+    }).join('');
+    updatePlan();
+  };
+
+  const updatePlan = () => {
+    const picked = source ? source.colors.filter((c, i) => selected.has(i) && !c.unparsed) : [];
+    plan = planAppend(State, picked, { idConflict: idStrategy.value, nameConflict: nameStrategy.value });
+    body.querySelector('.append-plan').innerHTML = planHTML(plan);
+  };
+
+  const appendSelected = () => {
+    if (!plan.some(step => step.action !== 'skip')) return false;
+    const remap = getAppendRemap(plan, State.paletteData);
+    applyAppend(plan, source.paletteData.name);
+    showAppendResult(plan, remap);
+    return false; // the result dialog replaced this one
+  };
+
+  body.querySelector('[data-action="file"]').addEventListener('click', () => input.click());
+  input.addEventListener('change', async () => {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    const { paletteData, colors, report } = await readPalette(file.name, await readFileBuffer(file));
+    const label = body.querySelector('.append-source');
+    if (!paletteData || hasErrors(report)) {
+      const error = report.entries.find(e => e.severity === SEVERITY.ERROR);
+      label.textContent = `${file.name}: ${error ? error.message : 'could not be read'}`;
+      return;
+    }
+
+    source = { paletteData, colors };
+    // bg and ink rarely belong in another palette
+    selected = new Set(colors.map((c, i) => i).filter(i => i >= 2));
+    label.textContent = `${file.name} – ${colors.length} styles`;
+    refresh();
+  });
+
+  body.querySelector('.append-list').addEventListener('change', e => {
+    const idx = parseInt(e.target.dataset.idx);
+    if (e.target.checked) selected.add(idx);
+    else selected.delete(idx);
+    updatePlan();
+  });
+  body.querySelector('[data-action="select-shown"]').addEventListener('click', () => {
+    shownColors().forEach(color => selected.add(source.colors.indexOf(color)));
+    refresh();
+  });
+  body.querySelector('[data-action="select-none"]').addEventListener('click', () => {
+    selected.clear();
+    refresh();
+  });
+  filter.addEventListener('input', refresh);
+  idStrategy.addEventListener('change', updatePlan);
+  nameStrategy.addEventListener('change', updatePlan);
+
+  updatePlan();
+}
+
+/**
+ * Show what was appended, with the remap table for download
+ * @param {Array} plan - Applied plan
+ * @param {Array} remap - Result of getAppendRemap
+ */
+function showAppendResult(plan, remap) {
+  const count = action => plan.filter(step => step.action === action).length;
+  openModal({
+    title: 'Styles Appended',
+    width: '720px',
+    body: `
+      <p>${count('add')} added, ${count('overwrite')} overwritten, ${count('skip')} skipped.</p>
+      ${remapTableHTML(remap)}`,
+    buttons: [
+      { label: 'Download Remap Table', onClick: () => { downloadRemap(plan, remap); return false; } },
+      { label: 'Close', className: '' }
+    ]
+  });
+}
+
+/**
+ * Download the remap table of a plan as CSV
+ * @param {Array} plan - Result of planAppend
+ * @param {Array} [remap] - Precomputed remap (after the plan was applied)
+ */
+function downloadRemap(plan, remap = getAppendRemap(plan, State.paletteData)) {
+  if (!remap.length) return;
+  downloadFile(formatRemapCsv(remap), `${State.paletteData.name}_append_remap.csv`, 'text/csv');
+}
+
+/**
+ * Generate the plan preview
+ * @param {Array} plan - Result of planAppend
+ * @returns {string} HTML string
+ */
+function planHTML(plan) {
+  if (!plan.length) return '<p class="form-hint">Choose a palette and select the styles to bring in.</p>';
+  return remapTableHTML(getAppendRemap(plan, State.paletteData));
+}
+
+/**
+ * Generate a remap table
+ * @param {Array} remap - [{ from, to, name, action, note }]
+ * @returns {string} HTML string
+ */
+function remapTableHTML(remap) {
+  return `
+    <table class="compare-table append-remap">
+      <thead><tr><th>Old ID</th><th>New ID</th><th>Name</th><th>Action</th></tr></thead>
+      <tbody>${remap.map(row => `
+        <tr class="${row.action === 'skip' ? 'is-skipped' : ''}">
+          <td>${escapeHtml(row.from)}</td>
+          <td>${escapeHtml(row.to || '–')}</td>
+          <td>${escapeHtml(row.name)}</td>
+          <td>${escapeHtml(row.action)}${row.note ? `<div class="form-hint">${escapeHtml(row.note)}</div>` : ''}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Generate <option>s for a strategy select
+ * @param {Object} strategies - Key -> label
+ * @returns {string} HTML string
+ */
+function strategyOptions(strategies) {
+  return Object.entries(strategies).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+}
+
+/**
+ * Generate a small swatch of a style's frame 0 color
+ * @param {Object} color - Color object
+ * @returns {string} HTML string
+ */
+function swatchHTML(color) {
+  const { r, g, b, a } = getInterpolatedColor(0, color);
+  return `<span class="compare-swatch" style="background: rgba(${r}, ${g}, ${b}, ${a / 255});"></span>`;
+}
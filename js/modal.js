@@ -0,0 +1,93 @@
+/**
+ * MODAL DIALOGS
+ * Minimal reusable modal used by settings and tool panels
+ */
+
+let onCloseCallback = null;
+
+/**
+ * Open a modal dialog
+ * @param {Object} options
+ * @param {string} options.title - Dialog title
+ * @param {string} options.body - Inner HTML of the dialog body
+ * @param {Array} [options.buttons] - [{ label, onClick, className }]; onClick returning false keeps the dialog open
+ * @param {string} [options.width] - CSS width of the dialog
+ * @param {Function} [options.onClose] - Called after the dialog is closed
+ * @param {string} [options.className] - Extra class of the overlay ('is-panel' leaves the page visible and usable)
+ * @returns {HTMLElement} The dialog body element
+ */
+export function openModal({ title, body, buttons = [], width = '480px', onClose = null, className = '' }) {
+  closeModal();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'modal-overlay';
+  overlay.className = `modal-overlay ${className}`.trim();
+  overlay.innerHTML = `
+    <div class="modal" style="width: ${width};">
+      <div class="modal-header">
+        <span class="modal-title">${title}</span>
+        <button class="modal-close" title="Close">&times;</button>
+      </div>
+      <div class="modal-body"></div>
+      <div class="modal-footer"></div>
+    </div>`;
+
+  const bodyEl = overlay.querySelector('.modal-body');
+  bodyEl.innerHTML = body;
+
+  const footer = overlay.querySelector('.modal-footer');
+  buttons.forEach(({ label, onClick, className = 'secondary' }) => {
+    const btn = document.createElement('button');
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      const keepOpen = onClick ? onClick(bodyEl) === false : false;
+      if (!keepOpen) closeModal();
+    });
+    footer.appendChild(btn);
+  });
+  if (!buttons.length) footer.style.display = 'none';
+
+  overlay.querySelector('.modal-close').addEventListener('click', closeModal);
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) closeModal();
+  });
+
+  onCloseCallback = onClose;
+  document.body.appendChild(overlay);
+  return bodyEl;
+}
+
+/**
+ * Close the open modal dialog (if any)
+ */
+export function closeModal() {
+  const overlay = document.getElementById('modal-overlay');
+  if (!overlay) return;
+  overlay.remove();
+
+  const callback = onCloseCallback;
+  onCloseCallback = null;
+  if (callback) callback();
+}
+
+/**
+ * Check whether a modal dialog is open
+ * @returns {boolean}
+ */
+export function isModalOpen() {
+  return !!document.getElementById('modal-overlay');
+}
+
+/**
+ * Escape text for safe use in modal HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,178 @@
+/**
+ * STYLE PAGES
+ * Management of palette style pages (shown as tabs above the palette grid)
+ */
+
+import * as State from './state.js';
+import { renderPalette } from './renderer.js';
+import { recordChange } from './history.js';
+
+/**
+ * Get the pages of the current palette
+ * @returns {Array} Array of { name, ids }
+ */
+export function getPages() {
+  return State.paletteData?.pages || [];
+}
+
+/**
+ * Find the page a color belongs to
+ * @param {Object} color - Color object
+ * @returns {number} Page index or -1 if the style is on no page
+ */
+export function getPageIndexOfColor(color) {
+  return getPages().findIndex(page => page.ids.includes(color.id));
+}
+
+/**
+ * Remove a color from every page
+ * @param {Object} color - Color object
+ */
+export function removeColorFromPages(color) {
+  getPages().forEach(page => {
+    page.ids = page.ids.filter(id => id !== color.id);
+  });
+}
+
+/**
+ * Put a color on a page (removing it from any other page)
+ * @param {Object} color - Color object
+ * @param {number} pageIndex - Target page index (defaults to active or first page)
+ */
+export function addColorToPage(color, pageIndex = State.activePageIndex) {
+  const pages = getPages();
+  if (!pages.length) return;
+  const target = pages[pageIndex] || pages[0];
+  removeColorFromPages(color);
+  target.ids.push(color.id);
+}
+
+/**
+ * Show a single page in the palette grid
+ * @param {number} pageIndex - Page index (-1 = all pages)
+ */
+export function selectPage(pageIndex) {
+  State.setActivePageIndex(pageIndex);
+  renderPalette();
+}
+
+/**
+ * Create a new, empty page and switch to it
+ */
+export function createPage() {
+  if (!State.paletteData) return;
+  const pages = getPages();
+  const name = prompt('Enter a name for the new page:', `page_${pages.length + 1}`);
+  if (!name || !name.trim()) return;
+
+  recordChange(`Create page ${name.trim()}`);
+  pages.push({ name: name.trim(), ids: [] });
+  selectPage(pages.length - 1);
+}
+
+/**
+ * Rename a page
+ * @param {number} pageIndex - Page index
+ */
+export function renamePage(pageIndex) {
+  const page = getPages()[pageIndex];
+  if (!page) return;
+  const name = prompt('Enter new page name:', page.name);
+  if (!name || !name.trim()) return;
+
+  recordChange(`Rename page ${page.name}`);
+  page.name = name.trim();
+  renderPalette();
+}
+
+/**
+ * Delete a page
+ * Its styles are moved to the first remaining page so no color is lost.
+ * @param {number} pageIndex - Page index
+ */
+export function deletePage(pageIndex) {
+  const pages = getPages();
+  const page = pages[pageIndex];
+  if (!page) return;
+
+  if (pages.length < 2) {
+    alert('A palette needs at least one page.');
+    return;
+  }
+  if (page.ids.length && !confirm(`Delete page "${page.name}"? Its ${page.ids.length} style(s) will be moved to another page.`)) {
+    return;
+  }
+
+  recordChange(`Delete page ${page.name}`);
+  pages.splice(pageIndex, 1);
+  pages[0].ids.push(...page.ids);
+
+  if (State.activePageIndex >= pages.length || State.activePageIndex === pageIndex) {
+    State.setActivePageIndex(-1);
+  } else if (State.activePageIndex > pageIndex) {
+    State.setActivePageIndex(State.activePageIndex - 1);
+  }
+  renderPalette();
+}
+
+/**
+ * Move a color to another page
+ * @param {number} idx - Color index
+ * @param {number} pageIndex - Target page index
+ */
+export function moveColorToPage(idx, pageIndex) {
+  moveColorsToPage([idx], pageIndex);
+}
+
+/**
+ * Move several colors to another page (one undo step)
+ * @param {Array<number>} indices - Color indices
+ * @param {number} pageIndex - Target page index
+ */
+export function moveColorsToPage(indices, pageIndex) {
+  const moved = indices.map(i => State.colors[i]).filter(Boolean);
+  const page = getPages()[pageIndex];
+  if (!moved.length || !page) return;
+  recordChange(moved.length === 1 ? `Move ${moved[0].name} to page ${page.name}` : `Move ${moved.length} colors to page ${page.name}`);
+  moved.forEach(color => addColorToPage(color, pageIndex));
+  renderPalette();
+}
+
+// ==========================================================================
+// Drag & Drop (cards onto page tabs)
+// ==========================================================================
+
+/**
+ * Start dragging a color card
+ */
+export function onCardDragStart(event, idx) {
+  event.dataTransfer.setData('text/x-pltui-color', String(idx));
+  event.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Allow dropping cards on a page tab
+ */
+export function onPageDragOver(event) {
+  if (!event.dataTransfer.types.includes('text/x-pltui-color')) return;
+  event.preventDefault();
+  event.currentTarget.classList.add('drop-target');
+}
+
+/**
+ * Remove drop highlight from a page tab
+ */
+export function onPageDragLeave(event) {
+  event.currentTarget.classList.remove('drop-target');
+}
+
+/**
+ * Drop a card on a page tab (a selected card brings the whole selection)
+ */
+export function onPageDrop(event, pageIndex) {
+  event.preventDefault();
+  event.currentTarget.classList.remove('drop-target');
+  const idx = parseInt(event.dataTransfer.getData('text/x-pltui-color'));
+  if (isNaN(idx)) return;
+  moveColorsToPage(State.selectedIndices.includes(idx) ? State.selectedIndices : [idx], pageIndex);
+}
@@ -0,0 +1,312 @@
+/**
+ * PALETTE DIFF
+ * Structural comparison of two palettes. Styles are matched by their short
+ * ID, so a forked prefix or reordered styles don't show up as replaced;
+ * styles left over on both sides are then matched by name, so a renumbered
+ * style shows up as changed rather than removed and added.
+ */
+
+import { getShortId, getFullExportName } from './colorUtils.js';
+import { describeInterpolation } from './interpolation.js';
+
+// Kinds of style changes, in display order
+export const DIFF_KINDS = {
+  renamed: 'Renamed',
+  recolored: 'Recolored',
+  'role-changed': 'Role changed',
+  'autopaint-changed': 'Autopaint changed',
+  'keyframes-changed': 'Keyframes changed',
+  renumbered: 'ID changed',
+  other: 'Other'
+};
+
+/**
+ * Compare two palettes
+ * @param {Object} before - { paletteData, colors }
+ * @param {Object} after - { paletteData, colors }
+ * @returns {Object} { palette, added, removed, changed, reordered, pages }
+ *   palette:   [{ field, before, after }]
+ *   added:     [{ id, name, value, rgba }] styles only in `after`
+ *   removed:   [{ id, name, value, rgba }] styles only in `before`
+ *   changed:   [{ id, name, matchedBy: 'id'|'name', kinds, changes: [{ field, before, after }], before, after }]
+ *              (`before`/`after` are style summaries like in added/removed)
+ *   reordered: whether the common styles are in a different order
+ *   pages:     [{ name, status: 'added'|'removed'|'changed', added: [ids], removed: [ids] }]
+ */
+export function diffPalettes(before, after) {
+  const pairs = matchStyles(before.colors, after.colors);
+  const matchedBefore = new Set(pairs.map(p => p.before));
+  const matchedAfter = new Set(pairs.map(p => p.after));
+
+  const added = after.colors
+    .filter(c => !matchedAfter.has(c))
+    .map(styleSummary);
+  const removed = before.colors
+    .filter(c => !matchedBefore.has(c))
+    .map(styleSummary);
+
+  const changed = [];
+  pairs.forEach(({ before: previous, after: c, matchedBy }) => {
+    const changes = diffStyle(previous, c);
+    if (!changes.length) return;
+    changed.push({
+      id: getShortId(c.id),
+      name: c.name,
+      matchedBy,
+      kinds: [...new Set(changes.map(change => changeKind(change.field)))],
+      changes,
+      before: styleSummary(previous),
+      after: styleSummary(c)
+    });
+  });
+
+  // Order of the common styles (in `after` order for both sides)
+  const afterOrder = new Map(pairs.map(p => [p.before, p.after]));
+  const commonBefore = before.colors.filter(c => afterOrder.has(c)).map(c => afterOrder.get(c));
+  const commonAfter = after.colors.filter(c => matchedAfter.has(c));
+
+  return {
+    palette: diffPaletteData(before.paletteData, after.paletteData),
+    added,
+    removed,
+    changed,
+    reordered: commonBefore.some((c, i) => c !== commonAfter[i]),
+    pages: diffPages(before.paletteData.pages || [], after.paletteData.pages || [])
+  };
+}
+
+/**
+ * Wrap a diff into a self-describing report (for JSON export)
+ * @param {Object} diff - Result of diffPalettes
+ * @param {string} beforeName - Name or file of the first palette
+ * @param {string} afterName - Name or file of the second palette
+ * @returns {Object}
+ */
+export function buildDiffReport(diff, beforeName, afterName) {
+  const kinds = Object.fromEntries(Object.keys(DIFF_KINDS).map(kind => [
+    kind, diff.changed.filter(c => c.kinds.includes(kind)).length
+  ]));
+
+  return {
+    format: 'pltui-diff',
+    version: 1,
+    before: beforeName,
+    after: afterName,
+    summary: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length, ...kinds },
+    ...diff
+  };
+}
+
+/**
+ * Check whether a diff found no differences
+ * @param {Object} diff - Result of diffPalettes
+ * @returns {boolean}
+ */
+export function isDiffEmpty(diff) {
+  return !diff.palette.length && !diff.added.length && !diff.removed.length &&
+    !diff.changed.length && !diff.reordered && !diff.pages.length;
+}
+
+/**
+ * Format a diff as plain text (one change per line)
+ * @param {Object} diff - Result of diffPalettes
+ * @returns {string}
+ */
+export function formatDiffText(diff) {
+  if (isDiffEmpty(diff)) return 'No differences';
+
+  const lines = [];
+  const change = ({ field, before, after }) => `${field}: ${before ?? '(none)'} -> ${after ?? '(none)'}`;
+
+  if (diff.palette.length) {
+    lines.push('Palette:');
+    diff.palette.forEach(c => lines.push(`  ~ ${change(c)}`));
+  }
+
+  if (diff.added.length || diff.removed.length || diff.changed.length || diff.reordered) {
+    const kinds = Object.entries(DIFF_KINDS)
+      .map(([kind, label]) => [label, diff.changed.filter(c => c.kinds.includes(kind)).length])
+      .filter(([, count]) => count)
+      .map(([label, count]) => `${count} ${label.toLowerCase()}`);
+    lines.push(`Styles: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed${kinds.length ? ` (${kinds.join(', ')})` : ''}${diff.reordered ? ', order changed' : ''}`);
+    diff.added.forEach(s => lines.push(`  + ${s.id} ${s.name} (${s.value})`));
+    diff.removed.forEach(s => lines.push(`  - ${s.id} ${s.name} (${s.value})`));
+    diff.changed.forEach(s => lines.push(`  ~ ${s.id} ${s.name}: ${s.changes.map(change).join('; ')}`));
+  }
+
+  if (diff.pages.length) {
+    lines.push('Pages:');
+    diff.pages.forEach(p => {
+      if (p.status === 'added') lines.push(`  + "${p.name}" (${p.added.length} styles)`);
+      else if (p.status === 'removed') lines.push(`  - "${p.name}" (${p.removed.length} styles)`);
+      else lines.push(`  ~ "${p.name}": ${[...p.added.map(id => `+${id}`), ...p.removed.map(id => `-${id}`)].join(' ')}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Pair up the styles of two palettes: by short ID first, then the
+ * remaining ones by name (in order, when a name is used several times)
+ * @param {Array} beforeColors - Color objects before
+ * @param {Array} afterColors - Color objects after
+ * @returns {Array} [{ before, after, matchedBy }]
+ */
+function matchStyles(beforeColors, afterColors) {
+  const beforeById = new Map(beforeColors.map(c => [getShortId(c.id), c]));
+  const pairs = [];
+  const unmatchedAfter = [];
+
+  afterColors.forEach(c => {
+    const previous = beforeById.get(getShortId(c.id));
+    if (previous) {
+      pairs.push({ before: previous, after: c, matchedBy: 'id' });
+      beforeById.delete(getShortId(c.id));
+    } else {
+      unmatchedAfter.push(c);
+    }
+  });
+
+  const leftByName = new Map();
+  beforeById.forEach(c => {
+    const name = getFullExportName(c);
+    if (!leftByName.has(name)) leftByName.set(name, []);
+    leftByName.get(name).push(c);
+  });
+  unmatchedAfter.forEach(c => {
+    const previous = leftByName.get(getFullExportName(c))?.shift();
+    if (previous) pairs.push({ before: previous, after: c, matchedBy: 'name' });
+  });
+
+  return pairs;
+}
+
+/**
+ * Get the kind of change a style field belongs to
+ * @param {string} field - Field of a style change
+ * @returns {string} Key of DIFF_KINDS
+ */
+function changeKind(field) {
+  if (field.startsWith('keyframe')) return 'keyframes-changed';
+  return {
+    name: 'renamed',
+    color: 'recolored',
+    role: 'role-changed',
+    autopaint: 'autopaint-changed',
+    id: 'renumbered'
+  }[field] || 'other';
+}
+
+/**
+ * Compare palette-level metadata
+ * @param {Object} a - Palette metadata before
+ * @param {Object} b - Palette metadata after
+ * @returns {Array} [{ field, before, after }]
+ */
+function diffPaletteData(a, b) {
+  const fields = {
+    type: p => p.isStudioPalette ? 'studio' : 'level',
+    globalName: p => p.isStudioPalette ? p.globalName : undefined,
+    prefix: p => p.isStudioPalette ? p.prefix : undefined,
+    version: p => p.version,
+    shortcuts: p => p.shortcuts?.trim()
+  };
+
+  return Object.entries(fields)
+    .map(([field, get]) => ({ field, before: get(a), after: get(b) }))
+    .filter(c => c.before !== c.after);
+}
+
+/**
+ * Compare two versions of the same style
+ * @param {Object} a - Color object before
+ * @param {Object} b - Color object after
+ * @returns {Array} [{ field, before, after }]
+ */
+function diffStyle(a, b) {
+  const changes = [];
+  const compare = (field, before, after) => {
+    if (before !== after) changes.push({ field, before, after });
+  };
+
+  compare('id', getShortId(a.id), getShortId(b.id));
+  compare('name', a.name, b.name);
+  compare('role', a.role, b.role);
+  compare('type', a.tagID, b.tagID);
+  compare('color', styleValue(a), styleValue(b));
+  compare('autopaint', !!a.hasTrace, !!b.hasTrace);
+  compare('flags', a.flags || 0, b.flags || 0);
+
+  const framesBefore = new Map((a.keyframes || []).map(kf => [kf.frame, keyframeValue(kf)]));
+  const framesAfter = new Map((b.keyframes || []).map(kf => [kf.frame, keyframeValue(kf)]));
+  const frames = [...new Set([...framesBefore.keys(), ...framesAfter.keys()])].sort((x, y) => x - y);
+  frames.forEach(frame => compare(`keyframe ${frame}`, framesBefore.get(frame), framesAfter.get(frame)));
+
+  return changes;
+}
+
+/**
+ * Compare page names and membership (by short ID)
+ * @param {Array} a - Pages before
+ * @param {Array} b - Pages after
+ * @returns {Array} [{ name, status, added, removed }]
+ */
+function diffPages(a, b) {
+  const toMap = pages => new Map(pages.map(p => [p.name, p.ids.map(getShortId)]));
+  const before = toMap(a);
+  const after = toMap(b);
+  const result = [];
+
+  after.forEach((ids, name) => {
+    if (!before.has(name)) {
+      result.push({ name, status: 'added', added: ids, removed: [] });
+      return;
+    }
+    const previous = before.get(name);
+    const added = ids.filter(id => !previous.includes(id));
+    const removed = previous.filter(id => !ids.includes(id));
+    if (added.length || removed.length) result.push({ name, status: 'changed', added, removed });
+  });
+  before.forEach((ids, name) => {
+    if (!after.has(name)) result.push({ name, status: 'removed', added: [], removed: ids });
+  });
+
+  return result;
+}
+
+/**
+ * Summarize a style for added/removed lists
+ * @param {Object} c - Color object
+ * @returns {Object} { id, name, value, rgba } (rgba is null for unparsed styles)
+ */
+function styleSummary(c) {
+  return {
+    id: getShortId(c.id),
+    name: getFullExportName(c),
+    value: styleValue(c),
+    rgba: c.unparsed ? null : [c.r, c.g, c.b, c.a]
+  };
+}
+
+/**
+ * Comparable value of a style: RGBA for solid colors, parameters otherwise
+ * @param {Object} c - Color object
+ * @returns {string}
+ */
+function styleValue(c) {
+  if (c.unparsed) return c.raw;
+  if (c.params !== undefined) return c.params;
+  return `${c.r},${c.g},${c.b},${c.a}`;
+}
+
+/**
+ * Comparable value of a keyframe
+ * @param {Object} kf - Keyframe
+ * @returns {string}
+ */
+function keyframeValue(kf) {
+  const value = kf.params !== undefined ? kf.params : `${kf.r},${kf.g},${kf.b},${kf.a}`;
+  const timing = describeInterpolation(kf);
+  return timing ? `${value} (${timing})` : value;
+}
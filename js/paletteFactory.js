@@ -0,0 +1,77 @@
+/**
+ * PALETTE FACTORY
+ * Creation of new palettes (empty or from imported swatches)
+ */
+
+import { CONFIG } from './config.js';
+import { generatePalettePrefix, buildStyleId, splitRoleSuffix } from './colorUtils.js';
+
+/**
+ * Create a new studio palette holding only the bg and ink styles
+ * @param {string} name - Palette (file) name
+ * @returns {Object} { paletteData, colors }
+ */
+export function createPalette(name) {
+  const prefix = generatePalettePrefix();
+  const paletteData = { 
+    name, 
+    version: CONFIG.DEFAULT_TPL_VER, 
+    shortcuts: "0 1 -1 -1 -1 -1 -1 -1 -1 -1 ", 
+    globalName: prefix,
+    prefix,
+    idLead: '|-',
+    isStudioPalette: true
+  };
+  const bgId = buildStyleId(paletteData, 0);
+  const inkId = buildStyleId(paletteData, 1);
+  paletteData.pages = [{ name: 'colors', ids: [bgId, inkId] }];
+
+  const colors = [
+    { hasTrace: false, id: bgId,  name: 'bg',  tagID: '3', r: 255, g: 255, b: 255, a: 0,   role: 'none', originalIndex: 0, keyframes: [] },
+    { hasTrace: false, id: inkId, name: 'ink', tagID: '3', r: 0,   g: 0,   b: 0,   a: 255, role: 'none', originalIndex: 1, keyframes: [] }
+  ];
+
+  return { paletteData, colors };
+}
+
+/**
+ * Create a new studio palette from a list of swatches
+ * Swatch names become style names; `_sh`/`_hl`/`_ao` suffixes become roles.
+ * @param {string} name - Palette (file) name
+ * @param {Array} swatches - [{ name, r, g, b, a }]
+ * @returns {Object} { paletteData, colors }
+ */
+export function createPaletteFromSwatches(name, swatches) {
+  const { paletteData, colors } = createPalette(name);
+
+  swatches.forEach(swatch => {
+    const index = colors.length;
+    const { role, name: cleanName } = splitRoleSuffix(toStyleName(swatch.name, index));
+    const color = {
+      hasTrace: false,
+      id: buildStyleId(paletteData, index),
+      name: cleanName,
+      tagID: '3',
+      r: swatch.r, g: swatch.g, b: swatch.b, a: swatch.a ?? 255,
+      role,
+      originalIndex: index,
+      keyframes: []
+    };
+    colors.push(color);
+    paletteData.pages[0].ids.push(color.id);
+  });
+
+  return { paletteData, colors };
+}
+
+/**
+ * Turn a free-form swatch name into a valid style name
+ * Style names can't contain whitespace or quotes in a TPL file.
+ * @param {string} name - Swatch name
+ * @param {number} index - Style index used for unnamed swatches
+ * @returns {string}
+ */
+function toStyleName(name, index) {
+  const clean = (name || '').trim().replace(/["\s]+/g, '_');
+  return clean || `color_${index}`;
+}
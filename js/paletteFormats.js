@@ -0,0 +1,129 @@
+/**
+ * PALETTE FORMATS
+ * Detection, reading and writing of every palette format PltUI supports.
+ * Works on plain data only (no DOM access, no app state), so it is shared
+ * by the browser UI and the command-line tool.
+ */
+
+import { parseTPLString } from './parser.js';
+import { serializeTPL } from './serializer.js';
+import { parseJson, serializeJson } from './jsonFormat.js';
+import { readSwatchFile, detectSwatchFormat, SWATCH_WRITERS } from './swatchFormats.js';
+import { createPaletteFromSwatches } from './paletteFactory.js';
+import { createReport, addDiagnostic, SEVERITY } from './diagnostics.js';
+import { getInterpolatedColor } from './interpolation.js';
+import { getFullExportName } from './colorUtils.js';
+
+/**
+ * Writable formats: file extension and MIME type
+ */
+export const EXPORT_FORMATS = {
+  tpl:  { label: 'OpenToonz palette (.tpl)', ext: 'tpl',  type: 'text/plain' },
+  json: { label: 'PltUI JSON (.json)',       ext: 'json', type: 'application/json' },
+  ...SWATCH_WRITERS
+};
+
+/**
+ * Detect the format of a palette file
+ * @param {string} fileName - File name
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string} 'tpl' | 'json' | one of the swatch formats
+ */
+export function detectPaletteFormat(fileName, bytes) {
+  return detectSwatchFormat(fileName, bytes) || (isJsonFile(fileName, bytes) ? 'json' : 'tpl');
+}
+
+/**
+ * Read a palette file of any supported format
+ * @param {string} fileName - File name (used for format detection and the report)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} { format, paletteData, colors, endFrame, report } (paletteData is null on error)
+ */
+export async function readPalette(fileName, buffer) {
+  const bytes = new Uint8Array(buffer);
+  const format = detectPaletteFormat(fileName, bytes);
+
+  if (format === 'tpl') {
+    return { format, ...parseTPLString(new TextDecoder().decode(bytes), fileName) };
+  }
+  if (format === 'json') {
+    return { format, ...parseJson(new TextDecoder().decode(bytes), fileName) };
+  }
+  return { format, ...await readSwatchPalette(fileName, buffer) };
+}
+
+/**
+ * Write a palette in one of the EXPORT_FORMATS
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} paletteData - Palette metadata
+ * @param {Array} colors - Color objects to write
+ * @param {Object} options - { skipTransparent } for swatch formats
+ * @returns {Object} { content, semiTransparent } with content as string or Uint8Array
+ */
+export function writePalette(format, paletteData, colors, { skipTransparent = true } = {}) {
+  if (format === 'tpl') return { content: serializeTPL(paletteData, colors), semiTransparent: 0 };
+  if (format === 'json') return { content: JSON.stringify(serializeJson(paletteData, colors), null, 2), semiTransparent: 0 };
+
+  const writer = SWATCH_WRITERS[format];
+  if (!writer) throw new Error(`Unknown export format: ${format}`);
+
+  const { swatches, semiTransparent } = buildSwatches(colors, skipTransparent);
+  return { content: writer.write(paletteData.name, swatches), semiTransparent };
+}
+
+/**
+ * Turn color objects into swatches (frame 0 color, full name with role suffix)
+ * @param {Array} sourceColors - Color objects
+ * @param {boolean} skipTransparent - Leave out colors with alpha 0
+ * @returns {Object} { swatches, semiTransparent }
+ */
+export function buildSwatches(sourceColors, skipTransparent) {
+  let semiTransparent = 0;
+  const swatches = [];
+
+  sourceColors.forEach(c => {
+    if (c.unparsed) return;
+    const { r, g, b, a } = getInterpolatedColor(0, c);
+    if (a === 0 && skipTransparent) return;
+    if (a > 0 && a < 255) semiTransparent++;
+    swatches.push({ name: getFullExportName(c), r, g, b, a });
+  });
+
+  return { swatches, semiTransparent };
+}
+
+/**
+ * Check whether a file is PltUI JSON (by extension or leading bracket)
+ * @param {string} fileName - File name
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean}
+ */
+function isJsonFile(fileName, bytes) {
+  if (/\.json$/i.test(fileName)) return true;
+  const first = bytes.find(b => b !== 0x20 && b !== 0x09 && b !== 0x0a && b !== 0x0d && b !== 0xef && b !== 0xbb && b !== 0xbf);
+  return first === 0x7b || first === 0x5b; // '{' or '['
+}
+
+/**
+ * Read a GIMP/Krita/Adobe/Paint.NET palette as a new studio palette
+ * @param {string} fileName - File name
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} { paletteData, colors, endFrame, report }
+ */
+async function readSwatchPalette(fileName, buffer) {
+  const report = createReport(fileName);
+
+  try {
+    const { name, swatches, warnings } = await readSwatchFile(fileName, buffer);
+    const { paletteData, colors } = createPaletteFromSwatches(name, swatches);
+
+    warnings.forEach(message => addDiagnostic(report, SEVERITY.WARNING, message));
+    report.stats.styles = swatches.length;
+    report.stats.loaded = colors.length;
+
+    return { paletteData, colors, endFrame: 100, report };
+  } catch (err) {
+    addDiagnostic(report, SEVERITY.ERROR, err.message);
+    return { paletteData: null, colors: [], endFrame: 100, report };
+  }
+}
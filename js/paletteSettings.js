@@ -0,0 +1,271 @@
+/**
+ * PALETTE SETTINGS
+ * Editing of palette-level properties (file name, global name, style ID prefix)
+ * and conversion between level and studio palettes
+ */
+
+import * as State from './state.js';
+import { generatePalettePrefix, getShortId, splitStyleId, applyStyleIdRemap } from './colorUtils.js';
+import { renderPalette } from './renderer.js';
+import { openModal, escapeHtml } from './modal.js';
+import { recordChange } from './history.js';
+
+/**
+ * Open the palette settings panel
+ */
+export function openPaletteSettings() {
+  const paletteData = State.paletteData;
+  if (!paletteData) return;
+
+  const isStudio = paletteData.isStudioPalette;
+  const studioOnly = isStudio ? '' : 'disabled';
+
+  const body = openModal({
+    title: 'Palette Settings',
+    body: `
+      <div class="form-row">
+        <label for="settingsName">File name</label>
+        <input type="text" class="text-input" id="settingsName" value="${escapeHtml(paletteData.name)}">
+      </div>
+      <div class="form-row">
+        <label>Type</label>
+        <input type="text" class="text-input" value="${isStudio ? 'Studio palette' : `Level palette (id ${escapeHtml(paletteData.originalId || '1')})`}" disabled>
+        <button class="secondary" id="settingsConvertBtn">Convert to ${isStudio ? 'level' : 'studio'} palette…</button>
+      </div>
+      <div class="form-row">
+        <label for="settingsGlobalName">Global name</label>
+        <input type="text" class="text-input" id="settingsGlobalName" value="${escapeHtml(paletteData.globalName || '')}" ${studioOnly}>
+      </div>
+      <div class="form-row">
+        <label for="settingsPrefix">Style ID prefix</label>
+        <input type="text" class="text-input" id="settingsPrefix" value="${escapeHtml(paletteData.prefix || '')}" ${studioOnly}>
+        <span class="form-hint">Style IDs are written as "${escapeHtml(paletteData.idLead ?? '|-')}&lt;prefix&gt;-N". Changing the prefix rewrites every style ID.</span>
+      </div>
+      <button class="secondary" id="settingsForkBtn" ${studioOnly}>Fork: regenerate global name &amp; prefix</button>`,
+    buttons: [
+      { label: 'Cancel' },
+      { label: 'Apply', className: '', onClick: body => applySettingsForm(body) }
+    ]
+  });
+
+  body.querySelector('#settingsForkBtn').addEventListener('click', () => {
+    const prefix = generatePalettePrefix();
+    body.querySelector('#settingsPrefix').value = prefix;
+    body.querySelector('#settingsGlobalName').value = prefix;
+  });
+  body.querySelector('#settingsConvertBtn').addEventListener('click', openConvertDialog);
+}
+
+/**
+ * Read the settings form and apply it
+ * @param {HTMLElement} body - Modal body element
+ * @returns {boolean|undefined} false to keep the dialog open
+ */
+function applySettingsForm(body) {
+  const name = body.querySelector('#settingsName').value.trim();
+  const globalName = body.querySelector('#settingsGlobalName').value.trim();
+  const prefix = body.querySelector('#settingsPrefix').value.trim();
+
+  if (!name) {
+    alert('The palette needs a file name.');
+    return false;
+  }
+  if (State.paletteData.isStudioPalette && (!prefix || /["\s]/.test(prefix))) {
+    alert('The style ID prefix must not be empty or contain spaces or quotes.');
+    return false;
+  }
+
+  updatePaletteSettings({ name, globalName, prefix });
+}
+
+/**
+ * Update palette properties
+ * @param {Object} settings - { name, globalName, prefix } (omitted keys are left unchanged)
+ */
+export function updatePaletteSettings({ name, globalName, prefix }) {
+  const paletteData = State.paletteData;
+  if (!paletteData) return;
+
+  recordChange('Change palette settings');
+  if (name !== undefined) paletteData.name = name;
+
+  if (paletteData.isStudioPalette) {
+    if (globalName !== undefined) paletteData.globalName = globalName;
+    if (prefix !== undefined && prefix !== paletteData.prefix) setStylePrefix(prefix);
+  }
+
+  renderPalette();
+}
+
+/**
+ * Change the style ID prefix of a studio palette, rewriting the IDs of
+ * every style that used the previous prefix
+ * @param {string} prefix - New prefix
+ */
+export function setStylePrefix(prefix) {
+  const paletteData = State.paletteData;
+  const oldPrefix = paletteData.prefix;
+  const remap = new Map();
+
+  State.colors.forEach(c => {
+    const parts = splitStyleId(c.id);
+    if (parts && parts.prefix === oldPrefix) {
+      remap.set(c.id, `"${parts.lead}${prefix}-${parts.number}"`);
+    }
+  });
+
+  applyStyleIdRemap(paletteData, State.colors, remap);
+  paletteData.prefix = prefix;
+}
+
+/**
+ * Turn the active level palette into a studio palette
+ * Every style gets a global ID ("|-prefix-N") keeping its current number,
+ * so animation and page references stay on the same styles.
+ * @param {Object} [options] - { prefix, globalName } (a new prefix is generated if omitted)
+ * @returns {boolean} Whether the palette was converted
+ */
+export function convertToStudioPalette({ prefix = generatePalettePrefix(), globalName = prefix } = {}) {
+  const paletteData = State.paletteData;
+  if (!paletteData || paletteData.isStudioPalette) return false;
+
+  recordChange('Convert to studio palette');
+
+  const used = new Set();
+  const pending = [];
+  const newIds = new Map();
+  State.colors.forEach(c => {
+    const number = parseInt(getShortId(c.id));
+    if (isNaN(number) || used.has(number)) {
+      pending.push(c);
+    } else {
+      used.add(number);
+      newIds.set(c, `"|-${prefix}-${number}"`);
+    }
+  });
+  // Styles without a usable number go after the highest one
+  let next = used.size ? Math.max(...used) + 1 : 0;
+  pending.forEach(c => newIds.set(c, `"|-${prefix}-${next++}"`));
+  setStyleIds(newIds);
+
+  Object.assign(paletteData, { isStudioPalette: true, prefix, globalName, idLead: '|-' });
+  renderPalette();
+  return true;
+}
+
+/**
+ * Turn the active studio palette into a level palette
+ * Level palettes have no global IDs, a style's ID is its position, so the
+ * style numbers are replaced by positions (animation and pages follow).
+ * @param {Object} [options] - { levelId } written as the palette id attribute
+ * @returns {boolean} Whether the palette was converted
+ */
+export function convertToLevelPalette({ levelId = State.paletteData?.originalId || '1' } = {}) {
+  const paletteData = State.paletteData;
+  if (!paletteData || !paletteData.isStudioPalette) return false;
+
+  recordChange('Convert to level palette');
+  setStyleIds(new Map(State.colors.map((c, i) => [c, `"${i}"`])));
+
+  Object.assign(paletteData, { isStudioPalette: false, prefix: '', globalName: '', idLead: '', originalId: levelId });
+  renderPalette();
+  return true;
+}
+
+/**
+ * Open the level/studio conversion dialog for the active palette
+ */
+function openConvertDialog() {
+  const paletteData = State.paletteData;
+  if (!paletteData) return;
+
+  if (paletteData.isStudioPalette) {
+    const moved = State.colors.filter((c, i) => getShortId(c.id) !== String(i)).length;
+    openModal({
+      title: 'Convert to Level Palette',
+      body: `
+        <p>The global style IDs ("${escapeHtml(paletteData.idLead ?? '|-')}${escapeHtml(paletteData.prefix || '')}-N") are removed; each style's ID becomes its position in the palette.</p>
+        ${moved ? `<p class="form-hint">${moved} styles are not at the position matching their number and get a new ID. FX settings referencing them must be updated.</p>` : ''}
+        <div class="form-row">
+          <label for="convertLevelId">Level palette id</label>
+          <input type="text" class="text-input" id="convertLevelId" value="${escapeHtml(paletteData.originalId || '1')}">
+        </div>`,
+      buttons: [
+        { label: 'Cancel' },
+        { label: 'Convert', className: '', onClick: body => {
+          const levelId = body.querySelector('#convertLevelId').value.trim();
+          if (!/^\d+$/.test(levelId)) {
+            alert('The level palette id must be a number.');
+            return false;
+          }
+          convertToLevelPalette({ levelId });
+        } }
+      ]
+    });
+    return;
+  }
+
+  const prefix = generatePalettePrefix();
+  const body = openModal({
+    title: 'Convert to Studio Palette',
+    body: `
+      <p>Every style gets a global ID ("|-&lt;prefix&gt;-N") keeping its current number, so the palette can be shared between levels.</p>
+      <div class="form-row">
+        <label for="convertPrefix">Style ID prefix</label>
+        <input type="text" class="text-input" id="convertPrefix" value="${prefix}">
+      </div>
+      <div class="form-row">
+        <label for="convertGlobalName">Global name</label>
+        <input type="text" class="text-input" id="convertGlobalName" value="${prefix}">
+      </div>
+      <button class="secondary" id="convertRegenerateBtn">Regenerate prefix</button>`,
+    buttons: [
+      { label: 'Cancel' },
+      { label: 'Convert', className: '', onClick: body => {
+        const prefix = body.querySelector('#convertPrefix').value.trim();
+        if (!prefix || /["\s]/.test(prefix)) {
+          alert('The style ID prefix must not be empty or contain spaces or quotes.');
+          return false;
+        }
+        convertToStudioPalette({ prefix, globalName: body.querySelector('#convertGlobalName').value.trim() || prefix });
+      } }
+    ]
+  });
+
+  body.querySelector('#convertRegenerateBtn').addEventListener('click', () => {
+    const prefixInput = body.querySelector('#convertPrefix');
+    const globalNameInput = body.querySelector('#convertGlobalName');
+    const prefix = generatePalettePrefix();
+    // The global name follows the prefix unless it was edited
+    if (globalNameInput.value === prefixInput.value) globalNameInput.value = prefix;
+    prefixInput.value = prefix;
+  });
+}
+
+/**
+ * Give styles of the active palette new IDs, updating page membership
+ * (the animation is written from the IDs) and the raw text of unparsed styles.
+ * Called before the palette type is switched.
+ * @param {Map<Object, string>} newIds - Color object -> new full ID
+ */
+function setStyleIds(newIds) {
+  const remap = new Map();
+  newIds.forEach((id, color) => {
+    if (!remap.has(color.id)) remap.set(color.id, id);
+    if (color.unparsed) color.raw = setRawStyleId(color.raw, State.paletteData.isStudioPalette ? null : id);
+    color.id = id;
+  });
+  applyStyleIdRemap(State.paletteData, [], remap);
+}
+
+/**
+ * Put a global ID into (or take it out of) the raw text of an unparsed style
+ * @param {string} raw - Style content as read
+ * @param {string|null} id - Full quoted ID, or null to remove it
+ * @returns {string}
+ */
+function setRawStyleId(raw, id) {
+  const match = raw.match(/^(_\d+\s+)?("[^"]*")?/);
+  const flags = match[1] || '';
+  return `${flags}${id || ''}${raw.slice(match[0].length)}`;
+}
@@ -4,182 +4,344 @@
  */
 
 import { CONFIG } from './config.js';
-import { getShortId } from './colorUtils.js';
-import * as State from './state.js';
+import { getShortId, isSolidStyle, formatStyleContent, formatKeyframeContent, splitStyleId, splitRoleSuffix } from './colorUtils.js';
+import { createReport, addDiagnostic, findLineNumbers, SEVERITY } from './diagnostics.js';
+import { parseXml, findChild, findChildren, getText, getSource } from './xml.js';
+
+// Report of the most recent import
+let lastImportReport = null;
 
 /**
- * Handle file input and read contents
- * @param {Event} event - File input change event
+ * Get the diagnostics report of the most recent import
+ * @returns {Object|null} Report (see diagnostics.js)
  */
-export function handleFile(event) {
-  const file = event.target.files[0];
-  if (!file) return;
-  const reader = new FileReader();
-  reader.onload = e => {
-    parseTPL(e.target.result);
-    // Enable UI buttons after parsing
-    ["addBtn", "exportBtn", "exportJsonBtn"].forEach(id => {
-      const el = document.getElementById(id);
-      if (el) el.disabled = false;
-    });
-    // Trigger re-render
-    import('./renderer.js').then(module => module.renderPalette());
-  };
-  reader.readAsText(file);
-  event.target.value = ''; // Reset input
+export function getLastImportReport() {
+  return lastImportReport;
 }
 
 /**
- * Parse TPL/XML string into palette data
+ * Remember the report of the most recent import
+ * @param {Object} report - Import report
+ */
+export function setLastImportReport(report) {
+  lastImportReport = report;
+}
+
+/**
+ * Parse TPL/XML string into palette data without touching the app state
  * @param {string} xmlString - Raw XML content
- * @param {Function} onComplete - Callback after parsing
+ * @param {string} sourceName - File name used in the report
+ * @returns {Object} { paletteData, colors, endFrame, report } (paletteData is null when the file can't be read)
  */
-export function parseTPL(xmlString, onComplete) {
-  const parser = new DOMParser();
-  const xmlDoc = parser.parseFromString(xmlString, "text/xml");
-  const paletteNode = xmlDoc.querySelector('palette');
+export function parseTPLString(xmlString, sourceName = '') {
+  const report = createReport(sourceName);
+
+  const { root, errors } = parseXml(xmlString);
+  const paletteNode = findChild(root, 'palette');
   
   if (!paletteNode) {
-    alert("Error: Could not find <palette> node. Is this a valid TPL file?");
-    return;
+    const message = errors.length
+      ? `Invalid XML: ${errors[0].message}`
+      : "Could not find <palette> node. Is this a valid TPL file?";
+    addDiagnostic(report, SEVERITY.ERROR, message, { line: errors[0]?.line ?? 1 });
+    return { paletteData: null, colors: [], endFrame: 100, report };
   }
+  errors.forEach(error => {
+    addDiagnostic(report, SEVERITY.WARNING, `XML is not well-formed, some data may be missing: ${error.message}`, { line: error.line });
+  });
 
-  const paletteName = paletteNode.getAttribute('name');
-  const paletteId = paletteNode.getAttribute('id');
+  const paletteName = paletteNode.attributes.name;
+  const paletteId = paletteNode.attributes.id;
 
   const paletteData = {
     name: paletteName || (paletteId ? `level_palette_${paletteId}` : "new_palette"),
-    version: xmlDoc.querySelector('version')?.textContent.trim() || CONFIG.DEFAULT_TPL_VER,
-    shortcuts: xmlDoc.querySelector('shortcuts')?.textContent.trim() || "",
+    version: getText(findChild(paletteNode, 'version')).trim() || CONFIG.DEFAULT_TPL_VER,
+    shortcuts: getText(findChild(paletteNode, 'shortcuts')).trim(),
     isStudioPalette: !!paletteName,
-    originalId: paletteId
+    globalName: paletteName || "",
+    originalId: paletteId,
+    extraXml: parseExtraNodes(paletteNode, xmlString)
   };
 
-  const colors = parseStyles(xmlDoc, paletteData.isStudioPalette);
-  const maxFrame = parseAnimation(xmlDoc, colors);
+  const lines = {
+    styles: findLineNumbers(xmlString, /<style\s*>/g),
+    animations: findLineNumbers(xmlString, /<style\s+id=/g),
+    pages: findLineNumbers(xmlString, /<page\s*>/g)
+  };
+
+  const colors = parseStyles(paletteNode, paletteData.isStudioPalette, report, lines.styles);
+  Object.assign(paletteData, detectStylePrefix(paletteData, colors));
+  paletteData.orphanAnimationXml = [];
+  const maxFrame = parseAnimation(paletteNode, xmlString, colors, paletteData.orphanAnimationXml, report, lines.animations);
+  paletteData.pages = parseStylePages(paletteNode, colors, report, lines.pages);
+
+  return { paletteData, colors, endFrame: maxFrame > 0 ? maxFrame + 10 : 100, report };
+}
+
+/**
+ * Detect the style ID prefix of a studio palette ("|-prefix-N" -> prefix)
+ * @param {Object} paletteData - Palette metadata
+ * @param {Array} colors - Parsed color objects
+ * @returns {Object} { prefix, idLead }
+ */
+function detectStylePrefix(paletteData, colors) {
+  if (!paletteData.isStudioPalette) return { prefix: "", idLead: "" };
+
+  const parts = colors.map(c => splitStyleId(c.id)).find(Boolean);
+  if (parts) return { prefix: parts.prefix, idLead: parts.lead };
 
-  // Update state
-  State.setPaletteData(paletteData);
-  State.setColors(colors);
-  State.setEndFrame(maxFrame > 0 ? maxFrame + 10 : 100);
+  return { prefix: paletteData.globalName.replace(/^[|+-]+/, ''), idLead: '|-' };
+}
 
-  if (onComplete) onComplete();
+/**
+ * Keep palette child nodes PltUI doesn't edit (lock flags, reference images...)
+ * so they can be written back unchanged on export
+ * @param {Object} paletteNode - The <palette> element
+ * @param {string} xmlString - Source the element was parsed from
+ * @returns {Array<string>} Source XML of each unknown child
+ */
+function parseExtraNodes(paletteNode, xmlString) {
+  const known = ['version', 'styles', 'animation', 'stylepages', 'shortcuts'];
+  return findChildren(paletteNode)
+    .filter(node => !known.includes(node.name))
+    .map(node => getSource(xmlString, node));
 }
 
 /**
  * Parse style nodes from XML
- * @param {Document} xmlDoc - Parsed XML document
+ * Every <style> becomes a color object: solid colors (tag 3) are fully
+ * editable, other style types keep their parameter list verbatim and
+ * unreadable lines are kept as raw text so nothing is lost on export.
+ * @param {Object} paletteNode - The <palette> element
  * @param {boolean} isStudioPalette - Whether this is a studio palette
+ * @param {Object} report - Import report receiving diagnostics
+ * @param {Array<number>} lines - Source line of each <style> node
  * @returns {Array} Array of color objects
  */
-function parseStyles(xmlDoc, isStudioPalette) {
+function parseStyles(paletteNode, isStudioPalette, report, lines = []) {
   const colors = [];
-  const styles = xmlDoc.querySelectorAll('styles > style');
-  
-  // Regex for studio palettes (with explicit quoted ID)
-  const studioRegex = /^\s*(_1\s+)?("[^"]+")([^\s]+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)/;
-  // Regex for level palettes (no explicit ID)
-  const levelRegex = /^\s*(_1\s+)?([^\s]+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)/;
+  const styles = findChildren(findChild(paletteNode, 'styles'), 'style');
+  const seenIds = new Set();
+  report.stats.styles = styles.length;
 
   styles.forEach((style, index) => {
-    const content = style.textContent.trim();
-    let match;
-    let colorData;
-
-    if (isStudioPalette) {
-      match = content.match(studioRegex);
-      if (!match) {
-        console.warn("Could not parse studio palette style content:", content);
-        return;
-      }
-      colorData = {
-        hasTrace: !!match[1],
-        id: match[2],
-        rawName: match[3],
-        tagID: match[4],
-        r: parseInt(match[5]),
-        g: parseInt(match[6]),
-        b: parseInt(match[7]),
-        a: parseInt(match[8]),
-      };
-    } else {
-      match = content.match(levelRegex);
-      if (!match) {
-        console.warn("Could not parse level palette style content:", content);
-        return;
-      }
-      colorData = {
-        hasTrace: !!match[1],
-        id: `"${index}"`,
-        rawName: match[2],
-        tagID: match[3],
-        r: parseInt(match[4]),
-        g: parseInt(match[5]),
-        b: parseInt(match[6]),
-        a: parseInt(match[7]),
-      };
-    }
+    const content = getText(style).trim();
+    const details = { styleIndex: index, line: lines[index] ?? null, raw: content };
 
-    if (!colorData) return;
+    const color = parseStyleContent(content, index, isStudioPalette);
 
-    // Determine role and clean name
-    let role = 'none';
-    let cleanName = colorData.rawName;
-    for (const [key, val] of Object.entries(CONFIG.ROLES)) {
-      if (val.suffix && colorData.rawName.endsWith(val.suffix)) {
-        role = key;
-        cleanName = colorData.rawName.slice(0, -val.suffix.length);
-        break;
-      }
+    if (color.unparsed) {
+      report.stats.raw++;
+      addDiagnostic(report, SEVERITY.WARNING, 'Could not parse style, kept as raw text', details);
+    } else if (color.params !== undefined) {
+      report.stats.readOnly++;
+      addDiagnostic(report, SEVERITY.INFO, `Style type ${color.tagID} is not a solid color, loaded read-only`, details);
     }
 
-    colors.push({
-      hasTrace: colorData.hasTrace,
-      id: colorData.id,
-      name: cleanName,
-      tagID: colorData.tagID,
-      r: colorData.r, g: colorData.g, b: colorData.b, a: colorData.a,
-      role: role,
+    if (seenIds.has(color.id)) {
+      addDiagnostic(report, SEVERITY.WARNING, `Duplicate style ID ${color.id}`, details);
+    }
+    seenIds.add(color.id);
+
+    color.source = { raw: content, generated: formatStyleContent(color, isStudioPalette) };
+    colors.push(color);
+  });
+
+  report.stats.loaded = colors.length;
+  return colors;
+}
+
+/**
+ * Parse the text content of a single <style> node
+ * @param {string} content - Trimmed style content
+ * @param {number} index - Position of the style in the palette
+ * @param {boolean} isStudioPalette - Whether this is a studio palette
+ * @returns {Object} Color object
+ */
+export function parseStyleContent(content, index, isStudioPalette) {
+  // Optional flags prefix (e.g. "_1 " for autopaint)
+  const flagMatch = content.match(/^_(\d+)\s+/);
+  const flags = flagMatch ? parseInt(flagMatch[1]) : 0;
+  const rest = flagMatch ? content.slice(flagMatch[0].length) : content;
+
+  // Studio palettes carry an explicit quoted ID glued to the name
+  const studioRegex = /^("[^"]*")(\S*)\s+(-?\d+)(?:\s+([\s\S]*))?$/;
+  // Level palettes have no explicit ID, the style index is the ID
+  const levelRegex = /^(\S+)\s+(-?\d+)(?:\s+([\s\S]*))?$/;
+
+  let id, rawName, tagID, tail;
+  const match = isStudioPalette ? rest.match(studioRegex) : rest.match(levelRegex);
+
+  if (match && isStudioPalette) {
+    [, id, rawName, tagID, tail] = match;
+  } else if (match) {
+    id = `"${index}"`;
+    [, rawName, tagID, tail] = match;
+  } else {
+    const quotedId = content.match(/^(?:_\d+\s+)?("[^"]*")/);
+    return {
+      unparsed: true,
+      raw: content,
+      hasTrace: false,
+      id: isStudioPalette && quotedId ? quotedId[1] : `"${index}"`,
+      name: '(unparsed)',
+      tagID: '',
+      r: 128, g: 128, b: 128, a: 255,
+      role: 'none',
       originalIndex: index,
       keyframes: []
+    };
+  }
+
+  tail = tail || '';
+  const { role, name } = splitRoleSuffix(rawName);
+  const color = {
+    hasTrace: (flags & 1) === 1,
+    id,
+    name,
+    tagID,
+    role,
+    originalIndex: index,
+    keyframes: []
+  };
+  if (flags & ~1) color.flags = flags;
+
+  const solidMatch = tagID === '3' && tail.match(/^(\d+)\s+(\d+)\s+(\d+)\s+(\d+)$/);
+  if (solidMatch) {
+    color.r = parseInt(solidMatch[1]);
+    color.g = parseInt(solidMatch[2]);
+    color.b = parseInt(solidMatch[3]);
+    color.a = parseInt(solidMatch[4]);
+  } else {
+    // Texture, gradient, vector and special styles: keep parameters verbatim
+    color.params = tail;
+    Object.assign(color, guessPreviewColor(tail));
+  }
+
+  return color;
+}
+
+/**
+ * Pick a representative color from a non-solid style's parameters
+ * Most OpenToonz styles start their parameters with a main RGBA color.
+ * @param {string} params - Raw parameter list
+ * @returns {Object} { r, g, b, a }
+ */
+function guessPreviewColor(params) {
+  const tokens = params.split(/\s+/);
+  for (let i = 0; i + 3 < tokens.length; i++) {
+    const values = tokens.slice(i, i + 4);
+    if (values.every(v => /^\d+$/.test(v) && parseInt(v) <= 255)) {
+      const [r, g, b, a] = values.map(v => parseInt(v));
+      return { r, g, b, a };
+    }
+  }
+  return { r: 128, g: 128, b: 128, a: 255 };
+}
+
+/**
+ * Parse style pages from XML
+ * Page membership is stored as a list of style IDs per page, so it survives
+ * adding, deleting and reordering styles.
+ * @param {Object} paletteNode - The <palette> element
+ * @param {Array} colors - Parsed color objects (indices refer to their order)
+ * @param {Object} report - Import report receiving diagnostics
+ * @param {Array<number>} lines - Source line of each <page> node
+ * @returns {Array} Array of { name, ids }
+ */
+function parseStylePages(paletteNode, colors, report, lines = []) {
+  const pages = [];
+  const byIndex = new Map(colors.map(c => [c.originalIndex, c]));
+
+  findChildren(findChild(paletteNode, 'stylepages'), 'page').forEach((pageNode, pageIndex) => {
+    const name = getText(findChild(pageNode, 'name')).trim() || `page_${pages.length + 1}`;
+    const indices = getText(findChild(pageNode, 'indices')).trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(n => parseInt(n));
+
+    const ids = [];
+    indices.forEach(i => {
+      if (byIndex.has(i)) {
+        ids.push(byIndex.get(i).id);
+      } else {
+        addDiagnostic(report, SEVERITY.WARNING, `Page "${name}" references missing style index ${i}`, {
+          line: lines[pageIndex] ?? null
+        });
+      }
     });
+    pages.push({ name, ids });
   });
 
-  return colors;
+  // Palettes without page info get a single page holding every style
+  if (!pages.length) {
+    pages.push({ name: 'colors', ids: colors.map(c => c.id) });
+  }
+
+  return pages;
 }
 
 /**
  * Parse animation/keyframe data from XML
- * @param {Document} xmlDoc - Parsed XML document
+ * @param {Object} paletteNode - The <palette> element
+ * @param {string} xmlString - Source the element was parsed from
  * @param {Array} colors - Array of color objects to populate
+ * @param {Array<string>} orphans - Receives serialized animation nodes whose style wasn't found
+ * @param {Object} report - Import report receiving diagnostics
+ * @param {Array<number>} lines - Source line of each animation <style> node
  * @returns {number} Maximum frame number found
  */
-function parseAnimation(xmlDoc, colors) {
-  const animationNode = xmlDoc.querySelector('animation');
+function parseAnimation(paletteNode, xmlString, colors, orphans, report, lines = []) {
+  const animationNode = findChild(paletteNode, 'animation');
   let maxFrame = 0;
 
   if (animationNode) {
-    animationNode.querySelectorAll('style').forEach(animStyleNode => {
-      const targetColor = colors.find(c => getShortId(c.id) === animStyleNode.getAttribute('id'));
+    findChildren(animationNode, 'style').forEach((animStyleNode, animIndex) => {
+      const line = lines[animIndex] ?? null;
+      const styleId = animStyleNode.attributes.id;
+      const targetColor = colors.find(c => !c.unparsed && getShortId(c.id) === styleId);
       
       if (targetColor) {
         targetColor.keyframes = [];
-        animStyleNode.querySelectorAll('keyframe').forEach(keyframeNode => {
-          const frame = parseInt(keyframeNode.getAttribute('frame'));
+        findChildren(animStyleNode, 'keyframe').forEach(keyframeNode => {
+          const frame = parseInt(keyframeNode.attributes.frame);
+          const content = getText(keyframeNode).trim();
+          if (isNaN(frame)) {
+            report.stats.skipped++;
+            addDiagnostic(report, SEVERITY.WARNING, `Keyframe without a valid frame number skipped (style ${styleId})`, {
+              styleIndex: targetColor.originalIndex, line, raw: content
+            });
+            return;
+          }
           if (frame > maxFrame) maxFrame = frame;
           
-          const keyframeData = keyframeNode.textContent.trim().split(/\s+/);
-          if (keyframeData.length >= 6) {
-            targetColor.keyframes.push({
+          const keyframeData = content.split(/\s+/);
+          let keyframe;
+
+          if (isSolidStyle(targetColor) && keyframeData.length === 6 && keyframeData.slice(2).every(v => /^\d+$/.test(v))) {
+            keyframe = {
               frame: frame,
               r: parseInt(keyframeData[2]),
               g: parseInt(keyframeData[3]),
               b: parseInt(keyframeData[4]),
               a: parseInt(keyframeData[5])
-            });
+            };
+          } else {
+            // Keep non-solid keyframe parameters verbatim
+            const params = content.match(/^\S+\s+-?\d+(?:\s+([\s\S]*))?$/)?.[1] || '';
+            keyframe = { frame: frame, params, ...guessPreviewColor(params) };
           }
+
+          keyframe.source = { raw: content, generated: formatKeyframeContent(targetColor, keyframe) };
+          targetColor.keyframes.push(keyframe);
         });
         targetColor.keyframes.sort((a, b) => a.frame - b.frame);
+      } else {
+        report.stats.missingTargets++;
+        addDiagnostic(report, SEVERITY.WARNING, `Animation target style ${styleId} not found, animation kept as-is`, {
+          line, raw: getText(animStyleNode).trim()
+        });
+        orphans.push(getSource(xmlString, animStyleNode));
       }
     });
   }
@@ -0,0 +1,324 @@
+/**
+ * SEARCH QUERIES
+ * The search box language: wildcard names, field terms (role:shadow,
+ * id:10-40, hue:200±15, ...) and flags, combined with AND, OR, NOT and
+ * parentheses. No DOM access, shared by the grid, library and append list.
+ */
+
+import { CONFIG } from './config.js';
+import { getFullExportName, getShortId, rgbToHsl, rgbToHex } from './colorUtils.js';
+
+// Field terms, with their help text
+export const QUERY_FIELDS = {
+  name: 'Full name, * matches anything (name:hair*_sh)',
+  role: 'Role key, label or suffix (role:shadow, role:_sh, role:base)',
+  id: 'Style ID (id:12, id:10-40, id:>100)',
+  hue: 'Hue in degrees, ±15 unless given (hue:200±15); gray colors have no hue',
+  sat: 'Saturation 0-1 (sat:<0.2)',
+  light: 'Lightness 0-1 (light:>0.8)',
+  alpha: 'Alpha 0-255 (alpha:<255)',
+  hex: 'Hex color, * matches anything (hex:#ff00*)',
+  page: 'Page name, * matches anything (page:skin)',
+  tag: 'Style tag ID (tag:3)'
+};
+
+// Words that test a property instead of the name (quote them to search names)
+export const QUERY_FLAGS = {
+  animated: 'Has keyframes',
+  autopaint: 'Autopaint is on'
+};
+
+const DEFAULT_HUE_TOLERANCE = 15;
+const NUMBER = '(\\d+(?:\\.\\d+)?|\\.\\d+)';
+
+class QueryError extends Error {
+  /**
+   * @param {string} message - What's wrong
+   * @param {number} start - First character of the offending text
+   * @param {number} end - Character after the offending text
+   */
+  constructor(message, start, end) {
+    super(message);
+    this.start = start;
+    this.end = end;
+  }
+}
+
+/**
+ * Parse a query
+ * Words next to each other must all match (AND); OR binds looser than AND,
+ * NOT (or a leading - or !) tighter.
+ * @param {string} text - Query text
+ * @returns {Object} { query, error }
+ *   query: parsed query for matchesQuery, null when the text is empty or invalid
+ *   error: { message, start, end } (character range of text), null when valid
+ */
+export function parseQuery(text) {
+  try {
+    const tokens = tokenize(text);
+    if (!tokens.length) return { query: null, error: null };
+
+    const parser = { tokens, pos: 0 };
+    const query = parseOr(parser);
+    const extra = tokens[parser.pos];
+    if (extra) throw new QueryError(extra.type === ')' ? 'Unmatched ")"' : `Unexpected "${extra.text}"`, extra.start, extra.end);
+    return { query, error: null };
+  } catch (err) {
+    if (!(err instanceof QueryError)) throw err;
+    return { query: null, error: { message: err.message, start: err.start, end: err.end } };
+  }
+}
+
+/**
+ * Test a color against a parsed query
+ * @param {Object} query - Result of parseQuery (query)
+ * @param {Object} color - Color object
+ * @param {Object} [options]
+ * @param {boolean} [options.matchCase] - Names are case sensitive
+ * @param {boolean} [options.matchWhole] - Names must match from start to end
+ * @param {Array} [options.pages] - Pages of the color's palette, for page: terms
+ * @returns {boolean}
+ */
+export function matchesQuery(query, color, options = {}) {
+  switch (query.type) {
+    case 'and': return query.items.every(item => matchesQuery(item, color, options));
+    case 'or': return query.items.some(item => matchesQuery(item, color, options));
+    case 'not': return !matchesQuery(query.item, color, options);
+    default: return query.test(color, options);
+  }
+}
+
+/**
+ * Split query text into words, parentheses and operators
+ * @param {string} text - Query text
+ * @returns {Array} [{ type: 'word'|'AND'|'OR'|'NOT'|'('|')', text, field, value, quoted, start, end }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, text: ch, start: i, end: ++i });
+    } else if ((ch === '-' || ch === '!') && text[i + 1] && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: 'NOT', text: ch, start: i, end: ++i });
+    } else {
+      const start = i;
+      let field = null, value = '', quoted = false;
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === '"') {
+          const close = text.indexOf('"', i + 1);
+          if (close < 0) throw new QueryError('Missing closing quote', i, text.length);
+          value += text.slice(i + 1, close);
+          quoted = true;
+          i = close + 1;
+        } else if (text[i] === ':' && field === null && !quoted && /^[a-z]+$/i.test(value)) {
+          field = value.toLowerCase();
+          value = '';
+          i++;
+        } else {
+          value += text[i++];
+        }
+      }
+      const word = text.slice(start, i);
+      const type = ['AND', 'OR', 'NOT'].includes(word) ? word : 'word';
+      tokens.push({ type, text: word, field, value, quoted, start, end: i });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse terms joined by OR
+ * @param {Object} parser - { tokens, pos }
+ * @returns {Object} Query node
+ */
+function parseOr(parser) {
+  const items = [parseAnd(parser)];
+  while (parser.tokens[parser.pos]?.type === 'OR') {
+    parser.pos++;
+    items.push(parseAnd(parser));
+  }
+  return items.length === 1 ? items[0] : { type: 'or', items };
+}
+
+/**
+ * Parse terms joined by AND or written next to each other
+ * @param {Object} parser - { tokens, pos }
+ * @returns {Object} Query node
+ */
+function parseAnd(parser) {
+  const items = [parseUnary(parser)];
+  for (let token = parser.tokens[parser.pos]; token && token.type !== 'OR' && token.type !== ')'; token = parser.tokens[parser.pos]) {
+    if (token.type === 'AND') parser.pos++;
+    items.push(parseUnary(parser));
+  }
+  return items.length === 1 ? items[0] : { type: 'and', items };
+}
+
+/**
+ * Parse a term, a negated term or a group in parentheses
+ * @param {Object} parser - { tokens, pos }
+ * @returns {Object} Query node
+ */
+function parseUnary(parser) {
+  const token = parser.tokens[parser.pos];
+  if (!token) {
+    const last = parser.tokens[parser.pos - 1];
+    throw new QueryError(`Expected a search term after "${last.text}"`, last.start, last.end);
+  }
+  parser.pos++;
+
+  if (token.type === 'NOT') return { type: 'not', item: parseUnary(parser) };
+  if (token.type === 'word') return parseTerm(token);
+  if (token.type === '(') {
+    const inner = parser.tokens[parser.pos]?.type === ')' ? null : parseOr(parser);
+    if (!inner) throw new QueryError('Empty parentheses', token.start, parser.tokens[parser.pos].end);
+    if (parser.tokens[parser.pos]?.type !== ')') throw new QueryError('Missing ")"', token.start, token.end);
+    parser.pos++;
+    return inner;
+  }
+  throw new QueryError(token.type === ')' ? 'Unmatched ")"' : `Expected a search term before "${token.text}"`, token.start, token.end);
+}
+
+/**
+ * Turn a word into a test
+ * @param {Object} token - Word token
+ * @returns {Object} { type: 'term', test(color, options) }
+ */
+function parseTerm({ field, value, quoted, start, end }) {
+  const fail = message => { throw new QueryError(message, start, end); };
+
+  if (field === null) {
+    const flag = !quoted && value.toLowerCase();
+    if (flag === 'animated') return { type: 'term', test: c => c.keyframes?.length > 0 };
+    if (flag === 'autopaint') return { type: 'term', test: c => !!c.hasTrace };
+    return { type: 'term', test: nameTest(value, getFullExportName) };
+  }
+
+  if (!TERMS[field]) fail(`Unknown field "${field}:" (${Object.keys(QUERY_FIELDS).join(', ')})`);
+  if (!value) fail(`"${field}:" needs a value`);
+  return { type: 'term', test: TERMS[field](value, fail) };
+}
+
+// Field term parsers: (value, fail) => test(color, options)
+const TERMS = {
+  name: value => nameTest(value, getFullExportName),
+
+  role: (value, fail) => {
+    const wanted = value.toLowerCase();
+    const role = wanted === 'base' ? 'none' : Object.keys(CONFIG.ROLES).find(key => key.toLowerCase() === wanted ||
+      CONFIG.ROLES[key].label.toLowerCase() === wanted || (CONFIG.ROLES[key].suffix && CONFIG.ROLES[key].suffix.toLowerCase() === wanted));
+    if (!role) fail(`Unknown role "${value}" (${Object.keys(CONFIG.ROLES).join(', ')})`);
+    return c => c.role === role;
+  },
+
+  id: (value, fail) => {
+    const test = numberTest(value, fail);
+    return c => test(parseInt(getShortId(c.id), 10));
+  },
+
+  hue: (value, fail) => {
+    const match = value.match(new RegExp(`^${NUMBER}(?:(?:±|\\+-|~)${NUMBER})?$`));
+    let test;
+    if (match) {
+      const target = parseFloat(match[1]);
+      const tolerance = match[2] !== undefined ? parseFloat(match[2]) : DEFAULT_HUE_TOLERANCE;
+      test = hue => {
+        const diff = Math.abs(hue - target) % 360;
+        return Math.min(diff, 360 - diff) <= tolerance;
+      };
+    } else {
+      test = numberTest(value, fail);
+    }
+    return c => {
+      const hsl = rgbToHsl(c.r, c.g, c.b);
+      return hsl.s >= 0.1 && test(hsl.h); // Ignore desaturated colors
+    };
+  },
+
+  sat: (value, fail) => {
+    const test = numberTest(value, fail);
+    return c => test(rgbToHsl(c.r, c.g, c.b).s);
+  },
+
+  light: (value, fail) => {
+    const test = numberTest(value, fail);
+    return c => test(rgbToHsl(c.r, c.g, c.b).l);
+  },
+
+  alpha: (value, fail) => {
+    const test = numberTest(value, fail);
+    return c => test(c.a);
+  },
+
+  hex: (value, fail) => {
+    const pattern = value.replace(/^#/, '');
+    if (!/^[0-9a-f*]+$/i.test(pattern)) fail(`"${value}" is not a hex color, e.g. hex:#ff00*`);
+    const regex = wildcardRegex(pattern, true, false);
+    return c => regex.test(rgbToHex(c.r, c.g, c.b).slice(1));
+  },
+
+  page: value => {
+    const regex = wildcardRegex(value, false, false);
+    return (c, { pages = [] } = {}) => pages.some(page => regex.test(page.name) && page.ids.includes(c.id));
+  },
+
+  tag: value => c => String(c.tagID) === value
+};
+
+/**
+ * Build a test of a name (or other text) against a wildcard pattern
+ * The match case / whole word options come with each test.
+ * @param {string} pattern - Text with * wildcards
+ * @param {Function} getText - color => text to test
+ * @returns {Function} test(color, options)
+ */
+function nameTest(pattern, getText) {
+  const regexes = new Map();
+  return (color, { matchCase = false, matchWhole = false } = {}) => {
+    const key = `${matchCase}/${matchWhole}`;
+    if (!regexes.has(key)) regexes.set(key, wildcardRegex(pattern, matchWhole, matchCase));
+    return regexes.get(key).test(getText(color));
+  };
+}
+
+/**
+ * Turn a wildcard pattern into a regular expression
+ * @param {string} pattern - Text with * wildcards
+ * @param {boolean} whole - Match from start to end
+ * @param {boolean} matchCase - Case sensitive
+ * @returns {RegExp}
+ */
+function wildcardRegex(pattern, whole, matchCase) {
+  const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*/g, '.*');
+  return new RegExp(whole ? `^${source}$` : source, matchCase ? '' : 'i');
+}
+
+/**
+ * Parse a number test: 12, =12, <0.2, >=100 or a range 10-40
+ * @param {string} value - Test text
+ * @param {Function} fail - Reports an invalid value
+ * @returns {Function} number => boolean
+ */
+function numberTest(value, fail) {
+  const range = value.match(new RegExp(`^${NUMBER}-${NUMBER}$`));
+  if (range) {
+    const [min, max] = [parseFloat(range[1]), parseFloat(range[2])].sort((a, b) => a - b);
+    return n => n >= min && n <= max;
+  }
+
+  const compare = value.match(new RegExp(`^(<=|>=|<|>|=)?${NUMBER}$`));
+  if (!compare) fail(`"${value}" is not a number, range (10-40) or comparison (<0.2)`);
+  const limit = parseFloat(compare[2]);
+  switch (compare[1]) {
+    case '<': return n => n < limit;
+    case '<=': return n => n <= limit;
+    case '>': return n => n > limit;
+    case '>=': return n => n >= limit;
+    default: return n => n === limit;
+  }
+}
@@ -4,9 +4,23 @@
  */
 
 import { CONFIG } from './config.js';
-import { colors, selectedColorIndex, setLastFilteredColors } from './state.js';
-import { getShortId, getContrastColor } from './colorUtils.js';
+import { colors, paletteData, selectedColorIndex, selectedIndices, activePageIndex, setLastFilteredColors } from './state.js';
+import { getShortId, getContrastColor, isSolidStyle, hexToRgb } from './colorUtils.js';
 import { getFilteredList, applySorting } from './filters.js';
+import { renderWorkspaceTabs } from './workspace.js';
+import { renderCollections } from './collections.js';
+
+// Pending edit shown on the cards: (color, shownColor) => { r, g, b, a } or null
+let cardPreview = null;
+
+/**
+ * Show a pending edit on the cards as a before/after split
+ * @param {Function|null} preview - Returns a card's color after the edit (null leaves the card alone); null ends the preview
+ */
+export function setCardPreview(preview) {
+  cardPreview = preview;
+  renderPalette();
+}
 
 /**
  * Get the color at frame 0 for display purposes
@@ -41,6 +55,12 @@ export function renderPalette() {
   // Store for clipboard operations
   setLastFilteredColors(filtered);
   
+  // Tab labels show the palette name and whether it has edits
+  renderWorkspaceTabs();
+  
+  // Collection counts follow the palette
+  renderCollections();
+  
   // Toggle ID copier visibility
   document.getElementById('id-copier-container').style.display = colors.length ? 'flex' : 'none';
 
@@ -50,8 +70,10 @@ export function renderPalette() {
     return;
   }
   
+  const tabsHTML = generatePageTabsHTML();
+  
   if (!filtered.length) {
-    container.innerHTML = `<div class="empty-state">No colors match your current filters.</div>`;
+    container.innerHTML = `${tabsHTML}<div class="empty-state">No colors match your current filters.</div>`;
     return;
   }
 
@@ -63,16 +85,45 @@ export function renderPalette() {
       return acc;
     }, {});
     
-    container.innerHTML = `<div style="display:grid;gap:20px">${Object.entries(groups).map(([name, group]) => `
+    container.innerHTML = `${tabsHTML}<div style="display:grid;gap:20px">${Object.entries(groups).map(([name, group]) => `
       <div style="background:rgba(0,0,0,0.15); padding:16px; border-radius:10px; border:1px solid var(--border-color)">
         <div style="margin-bottom:12px; font-family:var(--font-family-code); font-weight:bold; color:var(--accent-color); font-size:14px">${name}</div>
         <div class="palette-grid">${group.map(c => generateCardHTML(c)).join('')}</div>
       </div>`).join('')}</div>`;
   } else {
-    container.innerHTML = `<div class="palette-grid">${filtered.map(c => generateCardHTML(c)).join('')}</div>`;
+    container.innerHTML = `${tabsHTML}<div class="palette-grid">${filtered.map(c => generateCardHTML(c)).join('')}</div>`;
   }
 }
 
+/**
+ * Generate HTML for the style page tabs
+ * @returns {string} HTML string
+ */
+function generatePageTabsHTML() {
+  const pages = paletteData?.pages || [];
+  
+  const tabs = pages.map((page, i) => `
+    <div class="page-tab ${i === activePageIndex ? 'active' : ''}"
+         onclick="window.AppPages.selectPage(${i})"
+         ondblclick="window.AppPages.renamePage(${i})"
+         ondragover="window.AppPages.onPageDragOver(event)"
+         ondragleave="window.AppPages.onPageDragLeave(event)"
+         ondrop="window.AppPages.onPageDrop(event, ${i})"
+         title="Double-click to rename, drop colors here to move them">
+      ${escapeAttr(page.name)} <span class="page-count">${page.ids.length}</span>
+      <span class="page-tab-close" onclick="event.stopPropagation(); window.AppPages.deletePage(${i})" title="Delete page">&times;</span>
+    </div>`).join('');
+  
+  return `
+    <div class="page-tabs">
+      <div class="page-tab ${activePageIndex < 0 ? 'active' : ''}" onclick="window.AppPages.selectPage(-1)">
+        All <span class="page-count">${colors.length}</span>
+      </div>
+      ${tabs}
+      <button class="page-tab-add secondary" onclick="window.AppPages.createPage()" title="New page">+</button>
+    </div>`;
+}
+
 /**
  * Generate HTML for a color card (preview style with context menu support)
  * @param {Object} color - Color object
@@ -84,31 +135,61 @@ export function generateCardHTML(color) {
   const displayColor = getFrame0Color(color);
   const rgba = `rgba(${displayColor.r}, ${displayColor.g}, ${displayColor.b}, ${displayColor.a / 255})`;
   const textColor = getContrastColor(displayColor.r, displayColor.g, displayColor.b);
-  const roleCfg = CONFIG.ROLES[color.role];
+  // Styles can keep a role that was removed in the roles editor (undo)
+  const roleCfg = CONFIG.ROLES[color.role] || CONFIG.ROLES.none;
+  const roleRgb = hexToRgb(roleCfg.color);
+  
+  // A previewed edit shows the current color on the left half and the result on the right
+  const after = cardPreview ? cardPreview(color, displayColor) : null;
+  const fill = after
+    ? `linear-gradient(90deg, ${rgba} 50%, rgba(${after.r}, ${after.g}, ${after.b}, ${after.a / 255}) 50%)`
+    : `linear-gradient(${rgba}, ${rgba})`;
   
   const checkeredPattern = `repeating-conic-gradient(#fff 0% 25%, #ccc 0% 50%)`;
   
   // Check if color has keyframes (is animated)
   const isAnimated = color.keyframes && color.keyframes.length > 0;
   
+  // Non-solid (texture, gradient...) and unparsed styles are kept as-is
+  const isSolid = isSolidStyle(color);
+  const specialClass = color.unparsed ? 'is-unparsed' : (isSolid ? '' : 'is-special');
+  const specialTitle = color.unparsed
+    ? `Unparsed style (kept as raw text): ${color.raw}`
+    : `Style type ${color.tagID} (color editing disabled)`;
+  
   // Eyedropper button (only show for colors that can be edited, idx >= 1)
-  const eyedropperBtn = idx >= 1 ? `
+  const eyedropperBtn = idx >= 1 && isSolid ? `
     <button class="eyedropper-btn" 
             onclick="event.stopPropagation(); window.AppUI.activateEyedropperForCard(${idx})" 
             title="Pick color from screen (E/I)">Pick</button>` : '';
   
+  // The color shown in the wheel is "selected", the rest of a multi-selection "multi-selected"
+  const selectionClass = idx === selectedColorIndex ? 'selected' : (selectedIndices.includes(idx) ? 'multi-selected' : '');
+  
   return `
-    <div class="color-card-preview ${roleCfg.cssClass} ${idx === selectedColorIndex ? 'selected' : ''}" 
+    <div class="color-card-preview ${roleCfg.cssClass} ${specialClass} ${selectionClass}" 
          id="card-${idx}"
          data-idx="${idx}" 
-         onclick="window.AppUI.selectColor(${idx})" 
+         onclick="window.AppUI.handleCardClick(event, ${idx})" 
+         draggable="true"
+         ondragstart="window.AppPages.onCardDragStart(event, ${idx})"
          oncontextmenu="window.AppUI.showContextMenu(event, ${idx})"
-         style="background-image: linear-gradient(${rgba}, ${rgba}), ${checkeredPattern}; background-size: auto, 20px 20px;">
+         style="background-image: ${fill}, ${checkeredPattern}; background-size: auto, 20px 20px;">
       <div class="preview-name" style="color: ${textColor};">${color.name}</div>
       ${eyedropperBtn}
       ${isAnimated ? '<div class="preview-badge top-left"><svg viewBox="0 0 24 24" width="10" height="10" fill="currentColor"><path d="M12 2 L2 12 L12 22 L22 12 Z"/></svg></div>' : ''}
       ${color.hasTrace && idx >= 2 ? '<div class="preview-badge bottom-left">A</div>' : ''}
       <div class="preview-badge bottom-right">#${getShortId(color.id)}</div>
-      ${roleCfg.suffix ? `<div class="preview-badge top-right">${roleCfg.suffix}</div>` : ''}
+      ${roleCfg.suffix ? `<div class="preview-badge top-right" style="background: ${roleCfg.color}; color: ${getContrastColor(roleRgb.r, roleRgb.g, roleRgb.b)}">${escapeAttr(roleCfg.suffix)}</div>` : ''}
+      ${!isSolid ? `<div class="preview-badge special-badge" title="${escapeAttr(specialTitle)}">${color.unparsed ? 'RAW' : 'T' + color.tagID}</div>` : ''}
     </div>`;
 }
+
+/**
+ * Escape a string for use in an HTML attribute
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeAttr(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
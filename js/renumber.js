@@ -0,0 +1,230 @@
+/**
+ * RENUMBER STYLE IDS
+ * Closes the gaps deletions leave in style IDs, optionally keeping bg/ink
+ * fixed and role variants right after their base style. Animation and page
+ * references follow automatically, since they are written from the IDs.
+ */
+
+import * as State from './state.js';
+import { CONFIG } from './config.js';
+import { getShortId, getFullExportName, splitStyleId, applyStyleIdRemap, formatRemapCsv } from './colorUtils.js';
+import { recordChange } from './history.js';
+import { renderPalette } from './renderer.js';
+import { renderTimeline } from './timeline.js';
+import { updateWheelFromSelection } from './wheelManager.js';
+import { downloadFile } from './exporter.js';
+import { openModal, escapeHtml } from './modal.js';
+
+// How the new order is chosen
+export const RENUMBER_MODES = {
+  compact: 'Compact (keep the current ID order)',
+  order: 'Renumber in palette order'
+};
+
+/**
+ * Work out new style numbers
+ * Unparsed styles keep their ID (it is part of their raw text).
+ * @param {Array} colors - Color objects
+ * @param {Object} [options] - { mode: key of RENUMBER_MODES, keepFixed: keep IDs 0/1, groupRoles: variants follow their base }
+ * @returns {Array} [{ color, from, to }] for every style, in new ID order
+ */
+export function planRenumber(colors, { mode = 'compact', keepFixed = true, groupRoles = true } = {}) {
+  const isFixed = c => c.unparsed || isNaN(parseInt(getShortId(c.id))) ||
+    (keepFixed && ['0', '1'].includes(getShortId(c.id)));
+  const fixed = colors.filter(isFixed);
+  let movable = colors.filter(c => !isFixed(c));
+
+  if (mode === 'compact') {
+    movable = [...movable].sort((a, b) => parseInt(getShortId(a.id)) - parseInt(getShortId(b.id)));
+  }
+  if (groupRoles) movable = groupRoleVariants(movable);
+
+  const taken = new Set(fixed.map(c => parseInt(getShortId(c.id))));
+  const steps = fixed.map(color => ({ color, from: getShortId(color.id), to: getShortId(color.id) }));
+  let next = 0;
+  movable.forEach(color => {
+    while (taken.has(next)) next++;
+    steps.push({ color, from: getShortId(color.id), to: String(next++) });
+  });
+
+  return steps.sort((a, b) => parseInt(a.to) - parseInt(b.to));
+}
+
+/**
+ * Apply new style numbers to the active palette (one undo step)
+ * Styles are put in new ID order, so positions match the IDs again.
+ * @param {Array} plan - Result of planRenumber for the active palette
+ * @returns {Array} Remap rows, see getRenumberRemap
+ */
+export function applyRenumber(plan) {
+  const rows = getRenumberRemap(plan);
+  if (!rows.length) return rows;
+
+  recordChange('Renumber style IDs');
+
+  const selected = State.colors[State.selectedColorIndex];
+  const remap = new Map(plan.map(step => [step.color.id, renumberedId(step)]));
+  applyStyleIdRemap(State.paletteData, State.colors, remap);
+
+  const ordered = plan.map(step => step.color);
+  ordered.forEach((color, i) => { color.originalIndex = i; });
+  State.setColors(ordered);
+  State.setSelectedColorIndex(selected ? ordered.indexOf(selected) : -1);
+
+  renderPalette();
+  renderTimeline();
+  updateWheelFromSelection();
+  return rows;
+}
+
+/**
+ * Build the remap table of a plan (changed styles only)
+ * @param {Array} plan - Result of planRenumber
+ * @returns {Array} [{ from, to, name, action, note }] with unquoted full IDs
+ */
+export function getRenumberRemap(plan) {
+  return plan
+    .filter(step => step.from !== step.to)
+    .map(step => ({
+      from: step.color.id.replace(/"/g, ''),
+      to: renumberedId(step).replace(/"/g, ''),
+      name: getFullExportName(step.color),
+      action: 'renumbered',
+      note: ''
+    }));
+}
+
+/**
+ * Open the renumber dialog
+ */
+export function showRenumber() {
+  if (!State.paletteData) return;
+
+  let plan = [];
+  const numbers = State.colors.map(c => parseInt(getShortId(c.id))).filter(n => !isNaN(n));
+  const highest = numbers.length ? Math.max(...numbers) : 0;
+
+  const body = openModal({
+    title: 'Renumber Style IDs',
+    width: '640px',
+    body: `
+      <p class="form-hint">${numbers.length} numbered styles, highest ID ${highest} (${highest + 1 - new Set(numbers).size} unused IDs below it).</p>
+      <div class="form-row">
+        <label>Mode</label>
+        <select class="renumber-mode">${Object.entries(RENUMBER_MODES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}</select>
+      </div>
+      <div class="form-row">
+        <label><input type="checkbox" class="renumber-keep-fixed" checked> Keep bg and ink (0 and 1) fixed</label>
+      </div>
+      <div class="form-row">
+        <label><input type="checkbox" class="renumber-group-roles" checked> Keep _sh / _hl / _ao variants right after their base style</label>
+      </div>
+      <div class="renumber-preview append-plan"></div>`,
+    buttons: [
+      { label: 'Download Remap Table', onClick: () => { downloadRemap(getRenumberRemap(plan)); return false; } },
+      { label: 'Cancel' },
+      { label: 'Renumber', className: '', onClick: () => {
+        const rows = applyRenumber(plan);
+        if (!rows.length) return;
+        showRenumberResult(rows);
+        return false; // the result dialog replaced this one
+      } }
+    ]
+  });
+
+  const update = () => {
+    plan = planRenumber(State.colors, {
+      mode: body.querySelector('.renumber-mode').value,
+      keepFixed: body.querySelector('.renumber-keep-fixed').checked,
+      groupRoles: body.querySelector('.renumber-group-roles').checked
+    });
+    const rows = getRenumberRemap(plan);
+    body.querySelector('.renumber-preview').innerHTML = rows.length
+      ? `<p class="form-hint">${rows.length} styles get a new ID.</p>${remapTableHTML(rows)}`
+      : '<p class="form-hint">All IDs are already in order.</p>';
+  };
+
+  body.querySelectorAll('select, input').forEach(el => el.addEventListener('change', update));
+  update();
+}
+
+/**
+ * Show the applied remap, for download
+ * @param {Array} rows - Remap rows
+ */
+function showRenumberResult(rows) {
+  openModal({
+    title: 'Style IDs Renumbered',
+    width: '640px',
+    body: `
+      <p>${rows.length} styles got a new ID. Update FX settings that reference style IDs with this table.</p>
+      <div class="append-plan">${remapTableHTML(rows)}</div>`,
+    buttons: [
+      { label: 'Download Remap Table', onClick: () => { downloadRemap(rows); return false; } },
+      { label: 'Close', className: '' }
+    ]
+  });
+}
+
+/**
+ * Download remap rows as CSV
+ * @param {Array} rows - Remap rows
+ */
+function downloadRemap(rows) {
+  if (!rows.length) return;
+  downloadFile(formatRemapCsv(rows), `${State.paletteData.name}_renumber_remap.csv`, 'text/csv');
+}
+
+/**
+ * Generate a remap table
+ * @param {Array} rows - Remap rows
+ * @returns {string} HTML string
+ */
+function remapTableHTML(rows) {
+  return `
+    <table class="compare-table">
+      <thead><tr><th>Old ID</th><th>New ID</th><th>Name</th></tr></thead>
+      <tbody>${rows.map(row => `
+        <tr><td>${escapeHtml(row.from)}</td><td>${escapeHtml(row.to)}</td><td>${escapeHtml(row.name)}</td></tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Move role variants (same name, other role) right after their base style
+ * Variants without a base style keep their place.
+ * @param {Array} colors - Styles in numbering order
+ * @returns {Array} Reordered copy
+ */
+function groupRoleVariants(colors) {
+  const roleOrder = Object.keys(CONFIG.ROLES);
+  const bases = new Set(colors.filter(c => c.role === 'none').map(c => c.name));
+  const variantsByName = new Map();
+  colors.forEach(c => {
+    if (c.role === 'none' || !bases.has(c.name)) return;
+    if (!variantsByName.has(c.name)) variantsByName.set(c.name, []);
+    variantsByName.get(c.name).push(c);
+  });
+  variantsByName.forEach(list => list.sort((a, b) => roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role)));
+
+  const result = [];
+  colors.forEach(c => {
+    if (c.role !== 'none' && bases.has(c.name)) return; // placed with its base
+    result.push(c);
+    if (c.role === 'none' && variantsByName.has(c.name)) {
+      result.push(...variantsByName.get(c.name));
+      variantsByName.delete(c.name); // a repeated base name only takes them once
+    }
+  });
+  return result;
+}
+
+/**
+ * Full ID of a style with its new number (lead and prefix are kept)
+ * @param {Object} step - { color, to }
+ * @returns {string} Full quoted ID
+ */
+function renumberedId({ color, to }) {
+  const parts = splitStyleId(color.id);
+  return parts ? `"${parts.lead}${parts.prefix}-${to}"` : `"${to}"`;
+}
@@ -0,0 +1,119 @@
+/**
+ * ROLE CHECK PANEL
+ * Lists role consistency issues of the active palette per name set, with
+ * buttons to jump to a style or fix the issue
+ */
+
+import * as State from './state.js';
+import { CONFIG } from './config.js';
+import { SEVERITY } from './diagnostics.js';
+import { checkRoleConsistency, ROLE_ISSUES } from './roleConsistency.js';
+import { canGenerateVariants, generateVariants, getDefaultVariantRule, regenerateVariants } from './variants.js';
+import { revealColor, setRole } from './ui.js';
+import { openModal, escapeHtml } from './modal.js';
+
+/**
+ * Get the one-click fix of an issue
+ * @param {Object} issue - Issue from checkRoleConsistency
+ * @returns {Object|null} { label, title, run } or null when it has to be fixed by hand
+ */
+export function getRoleIssueFix(issue) {
+  const color = State.colors[issue.index];
+  if (!color) return null;
+
+  if (issue.kind === 'missing' && canGenerateVariants(issue.index)) {
+    return {
+      label: 'Generate',
+      title: `Generate ${issue.name}${CONFIG.ROLES[issue.role]?.suffix || ''} with the default rule`,
+      run: () => generateVariants([issue.index], { [issue.role]: getDefaultVariantRule(issue.role) })
+    };
+  }
+  if (issue.kind === 'orphan') {
+    return { label: 'Make Base', title: 'Mark this style as the base of its set', run: () => setRole([issue.index], 'none') };
+  }
+  if ((issue.kind === 'too-bright' || issue.kind === 'too-dark') && color.variantRule) {
+    return { label: 'Regenerate', title: 'Recompute this variant from its base', run: () => regenerateVariants([issue.index]) };
+  }
+  return null;
+}
+
+/**
+ * Open the role check panel
+ * It stays open beside the cards, so jumping to a style shows it.
+ */
+export function showRoleCheck() {
+  if (!State.paletteData) return;
+
+  let result = null;
+  const body = openModal({
+    title: 'Role Check',
+    width: '640px',
+    className: 'is-panel',
+    body: '<div class="role-check-results"></div>',
+    buttons: [
+      { label: 'Recheck', onClick: () => { update(); return false; } },
+      { label: 'Close', className: '' }
+    ]
+  });
+
+  const update = () => {
+    result = checkRoleConsistency(State.colors);
+    body.querySelector('.role-check-results').innerHTML = resultsHTML(result);
+  };
+
+  body.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-issue]');
+    if (!button) return;
+    const issue = result.issues[parseInt(button.dataset.issue)];
+    if (button.dataset.action === 'jump') {
+      revealColor(issue.index);
+    } else {
+      getRoleIssueFix(issue)?.run();
+      update();
+    }
+  });
+
+  update();
+}
+
+/**
+ * Generate the issue list, grouped by name set
+ * @param {Object} result - Result of checkRoleConsistency
+ * @returns {string} HTML string
+ */
+function resultsHTML({ groups, issues }) {
+  const withVariants = groups.filter(g => Object.keys(g.indices).some(role => role !== 'none')).length;
+  const warnings = issues.filter(i => i.severity === SEVERITY.WARNING).length;
+  const summary = `${withVariants} name set${withVariants === 1 ? '' : 's'} with variants, ` +
+    `${warnings} warning${warnings === 1 ? '' : 's'}, ${issues.length - warnings} note${issues.length - warnings === 1 ? '' : 's'}`;
+  if (!issues.length) {
+    return `<p class="report-summary">${summary}</p><p class="form-hint">All role sets are consistent.</p>`;
+  }
+
+  const rows = groups.map(group => {
+    const groupIssues = issues.map((issue, i) => ({ issue, i })).filter(({ issue }) => issue.name === group.name);
+    if (!groupIssues.length) return '';
+    const roles = Object.keys(CONFIG.ROLES).filter(role => group.indices[role])
+      .map(role => `<span class="compare-badge">${escapeHtml(CONFIG.ROLES[role].label)}</span>`).join('');
+    return `
+      <tr class="role-check-set"><td colspan="3"><strong>${escapeHtml(group.name)}</strong> ${roles}</td></tr>
+      ${groupIssues.map(({ issue, i }) => {
+        const fix = getRoleIssueFix(issue);
+        return `
+        <tr class="report-${issue.severity}">
+          <td class="report-severity">${escapeHtml(ROLE_ISSUES[issue.kind])}</td>
+          <td>${escapeHtml(issue.message)}</td>
+          <td class="role-check-actions">
+            <button class="secondary" data-action="jump" data-issue="${i}">Jump</button>
+            ${fix ? `<button class="secondary" data-action="fix" data-issue="${i}" title="${escapeHtml(fix.title)}">${fix.label}</button>` : ''}
+          </td>
+        </tr>`;
+      }).join('')}`;
+  }).join('');
+
+  return `
+    <p class="report-summary">${summary}</p>
+    <table class="report-table">
+      <tbody>${rows}</tbody>
+    </table>`;
+}
@@ -0,0 +1,101 @@
+/**
+ * ROLE CONSISTENCY
+ * Checks base/shadow/highlight/AO sets: styles are grouped by their clean
+ * name (as the Group By Name view does) and missing, orphaned, duplicated
+ * or implausibly lit variants are reported. No DOM access, shared with the CLI.
+ */
+
+import { CONFIG } from './config.js';
+import { getFullExportName, isSolidStyle } from './colorUtils.js';
+import { SEVERITY } from './diagnostics.js';
+
+// Kinds of role issues, in display order
+export const ROLE_ISSUES = {
+  missing: 'Missing variant',
+  orphan: 'Variant without base',
+  duplicate: 'Duplicate role',
+  'too-bright': 'Brighter than base',
+  'too-dark': 'Darker than base'
+};
+
+/**
+ * Check the role variant sets of a palette
+ * @param {Array} colors - Color objects
+ * @param {Object} [options]
+ * @param {Array<string>} [options.requiredRoles] - Roles every set with variants should have
+ *   (defaults to the roles the palette uses)
+ * @returns {Object} { groups, issues }
+ *   groups: [{ name, indices: { role: [color indices] } }] sorted by name
+ *   issues: [{ kind, severity, name, role, index, message }] index is the style's position
+ */
+export function checkRoleConsistency(colors, { requiredRoles } = {}) {
+  const byName = new Map();
+  colors.forEach((c, index) => {
+    if (c.unparsed) return;
+    if (!byName.has(c.name)) byName.set(c.name, {});
+    const roles = byName.get(c.name);
+    (roles[c.role] = roles[c.role] || []).push(index);
+  });
+
+  const required = requiredRoles ||
+    Object.keys(CONFIG.ROLES).filter(role => role !== 'none' && colors.some(c => !c.unparsed && c.role === role));
+
+  const groups = [...byName.entries()]
+    .map(([name, indices]) => ({ name, indices }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const issues = [];
+  const add = (kind, severity, name, role, index, message) => issues.push({ kind, severity, name, role, index, message });
+
+  groups.forEach(({ name, indices }) => {
+    const variantRoles = Object.keys(indices).filter(role => role !== 'none');
+    const base = indices.none?.[0];
+
+    Object.entries(indices).forEach(([role, list]) => {
+      list.slice(1).forEach(index => add('duplicate', SEVERITY.INFO, name, role, index,
+        `${getFullExportName(colors[index])} appears ${list.length} times`));
+    });
+
+    if (base === undefined) {
+      variantRoles.forEach(role => indices[role].forEach(index => add('orphan', SEVERITY.WARNING, name, role, index,
+        `${getFullExportName(colors[index])} has no base style "${name}"`)));
+      return;
+    }
+    if (!variantRoles.length) return;
+
+    required.filter(role => !indices[role]).forEach(role => add('missing', SEVERITY.WARNING, name, role, base,
+      `${name} has ${variantRoles.map(r => CONFIG.ROLES[r]?.suffix || r).join(', ')} but no ${CONFIG.ROLES[role]?.suffix || role}`));
+
+    const baseColor = colors[base];
+    if (!isSolidStyle(baseColor)) return;
+    const baseLuma = getLuma(baseColor);
+    variantRoles.forEach(role => {
+      const tone = CONFIG.ROLES[role]?.tone;
+      if (!tone) return;
+      indices[role].filter(index => isSolidStyle(colors[index])).forEach(index => {
+        const luma = getLuma(colors[index]);
+        if (tone === 'darker' && luma > baseLuma) {
+          add('too-bright', SEVERITY.WARNING, name, role, index, `${getFullExportName(colors[index])} is brighter than ${name}`);
+        } else if (tone === 'brighter' && luma < baseLuma) {
+          add('too-dark', SEVERITY.WARNING, name, role, index, `${getFullExportName(colors[index])} is darker than ${name}`);
+        }
+      });
+    });
+  });
+
+  const order = Object.keys(ROLE_ISSUES);
+  issues.sort((a, b) => a.name.localeCompare(b.name) || order.indexOf(a.kind) - order.indexOf(b.kind));
+  return { groups, issues };
+}
+
+/**
+ * Brightness of a style as shown on its card (first keyframe of animated styles)
+ * @param {Object} color - Color object
+ * @returns {number} Luma (0-255)
+ */
+function getLuma(color) {
+  const shown = color.keyframes?.length
+    ? [...color.keyframes].sort((a, b) => a.frame - b.frame)[0]
+    : color;
+  return 0.299 * shown.r + 0.587 * shown.g + 0.114 * shown.b;
+}
@@ -0,0 +1,325 @@
+/**
+ * STYLE ROLES
+ * User-defined roles (suffix, label, badge color) kept in the browser, the
+ * roles editor and role presets. The roles live in CONFIG.ROLES, so the
+ * parser, export names, cards, filters and context menu all follow them.
+ */
+
+import { CONFIG } from './config.js';
+import { isStorageAvailable, idbGet, idbPut } from './storage.js';
+import { getFullExportName, splitRoleSuffix } from './colorUtils.js';
+import { editAllTabs } from './workspace.js';
+import { renderPalette } from './renderer.js';
+import { downloadFile } from './exporter.js';
+import { openModal, escapeHtml } from './modal.js';
+
+// Role preset files
+export const ROLE_PRESET_FORMAT = 'pltui-roles';
+const ROLE_PRESET_VERSION = 1;
+
+// How a role's variants compare to their base (used by the role check)
+export const ROLE_TONES = {
+  '': 'Any',
+  darker: 'Darker',
+  brighter: 'Brighter'
+};
+
+// Roles the app ships with
+const DEFAULT_ROLES = structuredClone(CONFIG.ROLES);
+
+/**
+ * Load the saved roles (the built-in ones stay when nothing is saved)
+ * @returns {Promise}
+ */
+export async function loadRoles() {
+  if (isStorageAvailable()) {
+    try {
+      Object.assign(CONFIG.REMOVED_ROLE_SUFFIXES, await idbGet('settings', 'removedRoleSuffixes'));
+      const saved = await idbGet('settings', 'roles');
+      if (saved) setRoles(saved);
+    } catch (err) {
+      console.warn('Saved roles unavailable:', err);
+    }
+  }
+  updateRoleFilterOptions();
+}
+
+/**
+ * Get a copy of the built-in roles
+ * @returns {Object} Role key -> role
+ */
+export function getDefaultRoles() {
+  return structuredClone(DEFAULT_ROLES);
+}
+
+/**
+ * Check a set of roles
+ * @param {Object} roles - Role key -> { suffix, label, color, tone }
+ * @returns {string|null} What's wrong, or null when the roles can be used
+ */
+export function validateRoles(roles) {
+  if (!roles || typeof roles !== 'object' || !roles.none) return 'The base role ("none") is missing.';
+
+  const suffixes = new Set();
+  for (const [key, role] of Object.entries(roles)) {
+    if (!/^[a-z][\w-]*$/i.test(key)) return `"${key}" can't be used as a role key.`;
+    if (!role || typeof role.label !== 'string' || !role.label.trim()) return `Role "${key}" needs a label.`;
+    if (key === 'none') continue;
+
+    const suffix = typeof role.suffix === 'string' ? role.suffix : '';
+    if (!suffix) return `Role "${role.label}" needs a suffix.`;
+    if (/["\s]/.test(suffix)) return `The suffix "${suffix}" must not contain spaces or quotes.`;
+    if (suffixes.has(suffix)) return `The suffix "${suffix}" is used by more than one role.`;
+    suffixes.add(suffix);
+  }
+  return null;
+}
+
+/**
+ * Replace the roles in use
+ * @param {Object} roles - Role key -> { suffix, label, color, tone }
+ * @throws {Error} When the roles are invalid (see validateRoles)
+ */
+export function setRoles(roles) {
+  const error = validateRoles(roles);
+  if (error) throw new Error(error);
+
+  // Styles may still have a dropped role (undo steps, stored palettes), keep its suffix for them
+  Object.entries(CONFIG.ROLES).forEach(([key, role]) => {
+    if (!roles[key] && role.suffix) CONFIG.REMOVED_ROLE_SUFFIXES[key] = role.suffix;
+  });
+  Object.keys(roles).forEach(key => delete CONFIG.REMOVED_ROLE_SUFFIXES[key]);
+
+  Object.keys(CONFIG.ROLES).forEach(key => delete CONFIG.ROLES[key]);
+  // Base first, it leads every role list
+  const { none, ...others } = roles;
+  CONFIG.ROLES.none = normalizeRole({ ...none, suffix: '' }, DEFAULT_ROLES.none);
+  Object.entries(others).forEach(([key, role]) => {
+    CONFIG.ROLES[key] = normalizeRole(role, DEFAULT_ROLES[key]);
+  });
+}
+
+/**
+ * Use new roles: save them and update the open palettes and the UI
+ * Styles of a removed role keep its suffix as part of their name, and base
+ * styles whose name ends in a new suffix get that role, as when loading
+ * (one undo step in each palette that changes).
+ * @param {Object} roles - Role key -> { suffix, label, color, tone }
+ * @throws {Error} When the roles are invalid (see validateRoles)
+ */
+export function applyRoles(roles) {
+  const error = validateRoles(roles);
+  if (error) throw new Error(error);
+
+  const oldSuffixes = new Set(Object.values(CONFIG.ROLES).map(role => role.suffix));
+  setRoles(roles);
+  const addedSuffixes = new Set(Object.values(CONFIG.ROLES).map(role => role.suffix).filter(suffix => suffix && !oldSuffixes.has(suffix)));
+
+  editAllTabs(colors => {
+    const changes = colors.flatMap(color => {
+      const known = !!CONFIG.ROLES[color.role];
+      if (known && color.role !== 'none') return [];
+      const fullName = getFullExportName(color);
+      const split = splitRoleSuffix(fullName);
+      if (addedSuffixes.has(CONFIG.ROLES[split.role].suffix)) return [{ color, ...split }];
+      return known ? [] : [{ color, role: 'none', name: fullName }];
+    });
+    if (!changes.length) return null;
+    return {
+      label: `Update roles of ${changes.length} style${changes.length === 1 ? '' : 's'}`,
+      apply: () => changes.forEach(({ color, role, name }) => Object.assign(color, { role, name }))
+    };
+  });
+
+  saveRoles();
+  updateRoleFilterOptions();
+  renderPalette();
+}
+
+/**
+ * Write roles as a preset file
+ * @param {Object} [roles] - Role key -> role (defaults to the roles in use)
+ * @returns {string} JSON text
+ */
+export function serializeRolePreset(roles = CONFIG.ROLES) {
+  const entries = Object.entries(roles).map(([key, { suffix, label, color, tone }]) => [key, { suffix, label, color, tone }]);
+  return JSON.stringify({
+    format: ROLE_PRESET_FORMAT,
+    version: ROLE_PRESET_VERSION,
+    roles: Object.fromEntries(entries)
+  }, null, 2);
+}
+
+/**
+ * Read a role preset file
+ * @param {string} text - JSON text
+ * @returns {Object} Role key -> role
+ * @throws {Error} When the text is not a usable preset
+ */
+export function parseRolePreset(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not a JSON file: ${err.message}`);
+  }
+  if (doc?.format !== ROLE_PRESET_FORMAT || !doc.roles) throw new Error('Not a role preset file.');
+  if (doc.version > ROLE_PRESET_VERSION) throw new Error(`Role preset version ${doc.version} is newer than this app supports.`);
+
+  const roles = { none: DEFAULT_ROLES.none, ...doc.roles };
+  const error = validateRoles(roles);
+  if (error) throw new Error(error);
+  return roles;
+}
+
+/**
+ * Make a role key from a suffix
+ * @param {string} suffix - Role suffix like "_rim"
+ * @param {Set<string>|Array<string>} taken - Keys already in use
+ * @returns {string} Unused key like "rim"
+ */
+export function makeRoleKey(suffix, taken) {
+  const used = new Set(taken);
+  let base = suffix.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  if (!/^[a-z]/.test(base)) base = `role${base}`;
+  let key = base;
+  for (let n = 2; used.has(key) || key === 'none'; n++) key = `${base}${n}`;
+  return key;
+}
+
+/**
+ * Fill the role filter of the filter bar with the roles in use
+ */
+export function updateRoleFilterOptions() {
+  const select = document.getElementById('roleFilterSelect');
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '<option value="">All roles</option>' + Object.entries(CONFIG.ROLES)
+    .map(([key, role]) => `<option value="${escapeHtml(key)}">${escapeHtml(role.label)}${role.suffix ? ` (${escapeHtml(role.suffix)})` : ''}</option>`)
+    .join('');
+  select.value = CONFIG.ROLES[current] ? current : '';
+}
+
+/**
+ * Open the roles editor
+ */
+export function showRolesEditor() {
+  const body = openModal({
+    title: 'Roles',
+    width: '640px',
+    body: `
+      <p class="form-hint">
+        A style name ending in a role's suffix gets that role when palettes are loaded, and the suffix is added back on export.
+        Removing a role keeps its suffix in the names of the open palettes' styles.
+      </p>
+      <table class="report-table roles-table">
+        <thead><tr><th>Suffix</th><th>Label</th><th>Badge</th><th>Tone</th><th></th></tr></thead>
+        <tbody></tbody>
+      </table>
+      <button class="secondary roles-add">Add Role</button>
+      <input type="file" class="roles-file" accept=".json" style="display:none">`,
+    buttons: [
+      { label: 'Import Preset…', onClick: () => { body.querySelector('.roles-file').click(); return false; } },
+      { label: 'Export Preset', onClick: () => { exportPreset(); return false; } },
+      { label: 'Reset to Defaults', onClick: () => { fillRows(getDefaultRoles()); return false; } },
+      { label: 'Cancel' },
+      { label: 'Save', className: '', onClick: () => {
+        try {
+          applyRoles(readRows());
+        } catch (err) {
+          alert(err.message);
+          return false;
+        }
+      } }
+    ]
+  });
+
+  const tbody = body.querySelector('tbody');
+
+  const rowHTML = (key, role) => `
+    <tr data-key="${escapeHtml(key)}">
+      <td><input type="text" class="text-input" data-field="suffix" value="${escapeHtml(role.suffix || '')}" ${key === 'none' ? 'disabled' : ''} placeholder="_rim"></td>
+      <td><input type="text" class="text-input" data-field="label" value="${escapeHtml(role.label || '')}" placeholder="RIM"></td>
+      <td><input type="color" data-field="color" value="${escapeHtml(role.color || '#ffffff')}"></td>
+      <td><select data-field="tone">${Object.entries(ROLE_TONES).map(([tone, label]) =>
+        `<option value="${tone}" ${tone === (role.tone || '') ? 'selected' : ''}>${label}</option>`).join('')}</select></td>
+      <td>${key === 'none' ? '' : '<button class="secondary roles-remove" title="Remove role">&times;</button>'}</td>
+    </tr>`;
+
+  const fillRows = roles => {
+    tbody.innerHTML = Object.entries(roles).map(([key, role]) => rowHTML(key, role)).join('');
+  };
+
+  const readRows = () => {
+    const roles = {};
+    const taken = new Set([...tbody.querySelectorAll('tr')].map(tr => tr.dataset.key).filter(Boolean));
+    tbody.querySelectorAll('tr').forEach(tr => {
+      const role = {};
+      tr.querySelectorAll('[data-field]').forEach(input => { role[input.dataset.field] = input.value.trim(); });
+      let key = tr.dataset.key;
+      if (!key) {
+        key = makeRoleKey(role.suffix, taken);
+        taken.add(key);
+      }
+      roles[key] = role;
+    });
+    return roles;
+  };
+
+  const exportPreset = () => {
+    const roles = readRows();
+    const error = validateRoles(roles);
+    if (error) {
+      alert(error);
+      return;
+    }
+    downloadFile(serializeRolePreset(roles), 'roles.json', 'application/json');
+  };
+
+  body.querySelector('.roles-add').addEventListener('click', () => {
+    tbody.insertAdjacentHTML('beforeend', rowHTML('', { suffix: '', label: '', color: '#ffffff', tone: '' }));
+    tbody.lastElementChild.querySelector('[data-field="suffix"]').focus();
+  });
+
+  tbody.addEventListener('click', (e) => {
+    if (e.target.closest('.roles-remove')) e.target.closest('tr').remove();
+  });
+
+  body.querySelector('.roles-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      fillRows(parseRolePreset(await file.text()));
+    } catch (err) {
+      alert(`${file.name}: ${err.message}`);
+    }
+  });
+
+  fillRows(CONFIG.ROLES);
+}
+
+/**
+ * Save the roles in use
+ */
+function saveRoles() {
+  if (!isStorageAvailable()) return;
+  idbPut('settings', 'roles', structuredClone(CONFIG.ROLES)).catch(err => console.warn('Could not save roles:', err));
+  idbPut('settings', 'removedRoleSuffixes', { ...CONFIG.REMOVED_ROLE_SUFFIXES }).catch(err => console.warn('Could not save roles:', err));
+}
+
+/**
+ * Fill in a role's fields
+ * @param {Object} role - { suffix, label, color, tone }
+ * @param {Object} [builtIn] - Built-in role with the same key (keeps its card styling)
+ * @returns {Object} Complete role
+ */
+function normalizeRole(role, builtIn) {
+  return {
+    suffix: String(role.suffix || ''),
+    label: String(role.label).trim(),
+    cssClass: builtIn?.cssClass || '',
+    color: /^#[0-9a-f]{6}$/i.test(role.color) ? role.color.toLowerCase() : '#ffffff',
+    tone: ROLE_TONES[role.tone] !== undefined ? role.tone : ''
+  };
+}
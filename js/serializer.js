@@ -0,0 +1,84 @@
+/**
+ * TPL SERIALIZER
+ * Builds the TPL/XML text of a palette (no DOM access, shared by the
+ * browser export and the command-line tool)
+ */
+
+import { getShortId, formatStyleContent, formatKeyframeContent, preserveSource } from './colorUtils.js';
+import { bakeKeyframes } from './interpolation.js';
+
+/**
+ * Serialize a palette to TPL/XML
+ * @param {Object} paletteData - Palette metadata
+ * @param {Array} colors - Color objects
+ * @returns {string} TPL file contents
+ */
+export function serializeTPL(paletteData, colors) {
+  let rootTag;
+  if (paletteData.isStudioPalette) {
+    const globalName = escapeXml(paletteData.globalName || paletteData.prefix || '').replace(/"/g, '&quot;');
+    rootTag = `<palette name="${globalName}">`;
+  } else {
+    rootTag = `<palette id="${paletteData.originalId || '1'}">`;
+  }
+
+  let xml = `${rootTag}\n  <version>\n    ${paletteData.version}\n  </version>\n  <styles>\n`;
+  
+  colors.forEach(c => {
+    const styleContent = preserveSource(c, formatStyleContent(c, paletteData.isStudioPalette));
+    xml += `    <style>\n      ${escapeXml(styleContent)} \n    </style>\n`;
+  });
+  
+  xml += `  </styles>\n`;
+
+  // Animation data (timing OpenToonz can't interpolate is baked into extra keyframes)
+  const animatedColors = colors.filter(c => !c.unparsed && c.keyframes && c.keyframes.length > 0);
+  const orphanAnimations = paletteData.orphanAnimationXml || [];
+  if (animatedColors.length > 0 || orphanAnimations.length > 0) {
+    xml += `  <animation>\n`;
+    animatedColors.forEach(c => {
+      const shortId = getShortId(c.id);
+      xml += `    <style id="${shortId}">\n`;
+      bakeKeyframes(c).forEach(kf => {
+        const keyframeContent = preserveSource(kf, formatKeyframeContent(c, kf));
+        xml += `      <keyframe frame="${kf.frame}">\n        ${escapeXml(keyframeContent)} \n      </keyframe>\n`;
+      });
+      xml += `    </style>\n`;
+    });
+    orphanAnimations.forEach(node => {
+      xml += `    ${node}\n`;
+    });
+    xml += `  </animation>\n`;
+  }
+
+  // Style pages: page membership is stored by ID, indices are style positions
+  const indexById = new Map(colors.map((c, i) => [c.id, i]));
+  const pages = paletteData.pages && paletteData.pages.length
+    ? paletteData.pages
+    : [{ name: 'colors', ids: colors.map(c => c.id) }];
+
+  xml += `  <stylepages>\n`;
+  pages.forEach(page => {
+    const indices = page.ids.filter(id => indexById.has(id)).map(id => indexById.get(id));
+    xml += `    <page>\n      <name>\n        ${escapeXml(page.name)} \n      </name>\n      <indices>\n        ${indices.join(' ')} \n      </indices>\n    </page>\n`;
+  });
+  xml += `  </stylepages>\n  <shortcuts>\n    ${paletteData.shortcuts}\n  </shortcuts>\n`;
+
+  // Nodes PltUI doesn't edit are written back as they were loaded
+  (paletteData.extraXml || []).forEach(node => {
+    xml += `  ${node}\n`;
+  });
+
+  xml += `</palette>`;
+  
+  return xml;
+}
+
+/**
+ * Escape text for use inside an XML element
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -15,12 +15,18 @@ export let lastFilteredColors = [];
 // Currently selected color index (-1 = none)
 export let selectedColorIndex = -1;
 
+// Indices of all selected colors (multi-selection), including selectedColorIndex
+export let selectedIndices = [];
+
 // Currently selected frame in timeline
 export let selectedFrame = 0;
 
 // Timeline end frame
 export let endFrame = 100;
 
+// Style page shown in the palette grid (-1 = all pages)
+export let activePageIndex = -1;
+
 /**
  * State setters - use these to modify state
  */
@@ -36,8 +42,22 @@ export function setLastFilteredColors(filtered) {
   lastFilteredColors = filtered;
 }
 
+/**
+ * Select a single color (clears the multi-selection)
+ * @param {number} index - Color index (-1 = none)
+ */
 export function setSelectedColorIndex(index) {
   selectedColorIndex = index;
+  selectedIndices = index >= 0 ? [index] : [];
+}
+
+/**
+ * Set the multi-selection (call after setSelectedColorIndex)
+ * @param {Array<number>} indices - Color indices; the selected color is always kept,
+ *                                  without one nothing is selected
+ */
+export function setSelectedIndices(indices) {
+  selectedIndices = selectedColorIndex >= 0 ? [...new Set([selectedColorIndex, ...indices])] : [];
 }
 
 export function setSelectedFrame(frame) {
@@ -48,6 +68,26 @@ export function setEndFrame(frame) {
   endFrame = frame;
 }
 
+export function setActivePageIndex(index) {
+  activePageIndex = index;
+}
+
+/**
+ * Replace the current palette with a freshly loaded/created one
+ * @param {Object} data - Palette metadata
+ * @param {Array} newColors - Color objects
+ * @param {number} frame - Timeline end frame
+ */
+export function loadPalette(data, newColors, frame = 100) {
+  paletteData = data;
+  colors = newColors;
+  selectedColorIndex = -1;
+  selectedIndices = [];
+  selectedFrame = 0;
+  activePageIndex = -1;
+  endFrame = frame;
+}
+
 /**
  * Color array manipulation helpers
  */
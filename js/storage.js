@@ -0,0 +1,100 @@
+/**
+ * BROWSER STORAGE
+ * Small promise wrapper around the app's IndexedDB database
+ */
+
+const DB_NAME = 'pltui';
+const DB_VERSION = 3;
+
+// Object stores (all use out-of-line keys)
+const STORES = ['session', 'recent', 'library', 'settings'];
+
+let dbPromise = null;
+
+/**
+ * Check whether persistent storage is available
+ * @returns {boolean}
+ */
+export function isStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Read a value
+ * @param {string} store - Object store name
+ * @param {string} key - Key
+ * @returns {Promise<*>} Stored value or undefined
+ */
+export async function idbGet(store, key) {
+  return request(store, 'readonly', s => s.get(key));
+}
+
+/**
+ * Read all values of a store
+ * @param {string} store - Object store name
+ * @returns {Promise<Array>}
+ */
+export async function idbGetAll(store) {
+  return request(store, 'readonly', s => s.getAll());
+}
+
+/**
+ * Write a value
+ * @param {string} store - Object store name
+ * @param {string} key - Key
+ * @param {*} value - Any structured-cloneable value
+ * @returns {Promise}
+ */
+export async function idbPut(store, key, value) {
+  return request(store, 'readwrite', s => s.put(value, key));
+}
+
+/**
+ * Delete a value
+ * @param {string} store - Object store name
+ * @param {string} key - Key
+ * @returns {Promise}
+ */
+export async function idbDelete(store, key) {
+  return request(store, 'readwrite', s => s.delete(key));
+}
+
+/**
+ * Open (and create/upgrade) the database once
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        STORES.forEach(name => {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name);
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request in its own transaction
+ * @param {string} store - Object store name
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+async function request(store, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = makeRequest(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
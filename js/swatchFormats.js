@@ -0,0 +1,614 @@
+/**
+ * SWATCH FORMATS
+ * Readers and writers for palette formats of other paint/comp tools:
+ * GIMP (.gpl), Krita (.kpl), Adobe Swatch Exchange (.ase),
+ * Adobe Color Swatch (.aco) and Paint.NET (.txt, read only)
+ *
+ * Every reader returns { name, swatches: [{ name, r, g, b, a }], warnings: [] },
+ * every writer takes (name, swatches) and returns the file contents.
+ * None of the formats can store alpha, writers only use r/g/b.
+ */
+
+import { readZip, writeZip, concatBytes } from './zip.js';
+
+/**
+ * Writable formats: file extension and MIME type
+ */
+export const SWATCH_WRITERS = {
+  gpl: { label: 'GIMP (.gpl)',                  ext: 'gpl', type: 'text/plain',               write: (name, swatches) => writeGpl(name, swatches) },
+  kpl: { label: 'Krita (.kpl)',                 ext: 'kpl', type: 'application/x-krita-palette', write: (name, swatches) => writeKpl(name, swatches) },
+  ase: { label: 'Adobe Swatch Exchange (.ase)', ext: 'ase', type: 'application/octet-stream', write: (name, swatches) => writeAse(name, swatches) },
+  aco: { label: 'Adobe Color Swatch (.aco)',    ext: 'aco', type: 'application/octet-stream', write: (name, swatches) => writeAco(name, swatches) }
+};
+
+/**
+ * Detect the swatch format of a file
+ * @param {string} fileName - File name (extension is used first)
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} 'gpl' | 'kpl' | 'ase' | 'aco' | 'paintnet' | null
+ */
+export function detectSwatchFormat(fileName, bytes) {
+  const ext = fileName.split('.').pop().toLowerCase();
+  const head = String.fromCharCode(...bytes.subarray(0, 12));
+
+  if (head.startsWith('ASEF')) return 'ase';
+  if (head.startsWith('GIMP Palette')) return 'gpl';
+  if (head.startsWith('PK')) return ext === 'kpl' ? 'kpl' : null;
+  if (ext === 'aco') return 'aco';
+  if (ext === 'gpl') return 'gpl';
+  if (ext === 'txt' && isPaintNetPalette(new TextDecoder().decode(bytes))) return 'paintnet';
+  return null;
+}
+
+/**
+ * Read a swatch file
+ * @param {string} fileName - File name
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} { format, name, swatches, warnings }
+ */
+export async function readSwatchFile(fileName, buffer) {
+  const bytes = new Uint8Array(buffer);
+  const format = detectSwatchFormat(fileName, bytes);
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  let result;
+
+  switch (format) {
+    case 'gpl':      result = parseGpl(new TextDecoder().decode(bytes)); break;
+    case 'kpl':      result = await parseKpl(buffer); break;
+    case 'ase':      result = parseAse(buffer); break;
+    case 'aco':      result = parseAco(buffer); break;
+    case 'paintnet': result = parsePaintNet(new TextDecoder().decode(bytes)); break;
+    default:
+      throw new Error(`Unrecognized palette format: ${fileName}`);
+  }
+
+  return { format, ...result, name: result.name || baseName };
+}
+
+// ==========================================================================
+// GIMP (.gpl)
+// ==========================================================================
+
+/**
+ * Parse a GIMP palette
+ * @param {string} text - File contents
+ * @returns {Object} { name, swatches, warnings }
+ */
+export function parseGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (!lines[0].startsWith('GIMP Palette')) throw new Error('Missing "GIMP Palette" header');
+
+  let name = '';
+  const swatches = [];
+  const warnings = [];
+
+  lines.slice(1).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const header = trimmed.match(/^(Name|Columns):\s*(.*)$/);
+    if (header) {
+      if (header[1] === 'Name') name = header[2];
+      return;
+    }
+
+    const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+    if (!match) {
+      warnings.push(`Line ${i + 2}: unreadable color "${trimmed}"`);
+      return;
+    }
+    swatches.push({
+      name: match[4].trim(),
+      r: clamp255(parseInt(match[1])),
+      g: clamp255(parseInt(match[2])),
+      b: clamp255(parseInt(match[3])),
+      a: 255
+    });
+  });
+
+  return { name, swatches, warnings };
+}
+
+/**
+ * Write a GIMP palette
+ * @param {string} name - Palette name
+ * @param {Array} swatches - [{ name, r, g, b }]
+ * @returns {string} File contents
+ */
+export function writeGpl(name, swatches) {
+  const pad = v => String(v).padStart(3, ' ');
+  const lines = swatches.map(s => `${pad(s.r)} ${pad(s.g)} ${pad(s.b)}\t${s.name}`);
+  return `GIMP Palette\nName: ${name}\nColumns: 16\n#\n${lines.join('\n')}\n`;
+}
+
+// ==========================================================================
+// Krita (.kpl)
+// ==========================================================================
+
+/**
+ * Parse a Krita palette (ZIP archive containing colorset.xml)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} { name, swatches, warnings }
+ */
+export async function parseKpl(buffer) {
+  const files = await readZip(buffer);
+  const xmlBytes = files.get('colorset.xml');
+  if (!xmlBytes) throw new Error('colorset.xml not found in Krita palette');
+  return parseKritaColorSet(new TextDecoder().decode(xmlBytes));
+}
+
+/**
+ * Parse Krita's colorset.xml
+ * @param {string} xml - colorset.xml contents
+ * @returns {Object} { name, swatches, warnings }
+ */
+export function parseKritaColorSet(xml) {
+  const setAttrs = parseXmlAttributes(xml.match(/<ColorSet\b([^>]*)>/)?.[1] || '');
+  const swatches = [];
+  const warnings = [];
+
+  for (const entry of xml.matchAll(/<ColorSetEntry\b([^>]*?)(?:\/>|>([\s\S]*?)<\/ColorSetEntry>)/g)) {
+    const attrs = parseXmlAttributes(entry[1]);
+    const colorNode = (entry[2] || '').match(/<(\w+)\b([^>]*)\/?>/);
+    const name = attrs.name || attrs.id || '';
+
+    if (!colorNode) {
+      warnings.push(`Swatch "${name}" has no color`);
+      continue;
+    }
+
+    const model = colorNode[1].toUpperCase();
+    const values = parseXmlAttributes(colorNode[2]);
+    const num = key => parseFloat(values[key]) || 0;
+    let rgb;
+
+    if (model === 'RGB' || model === 'SRGB') {
+      rgb = { r: num('r') * 255, g: num('g') * 255, b: num('b') * 255 };
+    } else if (model === 'GRAY') {
+      rgb = grayToRgb(num('g'));
+    } else if (model === 'CMYK') {
+      rgb = cmykToRgb(num('c'), num('m'), num('y'), num('k'));
+      warnings.push(`Swatch "${name}" converted from CMYK`);
+    } else if (model === 'LAB') {
+      rgb = labToRgb(num('L'), num('a'), num('b'));
+      warnings.push(`Swatch "${name}" converted from Lab`);
+    } else {
+      warnings.push(`Swatch "${name}" uses unsupported color model ${colorNode[1]}, skipped`);
+      continue;
+    }
+
+    swatches.push({ name, ...roundRgb(rgb), a: 255 });
+  }
+
+  return { name: decodeXmlEntities(setAttrs.name || ''), swatches, warnings };
+}
+
+/**
+ * Write a Krita palette
+ * @param {string} name - Palette name
+ * @param {Array} swatches - [{ name, r, g, b }]
+ * @returns {Uint8Array} File contents (ZIP archive)
+ */
+export function writeKpl(name, swatches) {
+  const columns = 16;
+  const channel = v => (v / 255).toFixed(6);
+  const entries = swatches.map((s, i) => `
+  <ColorSetEntry name="${encodeXmlAttribute(s.name)}" id="${i}" spot="false" bitdepth="U8">
+   <RGB r="${channel(s.r)}" g="${channel(s.g)}" b="${channel(s.b)}" space="sRGB-elle-V2-srgbtrc.icc"/>
+   <Position row="${Math.floor(i / columns)}" column="${i % columns}"/>
+  </ColorSetEntry>`).join('');
+
+  const colorSet = `<?xml version="1.0" encoding="UTF-8"?>
+<ColorSet version="2.0" name="${encodeXmlAttribute(name)}" comment="" columns="${columns}" rows="${Math.max(1, Math.ceil(swatches.length / columns))}" readonly="false">${entries}
+</ColorSet>
+`;
+
+  return writeZip([
+    { name: 'mimetype', data: 'krita/x-colorset' },
+    { name: 'colorset.xml', data: colorSet },
+    { name: 'profiles.xml', data: '<?xml version="1.0" encoding="UTF-8"?>\n<Profiles/>\n' }
+  ]);
+}
+
+// ==========================================================================
+// Adobe Swatch Exchange (.ase)
+// ==========================================================================
+
+/**
+ * Parse an Adobe Swatch Exchange file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { name, swatches, warnings }
+ */
+export function parseAse(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 4 || view.getUint32(0) !== 0x41534546) throw new Error('Missing "ASEF" signature');
+  requireBytes(view.byteLength, 12, 'header');
+
+  const blockCount = view.getUint32(8);
+  const swatches = [];
+  const warnings = [];
+  let offset = 12;
+
+  for (let i = 0; i < blockCount; i++) {
+    const where = `block ${i + 1}`;
+    requireBytes(view.byteLength, offset + 6, where);
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const blockStart = offset + 6;
+    offset = blockStart + length;
+    requireBytes(view.byteLength, offset, where);
+
+    // Only color entries are read; group start/end blocks just wrap them
+    if (type !== 0x0001) continue;
+
+    // Reads stay inside the block, a bad length can't reach into the next one
+    const blockEnd = offset;
+    requireBytes(blockEnd, blockStart + 2, where);
+    const nameLength = view.getUint16(blockStart);
+    requireBytes(blockEnd, blockStart + 2 + nameLength * 2 + 4, where);
+    const name = readUtf16(view, blockStart + 2, nameLength);
+    let pos = blockStart + 2 + nameLength * 2;
+    const model = String.fromCharCode(
+      view.getUint8(pos), view.getUint8(pos + 1), view.getUint8(pos + 2), view.getUint8(pos + 3)
+    ).trim().toUpperCase();
+    pos += 4;
+    const f = n => {
+      requireBytes(blockEnd, pos + n * 4 + 4, where);
+      return view.getFloat32(pos + n * 4);
+    };
+    let rgb;
+
+    if (model === 'RGB') {
+      rgb = { r: f(0) * 255, g: f(1) * 255, b: f(2) * 255 };
+    } else if (model === 'GRAY') {
+      rgb = grayToRgb(f(0));
+    } else if (model === 'CMYK') {
+      rgb = cmykToRgb(f(0), f(1), f(2), f(3));
+      warnings.push(`Swatch "${name}" converted from CMYK`);
+    } else if (model === 'LAB') {
+      rgb = labToRgb(f(0) * 100, f(1), f(2));
+      warnings.push(`Swatch "${name}" converted from Lab`);
+    } else {
+      warnings.push(`Swatch "${name}" uses unsupported color model ${model}, skipped`);
+      continue;
+    }
+
+    swatches.push({ name, ...roundRgb(rgb), a: 255 });
+  }
+
+  return { name: '', swatches, warnings };
+}
+
+/**
+ * Write an Adobe Swatch Exchange file (RGB, no groups)
+ * @param {string} name - Palette name (unused, ASE has no palette name)
+ * @param {Array} swatches - [{ name, r, g, b }]
+ * @returns {Uint8Array} File contents
+ */
+export function writeAse(name, swatches) {
+  const blocks = swatches.map(s => {
+    const nameLength = s.name.length + 1;
+    const length = 2 + nameLength * 2 + 4 + 12 + 2;
+    const view = new DataView(new ArrayBuffer(6 + length));
+    view.setUint16(0, 0x0001);
+    view.setUint32(2, length);
+    view.setUint16(6, nameLength);
+    writeUtf16(view, 8, s.name);
+    let pos = 8 + nameLength * 2;
+    'RGB '.split('').forEach((ch, i) => view.setUint8(pos + i, ch.charCodeAt(0)));
+    pos += 4;
+    [s.r, s.g, s.b].forEach((v, i) => view.setFloat32(pos + i * 4, v / 255));
+    view.setUint16(pos + 12, 2); // color type: normal
+    return new Uint8Array(view.buffer);
+  });
+
+  const header = new DataView(new ArrayBuffer(12));
+  header.setUint32(0, 0x41534546); // "ASEF"
+  header.setUint16(4, 1);
+  header.setUint16(6, 0);
+  header.setUint32(8, blocks.length);
+
+  return concatBytes([new Uint8Array(header.buffer), ...blocks]);
+}
+
+// ==========================================================================
+// Adobe Color Swatch (.aco)
+// ==========================================================================
+
+/**
+ * Parse an Adobe Color Swatch file
+ * Version 2 sections (with names) are preferred over version 1.
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { name, swatches, warnings }
+ */
+export function parseAco(buffer) {
+  const view = new DataView(buffer);
+  let section = readAcoSection(view, 0, false);
+
+  // A version 1 section may be followed by a version 2 section with names
+  if (section.version === 1 && section.end + 4 <= buffer.byteLength && view.getUint16(section.end) === 2) {
+    section = readAcoSection(view, section.end, true);
+  }
+
+  return { name: '', swatches: section.swatches, warnings: section.warnings };
+}
+
+/**
+ * Read one ACO section
+ * @param {DataView} view - File view
+ * @param {number} offset - Section start
+ * @param {boolean} withNames - Whether colors carry names (version 2)
+ * @returns {Object} { version, swatches, warnings, end }
+ */
+function readAcoSection(view, offset, withNames) {
+  requireBytes(view.byteLength, offset + 4, 'header');
+  const version = view.getUint16(offset);
+  if (version !== 1 && version !== 2) throw new Error(`Unsupported ACO version ${version}`);
+
+  const count = view.getUint16(offset + 2);
+  const swatches = [];
+  const warnings = [];
+  let pos = offset + 4;
+
+  for (let i = 0; i < count; i++) {
+    const where = `swatch ${i + 1}`;
+    requireBytes(view.byteLength, pos + 10, where);
+    const space = view.getUint16(pos);
+    const w = view.getUint16(pos + 2);
+    const x = view.getUint16(pos + 4);
+    const y = view.getUint16(pos + 6);
+    const z = view.getUint16(pos + 8);
+    pos += 10;
+
+    let name = '';
+    if (withNames) {
+      requireBytes(view.byteLength, pos + 4, where);
+      const length = view.getUint32(pos);
+      requireBytes(view.byteLength, pos + 4 + length * 2, where);
+      name = readUtf16(view, pos + 4, length);
+      pos += 4 + length * 2;
+    }
+
+    let rgb;
+    switch (space) {
+      case 0: rgb = { r: w / 257, g: x / 257, b: y / 257 }; break;
+      case 1: rgb = hsbToRgb(w / 65535 * 360, x / 65535, y / 65535); break;
+      case 2: rgb = cmykToRgb(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535); break;
+      case 7: rgb = labToRgb(w / 100, toSigned16(x) / 100, toSigned16(y) / 100); break;
+      case 8: rgb = grayToRgb(1 - w / 10000); break;
+      default:
+        warnings.push(`Swatch ${i + 1} uses unsupported color space ${space}, skipped`);
+        continue;
+    }
+    if (space === 2 || space === 7) {
+      warnings.push(`Swatch "${name || i + 1}" converted from ${space === 2 ? 'CMYK' : 'Lab'}`);
+    }
+
+    swatches.push({ name, ...roundRgb(rgb), a: 255 });
+  }
+
+  return { version, swatches, warnings, end: pos };
+}
+
+/**
+ * Write an Adobe Color Swatch file
+ * A version 1 section is followed by a version 2 section carrying the names.
+ * @param {string} name - Palette name (unused, ACO has no palette name)
+ * @param {Array} swatches - [{ name, r, g, b }]
+ * @returns {Uint8Array} File contents
+ */
+export function writeAco(name, swatches) {
+  const v1Size = 4 + swatches.length * 10;
+  const v2Size = 4 + swatches.reduce((sum, s) => sum + 10 + 4 + (s.name.length + 1) * 2, 0);
+  const view = new DataView(new ArrayBuffer(v1Size + v2Size));
+
+  const writeColor = (pos, s) => {
+    view.setUint16(pos, 0); // color space: RGB
+    view.setUint16(pos + 2, s.r * 257);
+    view.setUint16(pos + 4, s.g * 257);
+    view.setUint16(pos + 6, s.b * 257);
+    view.setUint16(pos + 8, 0);
+    return pos + 10;
+  };
+
+  view.setUint16(0, 1);
+  view.setUint16(2, swatches.length);
+  let pos = 4;
+  swatches.forEach(s => { pos = writeColor(pos, s); });
+
+  view.setUint16(pos, 2);
+  view.setUint16(pos + 2, swatches.length);
+  pos += 4;
+  swatches.forEach(s => {
+    pos = writeColor(pos, s);
+    view.setUint32(pos, s.name.length + 1);
+    writeUtf16(view, pos + 4, s.name);
+    pos += 4 + (s.name.length + 1) * 2;
+  });
+
+  return new Uint8Array(view.buffer);
+}
+
+// ==========================================================================
+// Paint.NET (.txt)
+// ==========================================================================
+
+/**
+ * Check whether a text file looks like a Paint.NET palette
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isPaintNetPalette(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith(';'));
+  return lines.length > 0 && lines.every(l => /^[0-9a-fA-F]{8}$/.test(l));
+}
+
+/**
+ * Parse a Paint.NET palette (one AARRGGBB hex value per line)
+ * @param {string} text - File contents
+ * @returns {Object} { name, swatches, warnings }
+ */
+export function parsePaintNet(text) {
+  const swatches = [];
+  const warnings = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith(';')) return;
+    if (!/^[0-9a-fA-F]{8}$/.test(trimmed)) {
+      warnings.push(`Line ${i + 1}: unreadable color "${trimmed}"`);
+      return;
+    }
+    const value = parseInt(trimmed, 16);
+    swatches.push({
+      name: '',
+      a: (value >>> 24) & 255,
+      r: (value >>> 16) & 255,
+      g: (value >>> 8) & 255,
+      b: value & 255
+    });
+  });
+
+  return { name: '', swatches, warnings };
+}
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+/**
+ * Clamp and round a channel value to 0-255
+ */
+function clamp255(v) {
+  return Math.max(0, Math.min(255, Math.round(v)));
+}
+
+/**
+ * Round/clamp every channel of an RGB object
+ */
+function roundRgb({ r, g, b }) {
+  return { r: clamp255(r), g: clamp255(g), b: clamp255(b) };
+}
+
+/**
+ * Interpret an unsigned 16-bit value as signed
+ */
+function toSigned16(v) {
+  return v > 32767 ? v - 65536 : v;
+}
+
+/**
+ * Read a big-endian UTF-16 string (stops at a null character)
+ */
+function readUtf16(view, offset, length) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    const code = view.getUint16(offset + i * 2);
+    if (code === 0) break;
+    text += String.fromCharCode(code);
+  }
+  return text;
+}
+
+/**
+ * Write a big-endian UTF-16 string followed by a null character
+ */
+function writeUtf16(view, offset, text) {
+  for (let i = 0; i < text.length; i++) view.setUint16(offset + i * 2, text.charCodeAt(i));
+  view.setUint16(offset + text.length * 2, 0);
+}
+
+/**
+ * Escape text for an XML attribute value
+ */
+function encodeXmlAttribute(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse `key="value"` pairs of an XML tag
+ */
+function parseXmlAttributes(text) {
+  const attrs = {};
+  for (const match of text.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[match[1]] = decodeXmlEntities(match[2]);
+  }
+  return attrs;
+}
+
+/**
+ * Decode the XML entities used in attribute values
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(parseInt(n)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert a 0-1 gray level to RGB
+ */
+function grayToRgb(v) {
+  return { r: v * 255, g: v * 255, b: v * 255 };
+}
+
+/**
+ * Naive CMYK (0-1) to RGB conversion (no color management)
+ */
+function cmykToRgb(c, m, y, k) {
+  return {
+    r: 255 * (1 - c) * (1 - k),
+    g: 255 * (1 - m) * (1 - k),
+    b: 255 * (1 - y) * (1 - k)
+  };
+}
+
+/**
+ * Convert HSB (h: 0-360, s/v: 0-1) to RGB
+ */
+function hsbToRgb(h, s, v) {
+  const f = n => {
+    const k = (n + h / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  return { r: f(5) * 255, g: f(3) * 255, b: f(1) * 255 };
+}
+
+/**
+ * Convert CIE Lab (D65) to sRGB
+ */
+function labToRgb(L, a, b) {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const inv = t => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787);
+  const x = 0.95047 * inv(fx);
+  const y = 1.00000 * inv(fy);
+  const z = 1.08883 * inv(fz);
+
+  const toSrgb = c => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+  return {
+    r: toSrgb(x * 3.2406 + y * -1.5372 + z * -0.4986),
+    g: toSrgb(x * -0.9689 + y * 1.8758 + z * 0.0415),
+    b: toSrgb(x * 0.0557 + y * -0.2040 + z * 1.0570)
+  };
+}
+
+/**
+ * Make sure a binary swatch file holds the bytes about to be read
+ * @param {number} limit - Offset where the file (or the current block) ends
+ * @param {number} end - Offset just past the bytes to read
+ * @param {string} where - Part of the file, for the message
+ * @throws {Error} When the file ends before `end`
+ */
+function requireBytes(limit, end, where) {
+  if (end > limit) throw new Error(`File is truncated (${where})`);
+}
@@ -5,7 +5,9 @@
 
 import { colors, selectedColorIndex, selectedFrame, endFrame, setSelectedFrame, setEndFrame } from './state.js';
 import { renderPalette } from './renderer.js';
-import { getContrastColor } from './colorUtils.js';
+import { getContrastColor, isSolidStyle } from './colorUtils.js';
+import { getInterpolatedColor, insertKeyframe, describeInterpolation, INTERPOLATION_MODES, DEFAULT_BEZIER, COLOR_SPACES } from './interpolation.js';
+import { recordChange } from './history.js';
 
 // Import wheel manager dynamically to avoid circular dependency
 let wheelManagerPromise = null;
@@ -58,9 +60,22 @@ export function renderTimeline(scrollToFrame = false) {
 
   color.keyframes.forEach(kf => {
     const visualPos = (kf.frame * 20) + 10;
-    keyframesHTML += `<div class="keyframe-marker ${kf.frame === selectedFrame ? 'active' : ''}" style="left: ${visualPos}px;" onclick="window.Timeline.selectFrame(${kf.frame})"></div>`;
+    const timing = describeInterpolation(kf);
+    const timingClass = timing ? (kf.interpolation === 'constant' ? 'is-constant' : 'is-eased') : '';
+    keyframesHTML += `<div class="keyframe-marker ${kf.frame === selectedFrame ? 'active' : ''} ${timingClass}" style="left: ${visualPos}px;" title="Frame ${kf.frame + 1}${timing ? ` (${timing})` : ''}" onclick="window.Timeline.selectFrame(${kf.frame})"></div>`;
   });
 
+  // Timing of the segment the selected frame is in
+  const segmentKey = getSegmentKeyframe(color, selectedFrame);
+  const mode = segmentKey?.interpolation && INTERPOLATION_MODES[segmentKey.interpolation] ? segmentKey.interpolation : 'linear';
+  const modeOptions = Object.entries(INTERPOLATION_MODES)
+    .map(([key, label]) => `<option value="${key}" ${key === mode ? 'selected' : ''}>${label}</option>`)
+    .join('');
+  const space = segmentKey?.colorSpace && COLOR_SPACES[segmentKey.colorSpace] ? segmentKey.colorSpace : 'rgb';
+  const spaceOptions = Object.entries(COLOR_SPACES)
+    .map(([key, label]) => `<option value="${key}" ${key === space ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
   container.innerHTML = `
     <div class="timeline-controls">
         <div class="control-row">
@@ -80,6 +95,18 @@ export function renderTimeline(scrollToFrame = false) {
                 <svg viewBox="0 0 24 24" width="14" height="14"><path d="M8.59 16.59L10 18l6-6-6-6-1.41 1.41L13.17 12z" fill="currentColor"/></svg>
             </button>
         </div>
+        <div class="control-row">
+            <select id="interpolationSelect" title="${segmentKey ? `Interpolation from frame ${segmentKey.frame + 1} to the next keyframe` : 'Select a frame between two keyframes'}" onchange="window.Timeline.setInterpolation(this.value)" ${segmentKey ? '' : 'disabled'}>${modeOptions}</select>
+        </div>
+        ${mode === 'bezier' ? `
+        <div class="control-row bezier-row">
+            <input type="text" id="bezierInput" title="Bezier control points: x1 y1 x2 y2" value="${(segmentKey.bezier || DEFAULT_BEZIER).join(' ')}" onchange="window.Timeline.setBezier(this.value)">
+            <span class="search-error" id="bezierError" style="display:none">Four numbers, x1 and x2 from 0 to 1</span>
+        </div>` : ''}
+        <div class="control-row">
+            <select id="colorSpaceSelect" title="${segmentKey ? 'Color space this segment blends in (OpenToonz blends in RGB, others are baked on TPL export)' : 'Select a frame between two keyframes'}" onchange="window.Timeline.setColorSpace(this.value)" ${segmentKey ? '' : 'disabled'}>${spaceOptions}</select>
+            <button id="colorSpaceAllBtn" class="text-button" title="Blend every segment of this color in this space" onclick="window.Timeline.setColorSpace(document.getElementById('colorSpaceSelect').value, true)" ${segmentKey ? '' : 'disabled'}>All</button>
+        </div>
     </div>
     <div class="timeline-content">
         <div class="timeline-scroll-area" id="timeline-scroll">
@@ -187,42 +214,111 @@ export function jumpToKeyframe(direction) {
 export function toggleKeyframe() {
   if (selectedColorIndex < 0) return;
   const color = colors[selectedColorIndex];
+  
+  // Keyframes of non-solid styles can't be created from a single color
+  if (!isSolidStyle(color)) return;
+  
   const existingKeyIndex = color.keyframes.findIndex(kf => kf.frame === selectedFrame);
+  recordChange(`${existingKeyIndex > -1 ? 'Remove' : 'Add'} keyframe ${selectedFrame + 1} on ${color.name}`);
 
   if (existingKeyIndex > -1) {
     color.keyframes.splice(existingKeyIndex, 1);
   } else {
     const frameColor = getInterpolatedColor(selectedFrame, color);
-    color.keyframes.push({ frame: selectedFrame, ...frameColor });
-    color.keyframes.sort((a, b) => a.frame - b.frame);
+    insertKeyframe(color, { frame: selectedFrame, ...frameColor });
   }
   renderTimeline();
 }
 
 /**
- * Get interpolated color at a specific frame
+ * Set the interpolation of the segment the selected frame is in
+ * @param {string} mode - Key of INTERPOLATION_MODES
  */
-export function getInterpolatedColor(frame, color) {
-  if (!color.keyframes || color.keyframes.length === 0) {
-    return { r: color.r, g: color.g, b: color.b, a: color.a };
+export function setInterpolation(mode) {
+  if (selectedColorIndex < 0 || !INTERPOLATION_MODES[mode]) return;
+  const color = colors[selectedColorIndex];
+  const keyframe = getSegmentKeyframe(color, selectedFrame);
+  if (!keyframe) return;
+
+  recordChange(`Set ${INTERPOLATION_MODES[mode].toLowerCase()} interpolation at frame ${keyframe.frame + 1} on ${color.name}`);
+  if (mode === 'linear') {
+    delete keyframe.interpolation;
+  } else {
+    keyframe.interpolation = mode;
+  }
+  if (mode === 'bezier') {
+    keyframe.bezier = keyframe.bezier || [...DEFAULT_BEZIER];
+  } else {
+    delete keyframe.bezier;
   }
-  
-  let prevKey = color.keyframes.filter(k => k.frame <= frame).pop();
-  let nextKey = color.keyframes.find(k => k.frame >= frame);
 
-  if (!prevKey) prevKey = nextKey || { frame: 0, r: color.r, g: color.g, b: color.b, a: color.a };
-  if (!nextKey) nextKey = prevKey;
+  refreshAnimatedColor();
+}
 
-  const frameDiff = nextKey.frame - prevKey.frame;
-  if (frameDiff === 0) return { r: prevKey.r, g: prevKey.g, b: prevKey.b, a: prevKey.a };
-  
-  const factor = (frame - prevKey.frame) / frameDiff;
-  return {
-    r: Math.round(prevKey.r + (nextKey.r - prevKey.r) * factor),
-    g: Math.round(prevKey.g + (nextKey.g - prevKey.g) * factor),
-    b: Math.round(prevKey.b + (nextKey.b - prevKey.b) * factor),
-    a: Math.round(prevKey.a + (nextKey.a - prevKey.a) * factor),
-  };
+/**
+ * Set the control points of the selected custom bezier segment
+ * @param {string} value - "x1 y1 x2 y2" (x values between 0 and 1)
+ */
+export function setBezier(value) {
+  if (selectedColorIndex < 0) return;
+  const color = colors[selectedColorIndex];
+  const keyframe = getSegmentKeyframe(color, selectedFrame);
+  if (!keyframe || keyframe.interpolation !== 'bezier') return;
+
+  const points = String(value).trim().split(/[\s,]+/).map(Number);
+  if (points.length !== 4 || points.some(n => !Number.isFinite(n)) || [points[0], points[2]].some(x => x < 0 || x > 1)) {
+    // Keep the text so it can be corrected; the next render clears the error
+    document.getElementById('bezierInput')?.classList.add('invalid');
+    const error = document.getElementById('bezierError');
+    if (error) error.style.display = 'block';
+    return;
+  }
+
+  recordChange(`Edit bezier at frame ${keyframe.frame + 1} on ${color.name}`);
+  keyframe.bezier = points;
+  refreshAnimatedColor();
+}
+
+/**
+ * Set the blend space of the segment the selected frame is in
+ * @param {string} space - Key of COLOR_SPACES
+ * @param {boolean} [allSegments=false] - Set it on every segment of the selected color instead
+ */
+export function setColorSpace(space, allSegments = false) {
+  if (selectedColorIndex < 0 || !COLOR_SPACES[space]) return;
+  const color = colors[selectedColorIndex];
+  const keyframe = getSegmentKeyframe(color, selectedFrame);
+  if (!keyframe) return;
+
+  recordChange(`Blend ${allSegments ? 'all segments' : `frame ${keyframe.frame + 1}`} of ${color.name} in ${COLOR_SPACES[space]}`);
+  (allSegments ? color.keyframes : [keyframe]).forEach(kf => {
+    if (space === 'rgb') delete kf.colorSpace;
+    else kf.colorSpace = space;
+  });
+
+  refreshAnimatedColor();
+}
+
+/**
+ * Get the keyframe starting the segment a frame is in
+ * @param {Object} color - Color object
+ * @param {number} frame - Frame number
+ * @returns {Object|null} Keyframe, or null outside of segments (before the first or from the last keyframe on)
+ */
+function getSegmentKeyframe(color, frame) {
+  const keyframes = color.keyframes || [];
+  const index = keyframes.findLastIndex(kf => kf.frame <= frame);
+  return index >= 0 && index < keyframes.length - 1 ? keyframes[index] : null;
+}
+
+/**
+ * Redraw everything showing the selected color after a timing change
+ */
+function refreshAnimatedColor() {
+  renderPalette();
+  renderTimeline();
+  updateUIForCurrentFrame();
+  getWheelManager().then(wm => wm.updateWheelFromSelection());
 }
 
 /**
@@ -3,15 +3,33 @@
  * Event handlers for user interactions
  */
 
-import { CONFIG } from './config.js';
 import * as State from './state.js';
-import { getShortId, generatePalettePrefix } from './colorUtils.js';
+import { CONFIG } from './config.js';
+import { escapeHtml } from './modal.js';
+import { getShortId, isSolidStyle, buildStyleId, getNextStyleNumber } from './colorUtils.js';
+import { createPalette } from './paletteFactory.js';
 import { renderPalette } from './renderer.js';
-import { renderTimeline, getInterpolatedColor } from './timeline.js';
+import { renderTimeline } from './timeline.js';
+import { getInterpolatedColor } from './interpolation.js';
 import { updateWheelFromSelection } from './wheelManager.js';
+import { getPages, getPageIndexOfColor, addColorToPage, removeColorFromPages, moveColorsToPage } from './pages.js';
+import { recordChange } from './history.js';
+import { openPalette } from './workspace.js';
+import { setFilterSettings } from './filters.js';
+import { canGenerateVariants, canRegenerateVariants, showGenerateVariants, regenerateVariants } from './variants.js';
 
-// Context menu state
+// Context menu state: the right-clicked color and the colors its actions apply to
 let contextMenuTarget = -1;
+let contextMenuTargets = [];
+
+// Shift+click selects from here to the clicked card (color index)
+let selectionAnchor = -1;
+
+// Context menu actions bg (0) and ink (1) don't allow
+const FIXED_STYLE_LOCKED_ACTIONS = ['delete', 'toggle-autopaint', 'change-alpha', 'mark-role'];
+
+// Copied colors (deep clones, shared by all workspace tabs)
+let copiedColors = [];
 
 /**
  * Select a color card
@@ -22,25 +40,147 @@ export function selectColor(idx, forceSelect = false) {
   const previousIdx = State.selectedColorIndex;
   
   // If clicking same card and not forcing selection, toggle off
-  if (previousIdx === idx && !forceSelect) {
+  // (a multi-selection collapses to the card instead)
+  if (previousIdx === idx && !forceSelect && State.selectedIndices.length <= 1) {
     State.setSelectedColorIndex(-1);
   } else {
-    State.setSelectedColorIndex(idx);
-    State.setSelectedFrame(0);
-    
-    // Calculate appropriate endFrame based on new card's keyframes
-    const color = State.colors[idx];
-    if (color && color.keyframes && color.keyframes.length > 0) {
-      const lastKeyframe = Math.max(...color.keyframes.map(k => k.frame));
-      State.setEndFrame(lastKeyframe + 10);
-    } else {
-      State.setEndFrame(100); // Default end frame
-    }
+    setPrimarySelection(idx);
+  }
+  selectionAnchor = idx;
+  
+  refreshSelection(true);
+}
+
+/**
+ * Select a color and scroll its card into view, even when the active page
+ * or the filters would hide it
+ * @param {number} idx - Color index
+ */
+export function revealColor(idx) {
+  if (!State.colors[idx]) return;
+  
+  State.setActivePageIndex(-1);
+  renderPalette();
+  if (!State.lastFilteredColors.includes(State.colors[idx])) {
+    setFilterSettings({ searchInput: '', animatedFilterCheck: false, hueFilterCheck: false, roleFilterSelect: '' });
+    toggleHueControls();
   }
   
+  selectColor(idx, true);
+  document.getElementById(`card-${idx}`)?.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Handle a click on a color card: Ctrl/Cmd toggles the card in the
+ * selection, Shift selects the range from the last clicked card
+ * @param {MouseEvent} event - Click event
+ * @param {number} idx - Index of the clicked color
+ */
+export function handleCardClick(event, idx) {
+  const additive = event.ctrlKey || event.metaKey;
+  if (event.shiftKey) {
+    selectRange(selectionAnchor >= 0 ? selectionAnchor : idx, idx, additive);
+  } else if (additive) {
+    toggleColorSelection(idx);
+  } else {
+    selectColor(idx);
+  }
+}
+
+/**
+ * Add a color to the selection, or take it out
+ * An added color becomes the one shown in the wheel and timeline.
+ * @param {number} idx - Color index
+ */
+export function toggleColorSelection(idx) {
+  const selected = State.selectedIndices;
+  selectionAnchor = idx;
+  
+  if (!selected.includes(idx)) {
+    setSelection([...selected, idx], idx);
+    return;
+  }
+  
+  const rest = selected.filter(i => i !== idx);
+  if (!rest.length) {
+    State.setSelectedColorIndex(-1);
+    refreshSelection();
+    return;
+  }
+  setSelection(rest, State.selectedColorIndex === idx ? rest[rest.length - 1] : State.selectedColorIndex);
+}
+
+/**
+ * Select the visible cards between two colors (in display order)
+ * @param {number} fromIdx - Color index the range starts at
+ * @param {number} toIdx - Color index the range ends at (becomes the shown color)
+ * @param {boolean} [additive=false] - Keep the current selection
+ */
+export function selectRange(fromIdx, toIdx, additive = false) {
+  const order = State.lastFilteredColors.map(c => State.colors.indexOf(c));
+  const to = order.indexOf(toIdx);
+  if (to < 0) return;
+  const from = order.includes(fromIdx) ? order.indexOf(fromIdx) : to;
+  
+  const range = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+  setSelection(additive ? [...State.selectedIndices, ...range] : range, toIdx);
+}
+
+/**
+ * Select every color that passes the current page and filters
+ */
+export function selectAllFiltered() {
+  const indices = State.lastFilteredColors.map(c => State.colors.indexOf(c));
+  if (!indices.length) return;
+  setSelection(indices, indices.includes(State.selectedColorIndex) ? State.selectedColorIndex : indices[0]);
+}
+
+/**
+ * Get the selected colors
+ * @returns {Array<number>} Color indices (the shown color first)
+ */
+export function getSelectedIndices() {
+  return State.selectedIndices.filter(i => i < State.colors.length);
+}
+
+/**
+ * Replace the selection
+ * @param {Array<number>} indices - Selected color indices
+ * @param {number} primary - The one shown in the wheel and timeline
+ */
+function setSelection(indices, primary) {
+  const primaryChanged = primary !== State.selectedColorIndex;
+  if (primaryChanged) setPrimarySelection(primary);
+  State.setSelectedIndices(indices);
+  refreshSelection(primaryChanged);
+}
+
+/**
+ * Make a color the one shown in the wheel and timeline (clears the multi-selection)
+ * @param {number} idx - Color index
+ */
+function setPrimarySelection(idx) {
+  State.setSelectedColorIndex(idx);
+  State.setSelectedFrame(0);
+  
+  // Calculate appropriate endFrame based on new card's keyframes
+  const color = State.colors[idx];
+  if (color && color.keyframes && color.keyframes.length > 0) {
+    const lastKeyframe = Math.max(...color.keyframes.map(k => k.frame));
+    State.setEndFrame(lastKeyframe + 10);
+  } else {
+    State.setEndFrame(100); // Default end frame
+  }
+}
+
+/**
+ * Redraw everything showing the selection
+ * @param {boolean} [scrollToFrame=false] - Scroll the timeline to the selected frame
+ */
+function refreshSelection(scrollToFrame = false) {
   // Re-render palette - this regenerates all cards with frame 0 color
   renderPalette();
-  renderTimeline(true);  // Scroll to frame when selecting a new color
+  renderTimeline(scrollToFrame);
   
   // Update the color wheel to reflect current selection
   updateWheelFromSelection();
@@ -52,7 +192,7 @@ export function selectColor(idx, forceSelect = false) {
     if (eyedropperBtn) {
       // Enable for idx >= 1 (ink and user colors), disable for bg (0) or no selection (-1)
       const idx = State.selectedColorIndex;
-      eyedropperBtn.disabled = idx < 1;
+      eyedropperBtn.disabled = idx < 1 || !isSolidStyle(State.colors[idx]);
     }
   }, 0);
   
@@ -62,6 +202,64 @@ export function selectColor(idx, forceSelect = false) {
   });
 }
 
+/**
+ * Initialize marquee selection: dragging over empty space in the palette
+ * grid selects the cards the rectangle touches (Ctrl/Shift adds to the selection)
+ */
+export function initMarquee() {
+  const content = document.getElementById('content');
+  let drag = null;
+  
+  const hitCards = rect => Array.from(content.querySelectorAll('.color-card-preview')).filter(card => {
+    const r = card.getBoundingClientRect();
+    return r.left < rect.right && r.right > rect.left && r.top < rect.bottom && r.bottom > rect.top;
+  });
+  
+  content.addEventListener('mousedown', (e) => {
+    if (e.button !== 0 || !State.colors.length) return;
+    if (e.target.closest('.color-card-preview, .page-tabs, button, input, select')) return;
+    e.preventDefault(); // no text selection while dragging
+    drag = { x: e.clientX, y: e.clientY, additive: e.ctrlKey || e.metaKey || e.shiftKey, box: null, rect: null };
+  });
+  
+  document.addEventListener('mousemove', (e) => {
+    if (!drag) return;
+    if (!drag.box) {
+      if (Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < 4) return;
+      drag.box = document.createElement('div');
+      drag.box.className = 'selection-marquee';
+      document.body.appendChild(drag.box);
+    }
+    drag.rect = {
+      left: Math.min(drag.x, e.clientX), right: Math.max(drag.x, e.clientX),
+      top: Math.min(drag.y, e.clientY), bottom: Math.max(drag.y, e.clientY)
+    };
+    Object.assign(drag.box.style, {
+      left: `${drag.rect.left}px`, top: `${drag.rect.top}px`,
+      width: `${drag.rect.right - drag.rect.left}px`, height: `${drag.rect.bottom - drag.rect.top}px`
+    });
+    const hits = hitCards(drag.rect);
+    content.querySelectorAll('.color-card-preview').forEach(card => card.classList.toggle('marquee-hit', hits.includes(card)));
+  });
+  
+  document.addEventListener('mouseup', () => {
+    if (!drag) return;
+    const { box, rect, additive } = drag;
+    drag = null;
+    if (!box) return;
+    box.remove();
+    
+    const hits = rect ? hitCards(rect).map(card => parseInt(card.dataset.idx)) : [];
+    const indices = additive ? [...State.selectedIndices, ...hits] : hits;
+    if (!indices.length) {
+      State.setSelectedColorIndex(-1);
+      refreshSelection();
+      return;
+    }
+    setSelection(indices, indices.includes(State.selectedColorIndex) ? State.selectedColorIndex : indices[0]);
+  });
+}
+
 /**
  * Ensure a card is selected (without toggling off if already selected)
  * Used by interactive elements that need their card to be the active context
@@ -78,50 +276,58 @@ export function ensureCardSelected(idx) {
 
 /**
  * Show context menu at mouse position
+ * Actions apply to the whole selection when the card is part of it.
  */
 export function showContextMenu(event, idx) {
   event.preventDefault();
-  contextMenuTarget = idx;
   
-  // Select the card when right-clicking
-  ensureCardSelected(idx);
+  // Right-clicking outside the selection selects just that card
+  if (!State.selectedIndices.includes(idx)) {
+    selectColor(idx, true);
+  }
+  contextMenuTarget = idx;
+  contextMenuTargets = getSelectedIndices();
   
   const menu = document.getElementById('context-menu');
-  const color = State.colors[idx];
+  const targets = contextMenuTargets;
+  const isMulti = targets.length > 1;
+  
+  const countLabel = document.getElementById('context-menu-count');
+  countLabel.textContent = `${targets.length} colors selected`;
+  countLabel.style.display = isMulti ? 'block' : 'none';
+  
+  // Rebuild "Mark as" entries from the roles in use
+  document.getElementById('context-menu-roles').innerHTML = Object.entries(CONFIG.ROLES).map(([key, role]) => `
+    <div class="context-menu-item" data-action="mark-role" data-role="${escapeHtml(key)}">Mark as ${key === 'none' ? 'Base' : `${escapeHtml(role.label)} (${escapeHtml(role.suffix)})`}</div>`).join('');
   
   // Update menu items based on context
   const items = menu.querySelectorAll('.context-menu-item');
   items.forEach(item => {
     const action = item.dataset.action;
+    const usable = targets.filter(i => canApplyAction(action, i));
     
-    // Reset disabled state
-    item.classList.remove('disabled');
-    
-    // Disable actions for first two colors (bg/ink - special OpenToonz colors)
-    // idx 0 (bg): no color change, no alpha change, no role change, no delete, no autopaint
-    // idx 1 (ink): no alpha change, no role change, no delete, no autopaint
-    if (idx < 2) {
-      if (['delete', 'toggle-autopaint', 'change-alpha', 'mark-base', 'mark-shadow', 'mark-highlight', 'mark-ao'].includes(action)) {
-        item.classList.add('disabled');
-      }
-    }
-    
-    // Disable color change for bg (idx 0) only
-    if (idx === 0 && action === 'change-color') {
-      item.classList.add('disabled');
-    }
+    // Disabled when no selected color allows it (bg/ink and unparsed styles allow little)
+    item.classList.toggle('disabled', !usable.length || (isMulti && action === 'rename'));
     
-    // Disable rename for bg (idx 0) - it must stay as 'bg'
-    if (idx === 0 && action === 'rename') {
+    if (action === 'paste' && !copiedColors.length) {
       item.classList.add('disabled');
     }
     
-    // Update autopaint label
+    // Update autopaint label (a mixed selection gets enabled)
     if (action === 'toggle-autopaint') {
-      item.textContent = color.hasTrace ? 'Disable Autopaint' : 'Enable Autopaint';
+      const enable = usable.some(i => !State.colors[i].hasTrace) || !usable.length;
+      item.textContent = enable ? 'Enable Autopaint' : 'Disable Autopaint';
     }
   });
   
+  // Rebuild "Move to page" entries (the page holding all targets is disabled)
+  const pagesSection = document.getElementById('context-menu-pages');
+  const targetPages = new Set(targets.map(i => getPageIndexOfColor(State.colors[i])));
+  pagesSection.innerHTML = getPages().length > 1
+    ? `<div class="context-menu-divider"></div>` + getPages().map((page, i) => `
+      <div class="context-menu-item ${targetPages.size === 1 && targetPages.has(i) ? 'disabled' : ''}" data-action="move-page" data-page="${i}">Move to Page: ${escapeHtml(page.name)}</div>`).join('')
+    : '';
+  
   // Position menu
   menu.style.display = 'block';
   
@@ -141,69 +347,90 @@ export function showContextMenu(event, idx) {
   menu.style.top = y + 'px';
 }
 
+/**
+ * Check whether a context menu action applies to a color
+ * @param {string} action - Menu action
+ * @param {number} idx - Color index
+ * @returns {boolean}
+ */
+function canApplyAction(action, idx) {
+  const color = State.colors[idx];
+  if (!color) return false;
+  if (action === 'paste' || action === 'move-page') return true;
+  
+  // Unparsed styles are kept as raw text, only deleting them is possible
+  if (color.unparsed) return action === 'delete';
+  
+  // idx 0 (bg): no color change, no alpha change, no role change, no delete, no autopaint, no rename
+  // idx 1 (ink): no alpha change, no role change, no delete, no autopaint
+  if (idx < 2 && FIXED_STYLE_LOCKED_ACTIONS.includes(action)) return false;
+  if (idx === 0 && ['change-color', 'rename'].includes(action)) return false;
+  
+  // Variants are made from solid base colors
+  if (action === 'generate-variants') return canGenerateVariants(idx);
+  if (action === 'regenerate-variants') return canRegenerateVariants(idx);
+  return true;
+}
+
 /**
  * Hide context menu
  */
 export function hideContextMenu() {
   document.getElementById('context-menu').style.display = 'none';
   contextMenuTarget = -1;
+  contextMenuTargets = [];
 }
 
 /**
  * Handle context menu action
  */
-export function handleContextMenuAction(action) {
+export function handleContextMenuAction(action, item) {
   const idx = contextMenuTarget;
   if (idx < 0) return;
   
   const color = State.colors[idx];
+  const targets = contextMenuTargets.filter(i => canApplyAction(action, i));
   
   switch (action) {
     case 'rename':
       const newName = prompt('Enter new name:', color.name);
       if (newName !== null && newName.trim()) {
+        recordChange(`Rename ${color.name}`);
         color.name = newName.trim();
         renderPalette();
       }
       break;
       
     case 'toggle-autopaint':
-      if (idx >= 2) {
-        color.hasTrace = !color.hasTrace;
-        renderPalette();
-      }
+      setAutopaint(targets, targets.some(i => !State.colors[i].hasTrace));
       break;
       
-    case 'mark-base':
-      color.role = 'none';
-      renderPalette();
+    case 'mark-role':
+      setRole(targets, item.dataset.role);
       break;
       
-    case 'mark-shadow':
-      if (idx >= 2) {
-        color.role = 'shadow';
-        renderPalette();
-      }
+    case 'generate-variants':
+      showGenerateVariants(targets);
       break;
       
-    case 'mark-highlight':
-      if (idx >= 2) {
-        color.role = 'highlight';
-        renderPalette();
-      }
+    case 'regenerate-variants':
+      regenerateVariants(targets);
       break;
       
-    case 'mark-ao':
-      if (idx >= 2) {
-        color.role = 'ao';
-        renderPalette();
-      }
+    case 'delete':
+      deleteColors(targets);
       break;
       
-    case 'delete':
-      if (idx >= 2) {
-        deleteColor(idx);
-      }
+    case 'move-page':
+      moveColorsToPage(targets, parseInt(item.dataset.page));
+      break;
+      
+    case 'copy':
+      copyColors(targets);
+      break;
+      
+    case 'paste':
+      pasteColors();
       break;
   }
   
@@ -225,7 +452,7 @@ export function initContextMenu() {
   document.getElementById('context-menu').addEventListener('click', (e) => {
     const item = e.target.closest('.context-menu-item');
     if (item && !item.classList.contains('disabled')) {
-      handleContextMenuAction(item.dataset.action);
+      handleContextMenuAction(item.dataset.action, item);
     }
   });
   
@@ -241,6 +468,7 @@ export function initContextMenu() {
  * Update color name
  */
 export function updateColorName(idx, name) {
+  recordChange(`Rename ${State.colors[idx].name}`);
   State.colors[idx].name = name;
 }
 
@@ -248,6 +476,7 @@ export function updateColorName(idx, name) {
  * Update color role
  */
 export function updateRole(idx, role) {
+  recordChange(`Change role of ${State.colors[idx].name}`);
   State.colors[idx].role = role;
   renderPalette();
 }
@@ -256,29 +485,70 @@ export function updateRole(idx, role) {
  * Update trace/autopaint setting
  */
 export function updateTrace(idx, hasTrace) {
+  recordChange(`${hasTrace ? 'Enable' : 'Disable'} autopaint on ${State.colors[idx].name}`);
   State.colors[idx].hasTrace = hasTrace;
 }
 
+/**
+ * Set the role of several colors (one undo step)
+ * @param {Array<number>} indices - Color indices
+ * @param {string} role - Role key
+ */
+export function setRole(indices, role) {
+  const targets = indices.filter(i => State.colors[i]);
+  if (!targets.length) return;
+  const subject = targets.length === 1 ? State.colors[targets[0]].name : `${targets.length} colors`;
+  recordChange(`Mark ${subject} as ${role === 'none' ? 'base' : CONFIG.ROLES[role]?.label || role}`);
+  targets.forEach(i => { State.colors[i].role = role; });
+  renderPalette();
+}
+
+/**
+ * Enable or disable autopaint on several colors (one undo step)
+ * @param {Array<number>} indices - Color indices
+ * @param {boolean} hasTrace - Whether autopaint is on
+ */
+export function setAutopaint(indices, hasTrace) {
+  const targets = indices.filter(i => i >= 2 && State.colors[i]);
+  if (!targets.length) return;
+  const subject = targets.length === 1 ? State.colors[targets[0]].name : `${targets.length} colors`;
+  recordChange(`${hasTrace ? 'Enable' : 'Disable'} autopaint on ${subject}`);
+  targets.forEach(i => { State.colors[i].hasTrace = hasTrace; });
+  renderPalette();
+}
+
 /**
  * Delete a color
  */
 export function deleteColor(idx) {
-  if (idx < 2) return;
-  State.removeColor(idx);
+  deleteColors([idx]);
+}
+
+/**
+ * Delete several colors (one undo step); bg and ink are kept
+ * The selection is cleared, since the remaining colors move up.
+ * @param {Array<number>} indices - Color indices
+ */
+export function deleteColors(indices) {
+  const targets = [...new Set(indices)].filter(i => i >= 2 && State.colors[i]).sort((a, b) => b - a);
+  if (!targets.length) return;
+  
+  recordChange(targets.length === 1 ? `Delete ${State.colors[targets[0]].name}` : `Delete ${targets.length} colors`);
+  targets.forEach(i => {
+    removeColorFromPages(State.colors[i]);
+    State.removeColor(i);
+  });
+  
+  State.setSelectedColorIndex(-1);
   renderPalette();
+  renderTimeline();
 }
 
 /**
  * Add a new color
  */
 export function addColor() {
-  const ids = State.colors.map(c => parseInt(getShortId(c.id))).filter(n => !isNaN(n));
-  const nextId = (ids.length ? Math.max(...ids) : 0) + 1;
-  
-  const firstId = State.colors[0]?.id || "";
-  const prefix = State.paletteData?.prefix 
-    ? '|-' + State.paletteData.prefix + '-' 
-    : (firstId.includes('-') ? firstId.split('-')[0].replace(/"/g, '') + '-' : '');
+  const nextId = getNextStyleNumber(State.colors);
   
   // Clone color from current selection if available, otherwise use default gray
   let newR = 120, newG = 120, newB = 120, newA = 255;
@@ -293,17 +563,20 @@ export function addColor() {
   }
   
   const newColorIndex = State.colors.length;
-  
-  State.addColor({
+  const newColor = {
     hasTrace: false, 
-    id: `"${prefix}${nextId}"`,
+    id: buildStyleId(State.paletteData, nextId),
     name: 'new_color',
     tagID: '3', 
     r: newR, g: newG, b: newB, a: newA, 
     role: 'none',
     originalIndex: newColorIndex,
     keyframes: []
-  });
+  };
+  
+  recordChange('Add color');
+  State.addColor(newColor);
+  addColorToPage(newColor);
   
   renderPalette();
   
@@ -318,28 +591,75 @@ export function addColor() {
 }
 
 /**
- * Create a new empty palette
+ * Copy a color so it can be pasted into any open palette
+ * @param {number} idx - Index of the color to copy
+ */
+export function copyColor(idx) {
+  copyColors([idx]);
+}
+
+/**
+ * Copy several colors so they can be pasted into any open palette
+ * Unparsed styles are left out.
+ * @param {Array<number>} indices - Color indices (in palette order when pasted)
+ */
+export function copyColors(indices) {
+  const copied = [...indices].sort((a, b) => a - b)
+    .map(i => State.colors[i])
+    .filter(color => color && !color.unparsed)
+    .map(color => structuredClone(color));
+  if (copied.length) copiedColors = copied;
+}
+
+/**
+ * Paste the copied colors into the active palette
+ * Pasted colors get new style IDs and go to the active page.
+ */
+export function pasteColors() {
+  if (!State.paletteData || !copiedColors.length) return;
+  
+  recordChange(copiedColors.length === 1 ? `Paste ${copiedColors[0].name}` : `Paste ${copiedColors.length} colors`);
+  
+  const firstIndex = State.colors.length;
+  let nextId = getNextStyleNumber(State.colors);
+  copiedColors.forEach(copied => {
+    const color = structuredClone(copied);
+    // The remembered source text belongs to the other file; write it fresh
+    delete color.source;
+    color.keyframes.forEach(kf => delete kf.source);
+    color.id = buildStyleId(State.paletteData, nextId++);
+    color.originalIndex = State.colors.length;
+    
+    State.addColor(color);
+    addColorToPage(color);
+  });
+  
+  // Select everything that was pasted
+  const pasted = State.colors.map((c, i) => i).filter(i => i >= firstIndex);
+  selectColor(firstIndex, true);
+  if (pasted.length > 1) setSelection(pasted, firstIndex);
+}
+
+/**
+ * Create a new empty palette in a new workspace tab
  */
 export function newPalette() {
   const name = prompt("Enter a name for the new palette:", "new_palette");
   if (!name) return;
   
-  const prefix = generatePalettePrefix();
-  State.setPaletteData({ 
-    name, 
-    version: CONFIG.DEFAULT_TPL_VER, 
-    shortcuts: "0 1 -1 -1 -1 -1 -1 -1 -1 -1 ", 
-    prefix,
-    isStudioPalette: true
+  const palette = createPalette(name);
+  openPalette(palette, `new:${palette.paletteData.prefix}`);
+}
+
+/**
+ * Enable (or disable, once no palette is open) the toolbar/filter buttons that need a loaded palette
+ * @param {boolean} [enabled=true]
+ */
+export function enablePaletteButtons(enabled = true) {
+  ["addBtn", "exportBtn", "exportJsonBtn", "exportSwatchesBtn", "settingsBtn", "historyBtn", "appendBtn", "renumberBtn", "gradeBtn", "checkRolesBtn"].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = !enabled;
   });
-  
-  State.setColors([
-    { hasTrace: false, id: `"|-${prefix}-0"`, name: 'bg',  tagID: '3', r: 255, g: 255, b: 255, a: 0,   role: 'none', originalIndex: 0 },
-    { hasTrace: false, id: `"|-${prefix}-1"`, name: 'ink', tagID: '3', r: 0,   g: 0,   b: 0,   a: 255, role: 'none', originalIndex: 1 }
-  ]);
-  
-  ["addBtn", "exportBtn", "exportJsonBtn"].forEach(id => document.getElementById(id).disabled = false);
-  renderPalette();
 }
 
 /**
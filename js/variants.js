@@ -0,0 +1,313 @@
+/**
+ * ROLE VARIANTS
+ * Generates the _sh / _hl / _ao styles of base colors from per-role rules.
+ *
+ * A generated variant has the base's name and another role (as hand-made
+ * ones do) and keeps its rule in `variantRule`, which links it to the base:
+ * regenerating recomputes it from the base's current color and keyframes.
+ */
+
+import * as State from './state.js';
+import { CONFIG } from './config.js';
+import { isSolidStyle, rgbToHsv, hsvToRgb, rgbToHex, hexToRgb, buildStyleId, getNextStyleNumber } from './colorUtils.js';
+import { getInterpolatedColor } from './interpolation.js';
+import { getPageIndexOfColor, addColorToPage } from './pages.js';
+import { recordChange } from './history.js';
+import { renderPalette } from './renderer.js';
+import { renderTimeline } from './timeline.js';
+import { updateWheelFromSelection } from './wheelManager.js';
+import { openModal, escapeHtml } from './modal.js';
+
+// Rule fields: hue turns up to hueShift degrees toward the hue of `toward`,
+// saturation and value are offset (0-1 scale), then the color is multiplied
+// by `ambient` with ambientStrength (0 = off, 1 = full multiply)
+export const DEFAULT_VARIANT_RULES = {
+  shadow:    { toward: { r: 48, g: 64, b: 160 },   hueShift: 15, saturation: 0.1,  value: -0.25, ambient: { r: 255, g: 255, b: 255 }, ambientStrength: 0 },
+  highlight: { toward: { r: 255, g: 224, b: 160 }, hueShift: 10, saturation: -0.1, value: 0.15,  ambient: { r: 255, g: 255, b: 255 }, ambientStrength: 0 },
+  ao:        { toward: { r: 0, g: 0, b: 0 },       hueShift: 0,  saturation: 0.05, value: -0.3,  ambient: { r: 96, g: 72, b: 96 },    ambientStrength: 0.5 }
+};
+
+// Rule of roles without a default (changes nothing)
+const NEUTRAL_RULE = { toward: { r: 0, g: 0, b: 0 }, hueShift: 0, saturation: 0, value: 0, ambient: { r: 255, g: 255, b: 255 }, ambientStrength: 0 };
+
+// Numeric rule fields in the dialog: field, label, min, max, step
+const RULE_FIELDS = [
+  ['hueShift', 'Hue shift (°)', 0, 180, 1],
+  ['saturation', 'Saturation ±', -1, 1, 0.01],
+  ['value', 'Value ±', -1, 1, 0.01],
+  ['ambientStrength', 'Multiply strength', 0, 1, 0.05]
+];
+
+/**
+ * Roles a base color can have variants in
+ * @returns {Array<string>} Role keys
+ */
+export function getVariantRoles() {
+  return Object.keys(CONFIG.ROLES).filter(role => role !== 'none');
+}
+
+/**
+ * Get the rule a role starts with
+ * @param {string} role - Role key
+ * @returns {Object} Copy of the rule
+ */
+export function getDefaultVariantRule(role) {
+  // Added roles start from the built-in rule of their tone
+  const tone = CONFIG.ROLES[role]?.tone;
+  const byTone = tone === 'darker' ? DEFAULT_VARIANT_RULES.shadow : tone === 'brighter' ? DEFAULT_VARIANT_RULES.highlight : NEUTRAL_RULE;
+  return structuredClone(DEFAULT_VARIANT_RULES[role] || byTone);
+}
+
+/**
+ * Derive a variant color from a base color
+ * @param {Object} color - Base { r, g, b, a }
+ * @param {Object} rule - Variant rule (see DEFAULT_VARIANT_RULES)
+ * @returns {Object} { r, g, b, a } rounded and clamped (alpha is the base's)
+ */
+export function deriveVariantColor({ r, g, b, a }, rule) {
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+  const hsv = rgbToHsv(r, g, b);
+  const target = rgbToHsv(rule.toward.r, rule.toward.g, rule.toward.b);
+
+  // Turn along the shorter way, without passing the target hue (grays have no hue to turn)
+  let hue = hsv.h;
+  if (hsv.s > 1e-3 && target.s > 1e-3) {
+    const delta = ((target.h - hsv.h + 540) % 360) - 180;
+    hue += Math.sign(delta) * Math.min(Math.abs(delta), rule.hueShift);
+  }
+
+  const rgb = hsvToRgb(hue, clamp(hsv.s + rule.saturation, 1), clamp(hsv.v + rule.value, 1));
+  const channel = (value, ambient) =>
+    Math.round(clamp(value + (value * ambient / 255 - value) * rule.ambientStrength, 255));
+
+  return {
+    r: channel(rgb.r, rule.ambient.r),
+    g: channel(rgb.g, rule.ambient.g),
+    b: channel(rgb.b, rule.ambient.b),
+    a
+  };
+}
+
+/**
+ * Find the base color of a variant (same name, role "none")
+ * @param {Array} colors - Color objects
+ * @param {Object} variant - Variant color
+ * @returns {Object|undefined}
+ */
+export function findVariantBase(colors, variant) {
+  return colors.find(c => c !== variant && c.role === 'none' && c.name === variant.name && isSolidStyle(c));
+}
+
+/**
+ * Find the generated variants linked to a base color
+ * @param {Array} colors - Color objects
+ * @param {Object} base - Base color
+ * @returns {Array} Variant colors
+ */
+export function findLinkedVariants(colors, base) {
+  return colors.filter(c => c.variantRule && c.role !== 'none' && c.name === base.name && isSolidStyle(c));
+}
+
+/**
+ * Check whether variants can be generated from a color
+ * @param {number} idx - Color index
+ * @returns {boolean}
+ */
+export function canGenerateVariants(idx) {
+  const color = State.colors[idx];
+  return idx >= 2 && !!color && color.role === 'none' && isSolidStyle(color);
+}
+
+/**
+ * Check whether a color has linked variants to regenerate (or is one)
+ * @param {number} idx - Color index
+ * @returns {boolean}
+ */
+export function canRegenerateVariants(idx) {
+  return getVariantBases([idx]).some(base => findLinkedVariants(State.colors, base).length);
+}
+
+/**
+ * Create or update the variants of base colors (one undo step)
+ * An existing style with the base's name and the role is updated (and
+ * linked) instead of adding another one.
+ * @param {Array<number>} indices - Base color indices
+ * @param {Object} rules - Role key -> rule, for the roles to generate
+ * @returns {Object} { created, updated } counts
+ */
+export function generateVariants(indices, rules) {
+  const bases = indices.filter(canGenerateVariants).map(i => State.colors[i]);
+  const roles = Object.keys(rules).filter(role => role !== 'none' && CONFIG.ROLES[role]);
+  const result = { created: 0, updated: 0 };
+  if (!bases.length || !roles.length) return result;
+
+  recordChange(`Generate variants of ${bases.length === 1 ? bases[0].name : `${bases.length} colors`}`);
+
+  let nextId = getNextStyleNumber(State.colors);
+  bases.forEach(base => {
+    roles.forEach(role => {
+      let variant = State.colors.find(c => c !== base && c.name === base.name && c.role === role && isSolidStyle(c));
+      if (variant) {
+        result.updated++;
+      } else {
+        variant = {
+          hasTrace: false,
+          id: buildStyleId(State.paletteData, nextId++),
+          name: base.name,
+          tagID: '3',
+          r: 0, g: 0, b: 0, a: 255,
+          role,
+          originalIndex: State.colors.length,
+          keyframes: []
+        };
+        State.addColor(variant);
+        addColorToPage(variant, getPageIndexOfColor(base));
+        result.created++;
+      }
+      variant.variantRule = structuredClone(rules[role]);
+      deriveVariant(base, variant);
+    });
+  });
+
+  refresh();
+  return result;
+}
+
+/**
+ * Recompute linked variants from their base's current color (one undo step)
+ * @param {Array<number>} indices - Color indices (bases, or variants standing for their base)
+ * @returns {number} Number of updated variants
+ */
+export function regenerateVariants(indices) {
+  const pairs = getVariantBases(indices)
+    .flatMap(base => findLinkedVariants(State.colors, base).map(variant => [base, variant]));
+  if (!pairs.length) return 0;
+
+  const names = new Set(pairs.map(([base]) => base.name));
+  recordChange(`Regenerate variants of ${names.size === 1 ? [...names][0] : `${names.size} colors`}`);
+  pairs.forEach(([base, variant]) => deriveVariant(base, variant));
+
+  refresh();
+  return pairs.length;
+}
+
+/**
+ * Open the variant rules dialog for base colors
+ * @param {Array<number>} indices - Color indices (colors that aren't solid base styles are skipped)
+ */
+export function showGenerateVariants(indices) {
+  const bases = indices.filter(canGenerateVariants);
+  if (!bases.length) return;
+
+  // Start from the rules the first base's variants were made with
+  const first = State.colors[bases[0]];
+  const linked = findLinkedVariants(State.colors, first);
+  const ruleOf = role => linked.find(v => v.role === role)?.variantRule || getDefaultVariantRule(role);
+  const baseColor = getInterpolatedColor(State.selectedFrame, first);
+  const swatch = ({ r, g, b, a }) => `background: rgba(${r}, ${g}, ${b}, ${a / 255})`;
+
+  const body = openModal({
+    title: 'Generate Variants',
+    width: '520px',
+    body: `
+      <p class="form-hint">
+        ${bases.length === 1 ? escapeHtml(first.name) : `${bases.length} base colors`}: variants keep their rule and can be
+        regenerated from the context menu after the base changes. Existing styles with the same name and role are overwritten.
+      </p>
+      <p class="form-hint">
+        Preview on ${escapeHtml(first.name)} <span class="compare-swatch" style="${swatch(baseColor)}"></span>
+      </p>
+      ${getVariantRoles().map(role => {
+        const rule = ruleOf(role);
+        return `
+        <fieldset class="variant-rule" data-role="${role}">
+          <legend>
+            <label><input type="checkbox" class="variant-enabled" checked> ${escapeHtml(CONFIG.ROLES[role].label)} (${escapeHtml(CONFIG.ROLES[role].suffix)})</label>
+            <span class="compare-swatch variant-preview"></span>
+          </legend>
+          <div class="variant-fields">
+            <label>Hue toward <input type="color" data-field="toward" value="${rgbToHex(rule.toward.r, rule.toward.g, rule.toward.b)}"></label>
+            <label>Multiply by <input type="color" data-field="ambient" value="${rgbToHex(rule.ambient.r, rule.ambient.g, rule.ambient.b)}"></label>
+            ${RULE_FIELDS.map(([field, label, min, max, step]) => `
+            <label>${label} <input type="number" class="text-input" data-field="${field}" min="${min}" max="${max}" step="${step}" value="${rule[field]}"></label>`).join('')}
+          </div>
+        </fieldset>`;
+      }).join('')}`,
+    buttons: [
+      { label: 'Cancel' },
+      { label: 'Generate', className: '', onClick: () => {
+        const rules = readRules();
+        if (!Object.keys(rules).length) {
+          alert('Choose at least one variant to generate.');
+          return false;
+        }
+        generateVariants(bases, rules);
+      } }
+    ]
+  });
+
+  const readRule = fieldset => {
+    const rule = {};
+    fieldset.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      rule[field] = input.type === 'color' ? hexToRgb(input.value) : (Number(input.value) || 0);
+    });
+    return rule;
+  };
+
+  const readRules = () => {
+    const rules = {};
+    body.querySelectorAll('.variant-rule').forEach(fieldset => {
+      if (fieldset.querySelector('.variant-enabled').checked) rules[fieldset.dataset.role] = readRule(fieldset);
+    });
+    return rules;
+  };
+
+  const update = () => {
+    body.querySelectorAll('.variant-rule').forEach(fieldset => {
+      fieldset.querySelector('.variant-preview').style.cssText = swatch(deriveVariantColor(baseColor, readRule(fieldset)));
+      fieldset.classList.toggle('is-disabled', !fieldset.querySelector('.variant-enabled').checked);
+    });
+  };
+
+  body.addEventListener('input', update);
+  body.addEventListener('change', update);
+  update();
+}
+
+/**
+ * Map color indices to their base colors (a linked variant stands for its base)
+ * @param {Array<number>} indices - Color indices
+ * @returns {Array} Unique base colors
+ */
+function getVariantBases(indices) {
+  const bases = new Set();
+  indices.forEach(i => {
+    const color = State.colors[i];
+    if (!color || !isSolidStyle(color)) return;
+    const base = color.role === 'none' ? color : (color.variantRule && findVariantBase(State.colors, color));
+    if (base) bases.add(base);
+  });
+  return [...bases];
+}
+
+/**
+ * Recompute a variant's color and keyframes from its base
+ * Keyframes follow the base's frames and interpolation.
+ * @param {Object} base - Base color
+ * @param {Object} variant - Variant color with a variantRule
+ */
+function deriveVariant(base, variant) {
+  const rule = variant.variantRule;
+  Object.assign(variant, deriveVariantColor(base, rule));
+  variant.keyframes = base.keyframes.map(({ source, ...kf }) => ({ ...kf, ...deriveVariantColor(kf, rule) }));
+}
+
+/**
+ * Re-render after variants changed
+ */
+function refresh() {
+  renderPalette();
+  renderTimeline();
+  updateWheelFromSelection();
+}
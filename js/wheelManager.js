@@ -5,7 +5,10 @@
 
 import * as State from './state.js';
 import { renderPalette } from './renderer.js';
-import { renderTimeline, getInterpolatedColor, updateUIForCurrentFrame } from './timeline.js';
+import { renderTimeline, updateUIForCurrentFrame } from './timeline.js';
+import { getInterpolatedColor, insertKeyframe } from './interpolation.js';
+import { isSolidStyle, rgbToHsv, hsvToRgb } from './colorUtils.js';
+import { recordChange, endMerge } from './history.js';
 
 // Wheel and slider instances
 let wheel = null;
@@ -17,6 +20,13 @@ let currentAlpha = 255;
 // Track the unsubscribe function for the color listener
 let colorUnsubscribe = null;
 
+// Wheel HSV and alpha before the current edit ({ h, s, v, a }); edits of a
+// multi-selection shift the other colors by the difference to it
+let wheelBase = null;
+
+// Colors of the multi-selection when the current edit started (index -> { r, g, b, a })
+let selectionBase = null;
+
 /**
  * Initialize the color wheel and sliders
  */
@@ -100,6 +110,10 @@ export function initWheel() {
   // Listen for color changes from the wheel
   colorUnsubscribe = wheel.color.onChange(onWheelColorChange);
   
+  // A released drag ends its undo step
+  document.addEventListener('pointerup', endMerge);
+  document.addEventListener('pointerup', endSelectionEdit);
+  
   // Initial preview update
   updateColorPreview();
 }
@@ -133,7 +147,7 @@ function updateColorPreview() {
   // Enable/disable eyedropper button based on selection
   // idx 0 is bg color which cannot be changed, idx >= 1 can be edited
   if (eyedropperBtn) {
-    eyedropperBtn.disabled = idx < 1;
+    eyedropperBtn.disabled = idx < 1 || !isSolidStyle(State.colors[idx]);
   }
 }
 
@@ -151,8 +165,13 @@ function onAlphaChange(alpha) {
   // Don't allow changing bg color (index 0)
   if (idx === 0) return;
   
-  currentAlpha = alpha;
   const colorObj = State.colors[idx];
+  
+  // Only solid colors can be edited from the wheel
+  if (!isSolidStyle(colorObj)) return;
+  
+  recordWheelEdit(colorObj);
+  currentAlpha = alpha;
   const rgb = wheel.color.rgb;
   
   // Check if we're on a keyframe
@@ -163,18 +182,18 @@ function onAlphaChange(alpha) {
     existingKf.a = alpha;
   } else if (colorObj.keyframes && colorObj.keyframes.length > 0) {
     // Has keyframes but we're not on one - create a new keyframe
-    colorObj.keyframes.push({ 
+    insertKeyframe(colorObj, { 
       frame: State.selectedFrame, 
       r: rgb.r, 
       g: rgb.g, 
       b: rgb.b, 
       a: alpha 
     });
-    colorObj.keyframes.sort((a, b) => a.frame - b.frame);
   } else {
     // No keyframes exist, just update base alpha
     colorObj.a = alpha;
   }
+  applyToSelection();
   
   // Re-render palette and timeline
   renderPalette();
@@ -200,36 +219,16 @@ function onWheelColorChange(color) {
   const rgb = color.rgb;
   const colorObj = State.colors[idx];
   
+  // Only solid colors can be edited from the wheel
+  if (!isSolidStyle(colorObj)) return;
+  
+  recordWheelEdit(colorObj);
+  
   // Get current alpha from the slider
   const alpha = alphaSlider ? alphaSlider.alpha : 255;
   
-  // Check if we're on a keyframe
-  const existingKf = colorObj.keyframes?.find(kf => kf.frame === State.selectedFrame);
-  
-  if (existingKf) {
-    // Update existing keyframe
-    existingKf.r = rgb.r;
-    existingKf.g = rgb.g;
-    existingKf.b = rgb.b;
-    existingKf.a = alpha;
-  } else if (colorObj.keyframes && colorObj.keyframes.length > 0) {
-    // Has keyframes but we're not on one - create a new keyframe
-    const frameColor = getInterpolatedColor(State.selectedFrame, colorObj);
-    colorObj.keyframes.push({ 
-      frame: State.selectedFrame, 
-      r: rgb.r, 
-      g: rgb.g, 
-      b: rgb.b, 
-      a: alpha 
-    });
-    colorObj.keyframes.sort((a, b) => a.frame - b.frame);
-  } else {
-    // No keyframes exist, just update base color
-    colorObj.r = rgb.r;
-    colorObj.g = rgb.g;
-    colorObj.b = rgb.b;
-    colorObj.a = alpha;
-  }
+  setColorAtFrame(colorObj, { r: rgb.r, g: rgb.g, b: rgb.b, a: alpha });
+  applyToSelection();
   
   // Re-render palette and timeline
   renderPalette();
@@ -269,10 +268,90 @@ export function updateWheelFromSelection() {
   
   isUpdatingFromExternal = false;
   
+  // Relative edits of the selection start from here
+  endSelectionEdit();
+  
   // Update the preview
   updateColorPreview();
 }
 
+/**
+ * Record the undo step of a wheel/slider edit (one step per drag)
+ * @param {Object} colorObj - Color shown in the wheel
+ */
+function recordWheelEdit(colorObj) {
+  const count = State.selectedIndices.length;
+  if (count > 1) {
+    recordChange(`Edit ${count} colors`, `wheel:selection:${State.selectedFrame}`);
+  } else {
+    recordChange(`Edit ${colorObj.name}`, `wheel:${colorObj.id}:${State.selectedFrame}`);
+  }
+}
+
+/**
+ * Set a color's value at the selected frame
+ * @param {Object} colorObj - Color object
+ * @param {Object} rgba - { r, g, b, a }
+ */
+function setColorAtFrame(colorObj, { r, g, b, a }) {
+  // Check if we're on a keyframe
+  const existingKf = colorObj.keyframes?.find(kf => kf.frame === State.selectedFrame);
+  
+  if (existingKf) {
+    // Update existing keyframe
+    Object.assign(existingKf, { r, g, b, a });
+  } else if (colorObj.keyframes && colorObj.keyframes.length > 0) {
+    // Has keyframes but we're not on one - create a new keyframe
+    insertKeyframe(colorObj, { frame: State.selectedFrame, r, g, b, a });
+  } else {
+    // No keyframes exist, just update base color
+    Object.assign(colorObj, { r, g, b, a });
+  }
+}
+
+/**
+ * Shift the other selected colors by the wheel's HSV and alpha change
+ * since the edit started (bg and non-solid styles are left alone)
+ */
+function applyToSelection() {
+  const others = State.selectedIndices.filter(i =>
+    i !== State.selectedColorIndex && i > 0 && isSolidStyle(State.colors[i]));
+  if (!others.length || !wheelBase) return;
+  
+  if (!selectionBase) {
+    selectionBase = new Map(others.map(i => [i, getInterpolatedColor(State.selectedFrame, State.colors[i])]));
+  }
+  
+  const { h, s, v } = wheel.color.hsv;
+  const alpha = alphaSlider ? alphaSlider.alpha : 255;
+  const clamp = (value, max) => Math.min(max, Math.max(0, value));
+  
+  others.forEach(i => {
+    const base = selectionBase.get(i);
+    if (!base) return;
+    const hsv = rgbToHsv(base.r, base.g, base.b);
+    const rgb = hsvToRgb(
+      hsv.h + h - wheelBase.h,
+      clamp(hsv.s + s - wheelBase.s, 1),
+      clamp(hsv.v + v - wheelBase.v, 1)
+    );
+    setColorAtFrame(State.colors[i], {
+      r: Math.round(rgb.r),
+      g: Math.round(rgb.g),
+      b: Math.round(rgb.b),
+      a: Math.round(clamp(base.a + alpha - wheelBase.a, 255))
+    });
+  });
+}
+
+/**
+ * Finish a relative edit of the selection: the next one starts from the current wheel color
+ */
+function endSelectionEdit() {
+  selectionBase = null;
+  wheelBase = wheel ? { ...wheel.color.hsv, a: alphaSlider ? alphaSlider.alpha : 255 } : null;
+}
+
 /**
  * Get the current wheel color as RGB + Alpha
  * @returns {Object} { r, g, b, a }
@@ -0,0 +1,209 @@
+/**
+ * WORKSPACE TABS
+ * Several palettes open at once. The active tab's state lives in state.js
+ * (plus the filter bar and the undo history); inactive tabs keep a stashed
+ * copy that is put back when switching to them.
+ */
+
+import * as State from './state.js';
+import { getFilterSettings, setFilterSettings } from './filters.js';
+import { recordChange, recordTabChange, getHistoryState, setHistoryState, getHistoryStatus } from './history.js';
+import { getRecentKey, setRecentKey, rememberOpened, scheduleAutosave } from './autosave.js';
+import { renderPalette } from './renderer.js';
+import { renderTimeline } from './timeline.js';
+import { updateWheelFromSelection } from './wheelManager.js';
+import { enablePaletteButtons, toggleHueControls, updateHueUI } from './ui.js';
+import { escapeHtml } from './modal.js';
+
+// Open tabs: { paletteData, colors, endFrame, selectedColorIndex, selectedIndices,
+//              selectedFrame, activePageIndex, filters, history, recentKey }
+let tabs = [];
+let activeTab = -1;
+
+/**
+ * Open a palette in a new tab and switch to it
+ * @param {Object} palette - { paletteData, colors, endFrame }
+ * @param {string} [recentKey] - Key in the recent palettes list
+ */
+export function openPalette({ paletteData, colors, endFrame = 100 }, recentKey = null) {
+  stashActiveTab();
+  tabs.push({
+    paletteData,
+    colors,
+    endFrame,
+    selectedColorIndex: -1,
+    selectedIndices: [],
+    selectedFrame: 0,
+    activePageIndex: -1,
+    // Keep sorting and view options, but don't hide anything in the new palette
+    filters: { ...getFilterSettings(), searchInput: '', animatedFilterCheck: false, hueFilterCheck: false },
+    history: null,
+    recentKey
+  });
+  activateTab(tabs.length - 1);
+  if (recentKey) rememberOpened(recentKey);
+}
+
+/**
+ * Switch to an already open palette from the recent list, if any
+ * @param {string} recentKey - Key in the recent palettes list
+ * @returns {boolean} Whether a tab was found
+ */
+export function switchToRecent(recentKey) {
+  stashActiveTab();
+  const index = tabs.findIndex(tab => tab.recentKey === recentKey);
+  if (index < 0) return false;
+  switchTab(index);
+  return true;
+}
+
+/**
+ * Make another tab the active one
+ * @param {number} index - Tab index
+ */
+export function switchTab(index) {
+  if (index === activeTab || !tabs[index]) return;
+  stashActiveTab();
+  activateTab(index);
+  scheduleAutosave();
+}
+
+/**
+ * Close a tab (asks first when it has edits)
+ * Closed palettes stay in the recent list with their latest edits.
+ * @param {number} index - Tab index
+ */
+export function closeTab(index) {
+  stashActiveTab();
+  const tab = tabs[index];
+  if (!tab) return;
+
+  if (tab.history?.undoStack.length && !confirm(`Close "${tab.paletteData.name}"? It can be reopened from Recent.`)) {
+    return;
+  }
+
+  tabs.splice(index, 1);
+
+  if (!tabs.length) {
+    activeTab = -1;
+    State.loadPalette(null, []);
+    setHistoryState(null);
+    setRecentKey(null);
+    enablePaletteButtons(false);
+    renderPalette();
+    renderTimeline();
+  } else if (index === activeTab) {
+    activeTab = -1;
+    activateTab(Math.min(index, tabs.length - 1));
+  } else {
+    if (index < activeTab) activeTab--;
+    renderWorkspaceTabs();
+  }
+  scheduleAutosave();
+}
+
+/**
+ * Change the styles of every open palette, as one undo step in each palette that changes
+ * @param {Function} planEdit - (colors) => { label, apply() } for a palette to change, or null
+ */
+export function editAllTabs(planEdit) {
+  stashActiveTab();
+  let changed = false;
+  tabs.forEach((tab, i) => {
+    const edit = planEdit(tab.colors);
+    if (!edit) return;
+    if (i === activeTab) recordChange(edit.label);
+    else recordTabChange(tab, edit.label);
+    edit.apply();
+    changed = true;
+  });
+  if (!changed) return;
+  renderWorkspaceTabs();
+  scheduleAutosave();
+}
+
+/**
+ * Get all open tabs for persisting (history is not included)
+ * @returns {Object} { activeTab, tabs }
+ */
+export function getWorkspaceSnapshot() {
+  stashActiveTab();
+  return {
+    activeTab,
+    tabs: tabs.map(({ history, ...tab }) => tab)
+  };
+}
+
+/**
+ * Replace all tabs with persisted ones
+ * @param {Object} snapshot - Result of getWorkspaceSnapshot
+ */
+export function restoreWorkspace(snapshot) {
+  tabs = snapshot.tabs.map(tab => ({ ...tab, history: null }));
+  activeTab = -1;
+  if (tabs.length) activateTab(Math.min(Math.max(snapshot.activeTab, 0), tabs.length - 1));
+}
+
+/**
+ * Render the tab bar
+ */
+export function renderWorkspaceTabs() {
+  const nav = document.getElementById('workspace-tabs');
+  if (!nav) return;
+
+  nav.style.display = tabs.length ? 'flex' : 'none';
+  nav.innerHTML = tabs.map((tab, i) => {
+    const isActive = i === activeTab;
+    const paletteData = isActive ? State.paletteData : tab.paletteData;
+    const edited = isActive ? getHistoryStatus().canUndo : !!tab.history?.undoStack.length;
+    return `
+      <div class="workspace-tab ${isActive ? 'active' : ''}" onclick="window.AppWorkspace.switchTab(${i})" title="${escapeHtml(paletteData.name)}${paletteData.isStudioPalette ? ' (studio)' : ' (level)'}">
+        <span class="workspace-tab-name">${escapeHtml(paletteData.name)}${edited ? ' •' : ''}</span>
+        <span class="workspace-tab-close" onclick="event.stopPropagation(); window.AppWorkspace.closeTab(${i})" title="Close">×</span>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Copy the live state of the active tab into its tab object
+ */
+function stashActiveTab() {
+  const tab = tabs[activeTab];
+  if (!tab) return;
+  Object.assign(tab, {
+    paletteData: State.paletteData,
+    colors: State.colors,
+    endFrame: State.endFrame,
+    selectedColorIndex: State.selectedColorIndex,
+    selectedIndices: State.selectedIndices,
+    selectedFrame: State.selectedFrame,
+    activePageIndex: State.activePageIndex,
+    filters: getFilterSettings(),
+    history: getHistoryState(),
+    recentKey: getRecentKey()
+  });
+}
+
+/**
+ * Put a tab's state into the app and refresh the UI
+ * @param {number} index - Tab index
+ */
+function activateTab(index) {
+  const tab = tabs[index];
+  activeTab = index;
+
+  State.loadPalette(tab.paletteData, tab.colors, tab.endFrame);
+  State.setSelectedColorIndex(tab.selectedColorIndex < tab.colors.length ? tab.selectedColorIndex : -1);
+  State.setSelectedIndices((tab.selectedIndices || []).filter(i => i < tab.colors.length));
+  State.setSelectedFrame(tab.selectedFrame || 0);
+  State.setActivePageIndex(tab.activePageIndex < (tab.paletteData.pages || []).length ? tab.activePageIndex : -1);
+  setHistoryState(tab.history);
+  setRecentKey(tab.recentKey);
+  setFilterSettings(tab.filters || {});
+
+  enablePaletteButtons();
+  toggleHueControls();
+  updateHueUI();
+  renderTimeline();
+  updateWheelFromSelection();
+}
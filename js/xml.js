@@ -0,0 +1,201 @@
+/**
+ * XML READER
+ * Minimal XML parser for TPL files, independent of DOMParser so palettes
+ * can also be read outside the browser (see bin/pltui.js)
+ *
+ * Produces a plain tree:
+ *   element: { type: 'element', name, attributes, children, start, end }
+ *   text:    { type: 'text', value }
+ * `start`/`end` are offsets into the source, so unknown nodes can be
+ * written back exactly as they were read.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Parse an XML string
+ * Parsing stops at the first structural error; everything read up to that
+ * point is still returned so callers can salvage what they can.
+ * @param {string} text - XML source
+ * @returns {Object} { root, errors: [{ message, line }] } (root is a document node holding the top-level elements)
+ */
+export function parseXml(text) {
+  const root = { type: 'document', children: [] };
+  const stack = [root];
+  const errors = [];
+  const tagRegex = /<([A-Za-z_:][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  let pos = 0;
+
+  const fail = (message, at) => errors.push({ message, line: lineAt(text, at) });
+  const current = () => stack[stack.length - 1];
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+
+    if (lt !== pos) {
+      const end = lt < 0 ? text.length : lt;
+      addText(current(), decodeEntities(text.slice(pos, end), message => fail(message, pos)));
+      pos = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', pos)) {
+      const end = text.indexOf('-->', pos + 4);
+      if (end < 0) { fail('Unterminated comment', pos); break; }
+      pos = end + 3;
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      const end = text.indexOf(']]>', pos + 9);
+      if (end < 0) { fail('Unterminated CDATA section', pos); break; }
+      addText(current(), text.slice(pos + 9, end));
+      pos = end + 3;
+    } else if (text.startsWith('<?', pos) || text.startsWith('<!', pos)) {
+      // Declarations and doctypes carry nothing we use
+      const end = text.indexOf('>', pos);
+      if (end < 0) { fail('Unterminated declaration', pos); break; }
+      pos = end + 1;
+    } else if (text.startsWith('</', pos)) {
+      const match = text.slice(pos).match(/^<\/([A-Za-z_:][\w:.-]*)\s*>/);
+      const open = current();
+      if (!match || open.type !== 'element' || open.name !== match[1]) {
+        fail(match ? `Unexpected closing tag </${match[1]}>` : 'Malformed closing tag', pos);
+        break;
+      }
+      pos += match[0].length;
+      open.end = pos;
+      stack.pop();
+    } else {
+      tagRegex.lastIndex = pos;
+      const match = tagRegex.exec(text);
+      if (!match) { fail('Malformed tag', pos); break; }
+
+      const element = {
+        type: 'element',
+        name: match[1],
+        attributes: parseAttributes(match[2], message => fail(message, pos)),
+        children: [],
+        start: pos,
+        end: pos + match[0].length
+      };
+      current().children.push(element);
+      pos += match[0].length;
+      if (!match[3]) stack.push(element);
+    }
+  }
+
+  // Close whatever is still open so the partial tree stays usable
+  while (stack.length > 1) {
+    const open = stack.pop();
+    if (!errors.length) fail(`Unclosed element <${open.name}>`, open.start);
+    open.end = text.length;
+  }
+
+  return { root, errors };
+}
+
+/**
+ * Get the first child element with a given name
+ * @param {Object} node - Element or document node
+ * @param {string} name - Tag name
+ * @returns {Object|null}
+ */
+export function findChild(node, name) {
+  return node?.children.find(child => child.type === 'element' && child.name === name) || null;
+}
+
+/**
+ * Get all child elements (optionally only those with a given name)
+ * @param {Object} node - Element or document node
+ * @param {string} [name] - Tag name
+ * @returns {Array<Object>}
+ */
+export function findChildren(node, name) {
+  if (!node) return [];
+  return node.children.filter(child => child.type === 'element' && (!name || child.name === name));
+}
+
+/**
+ * Get the concatenated text of a node and all its descendants
+ * @param {Object} node - Any node
+ * @returns {string}
+ */
+export function getText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.value;
+  return node.children.map(getText).join('');
+}
+
+/**
+ * Get the original source of an element
+ * @param {string} text - XML source the node was parsed from
+ * @param {Object} node - Element node
+ * @returns {string}
+ */
+export function getSource(text, node) {
+  return text.slice(node.start, node.end);
+}
+
+/**
+ * Append text to a node, merging with a preceding text node
+ * @param {Object} parent - Element or document node
+ * @param {string} value - Decoded text
+ */
+function addText(parent, value) {
+  const last = parent.children[parent.children.length - 1];
+  if (last?.type === 'text') last.value += value;
+  else parent.children.push({ type: 'text', value });
+}
+
+/**
+ * Parse the attribute part of a start tag
+ * @param {string} source - e.g. ` id="3" frame='10'`
+ * @param {Function} onError - Receives a message for bad entities
+ * @returns {Object} Attribute name -> decoded value
+ */
+function parseAttributes(source, onError) {
+  const attributes = {};
+  for (const match of source.matchAll(/([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3], onError);
+  }
+  return attributes;
+}
+
+/**
+ * Decode XML entities (predefined and numeric)
+ * Unknown entities and invalid character references are kept literally and reported.
+ * @param {string} text - Raw text
+ * @param {Function} onError - Receives a message for bad entities
+ * @returns {string}
+ */
+function decodeEntities(text, onError) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);?/g, (whole, entity) => {
+    if (!whole.endsWith(';')) {
+      onError(`Unescaped "&" in text`);
+      return whole;
+    }
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      if (!(code <= 0x10ffff)) {
+        onError(`Invalid character reference &${entity};`);
+        return whole;
+      }
+      return String.fromCodePoint(code);
+    }
+    if (entity in ENTITIES) return ENTITIES[entity];
+    onError(`Unknown entity &${entity};`);
+    return whole;
+  });
+}
+
+/**
+ * Get the 1-based line number of an offset
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {number}
+ */
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
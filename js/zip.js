@@ -0,0 +1,177 @@
+/**
+ * ZIP ARCHIVES
+ * Minimal ZIP reader/writer used for Krita palettes (.kpl)
+ */
+
+/**
+ * Read all files of a ZIP archive
+ * Supports stored and deflated entries (deflate via DecompressionStream).
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Promise<Map<string, Uint8Array>>} File name -> contents
+ * @throws {Error} When the archive is not a ZIP, or corrupt or truncated
+ */
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const files = new Map();
+
+  // Locate the end of central directory record (scan backwards for its signature)
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount; i++) {
+    requireBytes(buffer, offset + 46, `central directory entry ${i + 1}`);
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    requireBytes(buffer, offset + 46 + nameLength, `central directory entry ${i + 1}`);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    // The local header has its own name/extra lengths
+    requireBytes(buffer, localOffset + 30, name);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    requireBytes(buffer, dataStart + compressedSize, name);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      try {
+        files.set(name, await inflateRaw(data));
+      } catch (err) {
+        throw new Error(`Corrupt or truncated ZIP (${name}: ${err.message})`);
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+}
+
+/**
+ * Check that an archive holds the bytes a read needs
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @param {number} end - Offset just past the bytes to read
+ * @param {string} where - Part being read (for the message)
+ * @throws {Error} When the archive ends too early
+ */
+function requireBytes(buffer, end, where) {
+  if (end > buffer.byteLength) throw new Error(`Corrupt or truncated ZIP (${where})`);
+}
+
+/**
+ * Decompress raw deflate data
+ * @param {Uint8Array} data - Deflated bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data) {
+  const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Create an uncompressed ZIP archive
+ * @param {Array} files - [{ name, data }] with data as string or Uint8Array (order is kept)
+ * @returns {Uint8Array} Archive contents
+ */
+export function writeZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(8, 0, true);           // method: stored
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);        // version made by
+    central.setUint16(6, 20, true);        // version needed
+    central.setUint16(10, 0, true);        // method: stored
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {Array<Uint8Array>} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  parts.forEach(part => {
+    result.set(part, pos);
+    pos += part.length;
+  });
+  return result;
+}
+
+// Lazily built CRC-32 lookup table
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of some bytes
+ * @param {Uint8Array} data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}